@@ -1,27 +1,62 @@
 require('dotenv').config({ quiet: true });
 const { Spot } = require('@binance/connector');
 const crypto = require('crypto');
+const { parseArgs } = require('util');
 const https = require('https');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const zlib = require('zlib');
+const { once } = require('events');
 const fs = require('fs');
 const path = require('path');
 
-const API_KEY = process.env.BINANCE_API_KEY;
-const API_SECRET = process.env.BINANCE_API_SECRET;
-const client = new Spot(API_KEY, API_SECRET);
+// Market data is public; everything account-specific goes through that account's own client.
+const publicClient = new Spot();
+
+const DEFAULT_PERIOD_DAYS = 180;
+const DEFAULT_LOOKBACK_DAYS = 730;
+// `let` because the CLI (--since / --until) and offline rebuilds reassign both before anything runs
+let NOW = Date.now();
+let START_TIME = NOW - DEFAULT_PERIOD_DAYS * 86400000;
+
+// Resolved run options: defaults < config file < command-line flags. See applyOptions().
+const OPTS = {
+  lookbackDays: DEFAULT_LOOKBACK_DAYS,
+  botStart: null,
+  out: path.join(__dirname, 'report.html'),
+  dataDir: path.join(__dirname, 'report-data'),
+  quiet: false,
+  json: false,
+  // [{ name, apiKeyEnv, apiSecretEnv, email, subAccount, spotSymbols }] — see resolveAccountSpecs()
+  accounts: [],
+  // [{ category, address, network, memo, coin, account, minAmount, maxAmount, amountPattern, txIds }] — see resolveWithdrawalRules()
+  withdrawalRules: [],
+  // { rules, channels, repeatHours } or null — see resolveAlerts()
+  alerts: null,
+  // { members: [{ name, email, startShare }], ledger: [{ investor, type, txIds, address, ... }] } or null — see resolveInvestors()
+  investors: null,
+  // { rate, period, hurdle, highWaterMark, currency } or null — see resolvePerformanceFee()
+  performanceFee: null
+};
 
-const PERIOD_DAYS = 180;
-const PERIOD_MS = PERIOD_DAYS * 86400000;
-const NOW = Date.now();
-const START_TIME = NOW - PERIOD_MS;
+// With --json stdout carries only the JSON summary, so progress goes to stderr.
+const log = (...args) => { if (!OPTS.quiet) (OPTS.json ? console.error : console.log)(...args); };
+const progress = text => { if (!OPTS.quiet) (OPTS.json ? process.stderr : process.stdout).write(text); };
 
 const sleep = ms => new Promise(r => setTimeout(r, ms));
-const sign = qs => crypto.createHmac('sha256', API_SECRET).update(qs).digest('hex');
+const sign = (secret, qs) => crypto.createHmac('sha256', secret).update(qs).digest('hex');
 
-const FAPI_TIMEOUT_MS = 30000;
+const FUTURES_TIMEOUT_MS = 30000;
 const REQUEST_RETRIES = 3;
 
 const RATE_LIMIT_BACKOFF_MS = 65000;
 
+// Windowed ledgers (deposits, withdrawals, transfers) re-scan this much before the stored
+// cursor, because Binance can credit a record into a window we already synced.
+const STORE_OVERLAP_MS = 86400000;
+
 async function withRetry(fn, maxAttempts = REQUEST_RETRIES) {
   let lastErr;
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -38,15 +73,35 @@ async function withRetry(fn, maxAttempts = REQUEST_RETRIES) {
   throw lastErr;
 }
 
-function fapiRequest(endpoint, params = {}) {
+// One configured Binance account (a main account or a sub-account with its own API key).
+function createAccount({ name, apiKeyEnv, apiSecretEnv, email = null, subAccount = false, spotSymbols = [] }) {
+  const apiKey = process.env[apiKeyEnv];
+  const apiSecret = process.env[apiSecretEnv];
+  if (!apiKey || !apiSecret) throw new Error(`account "${name}": set ${apiKeyEnv} and ${apiSecretEnv} in .env`);
+  return { name, email, subAccount, spotSymbols, apiKey, apiSecret, client: new Spot(apiKey, apiSecret) };
+}
+
+function fapiRequest(acct, endpoint, params = {}) {
+  return futuresRequest(acct, 'fapi.binance.com', endpoint, params);
+}
+
+// COIN-M (delivery) futures live on their own host with the same signing scheme.
+function dapiRequest(acct, endpoint, params = {}) {
+  return futuresRequest(acct, 'dapi.binance.com', endpoint, params);
+}
+
+// `acct` null sends an unsigned market-data request (funding rates are the same for everyone).
+function futuresRequest(acct, hostname, endpoint, params) {
   return new Promise((resolve, reject) => {
-    params.timestamp = Date.now();
-    params.recvWindow = 10000;
+    if (acct) {
+      params.timestamp = Date.now();
+      params.recvWindow = 10000;
+    }
     const qs = Object.entries(params).map(([k, v]) => `${k}=${v}`).join('&');
-    const url = `${endpoint}?${qs}&signature=${sign(qs)}`;
+    const url = acct ? `${endpoint}?${qs}&signature=${sign(acct.apiSecret, qs)}` : `${endpoint}?${qs}`;
     const req = https.request({
-      hostname: 'fapi.binance.com', path: url, method: 'GET',
-      headers: { 'X-MBX-APIKEY': API_KEY }
+      hostname, path: url, method: 'GET',
+      headers: acct ? { 'X-MBX-APIKEY': acct.apiKey } : {}
     }, res => {
       let d = '';
       res.on('data', c => d += c);
@@ -61,128 +116,501 @@ function fapiRequest(endpoint, params = {}) {
       });
     });
     req.on('error', reject);
-    const t = setTimeout(() => { req.destroy(); reject(new Error('FAPI request timeout')); }, FAPI_TIMEOUT_MS);
+    const t = setTimeout(() => { req.destroy(); reject(new Error(`${hostname} request timeout`)); }, FUTURES_TIMEOUT_MS);
     req.on('close', () => clearTimeout(t));
     req.end();
   });
 }
 
 async function fetchAllPrices() {
-  const { data } = await withRetry(() => client.tickerPrice());
+  const { data } = await withRetry(() => publicClient.tickerPrice());
   const m = {};
   for (const p of data) m[p.symbol] = parseFloat(p.price);
   return m;
 }
 
+// BFUSD has no spot market; as a USD-M collateral asset it is counted at par like the others.
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'DAI', 'BFUSD'];
+
 function toBtc(asset, amount, priceMap) {
   if (amount === 0) return 0;
   if (asset === 'BTC') return amount;
-  const stables = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'DAI'];
-  if (stables.includes(asset)) return priceMap['BTCUSDT'] ? amount / priceMap['BTCUSDT'] : 0;
+  if (STABLECOINS.includes(asset)) return priceMap['BTCUSDT'] ? amount / priceMap['BTCUSDT'] : 0;
   if (priceMap[`${asset}BTC`]) return amount * priceMap[`${asset}BTC`];
   if (priceMap[`${asset}USDT`] && priceMap['BTCUSDT']) return (amount * priceMap[`${asset}USDT`]) / priceMap['BTCUSDT'];
   return 0;
 }
 
-function btcPriceAt(ts, dailyPrices) {
-  if (!dailyPrices.length) return null;
-  let best = dailyPrices[0], minD = Math.abs(ts - best.time);
-  for (const p of dailyPrices) { const d = Math.abs(ts - p.time); if (d < minD) { minD = d; best = p; } }
-  return best.close;
+// BTC/USDT at `ts` from prices.btcCandles (hourly, or daily for snapshots taken before hourly
+// candles were recorded); today's price when there is no history.
+function btcPriceAt(ts, prices) {
+  return candleCloseAt(ts, prices.btcCandles) || prices.priceMap['BTCUSDT'];
 }
 
 async function getDailyBtcPrices() {
-  const prices = [];
-  const PRICE_LOOKBACK = 730 * 86400000;
-  let s = NOW - PRICE_LOOKBACK;
-  while (s < NOW) {
-    try {
-      const { data } = await client.klines('BTCUSDT', '1d', { startTime: s, endTime: Math.min(s + 100 * 86400000, NOW), limit: 100 });
-      if (data) for (const k of data) prices.push({ time: k[0], open: parseFloat(k[1]), close: parseFloat(k[4]) });
-    } catch {}
-    s += 100 * 86400000;
-    await sleep(200);
+  return syncKlines('BTCUSDT', '1d');
+}
+
+// ~17.5k candles for the default two-year lookback; cached, so only the first run pays for them.
+async function getHourlyBtcPrices() {
+  return syncKlines('BTCUSDT', '1h');
+}
+
+// Close of the candle that contains `ts` ([{ time, close }] sorted by open time); the first
+// candle for times before the series starts, null for an empty series.
+function candleCloseAt(ts, candles) {
+  if (!candles || !candles.length) return null;
+  let lo = 0, hi = candles.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (candles[mid].time <= ts) lo = mid; else hi = mid - 1;
+  }
+  return candles[lo].close;
+}
+
+// === Local store ===
+// Each ledger lives in <data-dir>/store/<account>/<ledger>.json as { from, cursor, records }. Everything between
+// `from` and `cursor` is known to be stored; `records` is keyed by the Binance id so re-fetched
+// rows dedupe on insert. The file is rewritten after every page/window, so a crash mid-sync
+// resumes from the last saved cursor on the next run.
+function loadStore(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(OPTS.dataDir, 'store', `${name}.json`), 'utf-8'));
+  } catch {
+    return { from: null, cursor: null, records: {} };
+  }
+}
+
+function saveStore(name, store) {
+  writeFileAtomic(path.join(OPTS.dataDir, 'store', `${name}.json`), JSON.stringify(store));
+}
+// Readers never see a half-written file: write alongside, then rename over.
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, data, 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function storeInsert(store, rows, keyOf) {
+  let added = 0;
+  for (const r of rows) {
+    const k = String(keyOf(r));
+    if (!(k in store.records)) added++;
+    store.records[k] = r;
   }
-  return prices;
+  return added;
+}
+
+// Where to resume syncing a ledger that must cover [start, now]. Asking for an earlier start
+// than the store covers rewinds the cursor; rows already stored are simply deduped again.
+function storeResumeFrom(store, start) {
+  if (store.from === null || start < store.from) { store.from = start; store.cursor = start; }
+  return store.cursor;
 }
 
-async function getDeposits() {
-  // Fetch ALL deposits since account creation (go back 2 years to capture everything)
-  const DEPOSIT_LOOKBACK = 730 * 86400000;
-  const all = [];
-  let s = NOW - DEPOSIT_LOOKBACK;
+// Windows skipped by syncWindowedStore() during this run, and spot pairs whose trades could not be
+// fetched (no window: from / to are null), for the syncFailures alert.
+const SYNC_FAILURES = [];
+
+// `pendingTime(row)` is for ledgers whose rows Binance can still change (a deposit waiting for
+// confirmations, a withdrawal under review): it returns the row's time while it is unfinished and
+// null once it is final. The cursor is held at the oldest unfinished row inside the lookback, so
+// every run fetches it again until it settles. Stores written before a ledger kept unfinished
+// rows have no `pending` field and are synced again in full once.
+//
+// With `recordFailures` off, a failing window throws instead, for callers with a fallback of their own.
+async function syncWindowedStore(name, lookbackMs, windowMs, fetchWindow, keyOf, gapMs = 200, pendingTime = null, recordFailures = true) {
+  const store = loadStore(name);
+  const start = NOW - lookbackMs;
+  // re-key what is stored, in case an older version keyed the ledger differently
+  store.records = Object.fromEntries(Object.values(store.records).map(r => [String(keyOf(r)), r]));
+  if (pendingTime && store.from !== null && !('pending' in store)) store.cursor = store.from;
+  let s = Math.max(storeResumeFrom(store, start) - STORE_OVERLAP_MS, store.from);
+  let complete = true;
   while (s < NOW) {
-    const e = Math.min(s + 89 * 86400000, NOW);
+    const e = Math.min(s + windowMs, NOW);
     try {
-      const { data } = await client.depositHistory({ startTime: s, endTime: e, limit: 1000, status: 1 });
-      if (data?.length) all.push(...data);
-    } catch (err) { /* skip empty windows */ }
+      storeInsert(store, await fetchWindow(s, e), keyOf);
+    } catch (err) {
+      if (!recordFailures) throw err;
+      // skip the window for this run, but keep the cursor before it so the next run retries
+      complete = false;
+      SYNC_FAILURES.push({ store: name, from: s, to: e, error: err.message });
+    }
+    if (complete) store.cursor = e;
+    saveStore(name, store);
     s = e;
-    await sleep(200);
+    await sleep(gapMs);
+  }
+  if (pendingTime) {
+    const pending = Object.values(store.records).map(pendingTime).filter(t => t !== null && t >= start);
+    store.pending = pending.length ? Math.min(...pending) : null;
+    if (store.pending !== null) store.cursor = Math.max(Math.min(store.cursor, store.pending), store.from);
+    saveStore(name, store);
   }
-  return all;
+  return Object.values(store.records);
 }
 
-async function getWithdrawals() {
-  const WITHDRAW_LOOKBACK = 730 * 86400000;
-  const all = [];
-  let s = NOW - WITHDRAW_LOOKBACK;
+// === Historical prices ===
+// Candles are cached in the store as prices/<symbol>-<interval> and only the tail is re-fetched
+// on later runs. Besides BTC/USDT, daily closes are kept for every alt that shows up in flows,
+// income or balances, so an ETH deposit from a year ago is valued at that day's ETH/BTC rather
+// than today's.
+const KLINE_INTERVAL_MS = { '1h': 3600000, '1d': 86400000 };
+const KLINE_LIMIT = 1000;
+
+async function syncKlines(symbol, interval) {
+  const name = `prices/${symbol}-${interval}`;
+  const step = KLINE_INTERVAL_MS[interval];
+  const store = loadStore(name);
+  const start = NOW - OPTS.lookbackDays * 86400000;
+  let s = Math.max(storeResumeFrom(store, start) - STORE_OVERLAP_MS, store.from);
   while (s < NOW) {
-    const e = Math.min(s + 89 * 86400000, NOW);
-    try {
-      const { data } = await client.withdrawHistory({ startTime: s, endTime: e, limit: 1000, status: 6 });
-      if (data?.length) all.push(...data);
-    } catch (err) { /* skip empty windows */ }
-    s = e;
+    const { data } = await withRetry(() => publicClient.klines(symbol, interval, { startTime: s, endTime: NOW, limit: KLINE_LIMIT }));
+    if (!data.length) break;
+    storeInsert(store, data.map(k => ({ time: k[0], close: parseFloat(k[4]) })), k => k.time);
+    // the newest candle is still open, so the cursor stays on it and the next run refreshes it
+    store.cursor = data[data.length - 1][0];
+    saveStore(name, store);
+    if (data.length < KLINE_LIMIT) break;
+    s = store.cursor + step;
     await sleep(200);
   }
-  return all;
+  return Object.values(store.records).filter(k => k.time >= start - step && k.time <= NOW).sort((a, b) => a.time - b.time);
+}
+
+// Every asset seen in one account's flows, income, balances or spot fills.
+function accountAssets(a) {
+  const assets = new Set();
+  for (const d of a.deposits) assets.add(d.coin);
+  for (const w of a.withdrawals) assets.add(w.coin);
+  for (const t of [...(a.subAccountTransfers || []), ...a.transfersToFutures, ...a.transfersFromFutures, ...(a.transfersToCoinm || []), ...(a.transfersFromCoinm || [])]) assets.add(t.asset);
+  for (const i of [...a.futuresIncome, ...(a.coinmIncome || [])]) assets.add(i.asset || 'USDT');
+  for (const b of [...a.spotBalances, ...(a.futuresBalances || []), ...(a.coinmAccount?.assets || [])]) assets.add(b.asset);
+  for (const t of a.spotTrades || []) { assets.add(t.baseAsset); assets.add(t.quoteAsset); assets.add(t.commissionAsset); }
+  assets.delete(undefined);
+  return assets;
+}
+
+// Every non-BTC, non-stable asset the report will have to value.
+function pricedAssets(accounts) {
+  const assets = new Set(accounts.flatMap(a => [...accountAssets(a)]));
+  return [...assets].filter(x => x && x !== 'BTC' && !STABLECOINS.includes(x)).sort();
+}
+
+// { ASSET: [{ time, close }] } with `close` in BTC per unit. Assets without a <ASSET>BTC pair
+// go through <ASSET>USDT and that day's BTC/USDT close.
+async function getAssetPrices(assets, priceMap, dailyPrices) {
+  const assetPrices = {};
+  for (const asset of assets) {
+    const direct = priceMap[`${asset}BTC`] !== undefined;
+    const symbol = direct ? `${asset}BTC` : `${asset}USDT`;
+    if (!direct && priceMap[symbol] === undefined) { log(`   ${asset}: no BTC or USDT pair, valued at today's price`); continue; }
+    try {
+      const candles = await syncKlines(symbol, '1d');
+      assetPrices[asset] = direct ? candles : candles.map(k => ({ time: k.time, close: k.close / (candleCloseAt(k.time, dailyPrices) || priceMap['BTCUSDT']) }));
+      log(`   ${asset}: ${candles.length} daily candles via ${symbol}`);
+    } catch (err) {
+      log(`   ${asset}: ${err.message}, valued at today's price`);
+    }
+  }
+  return assetPrices;
 }
 
-async function getTransferHistory(type) {
-  const TRANSFER_LOOKBACK = 730 * 86400000;
-  const all = [];
-  let s = NOW - TRANSFER_LOOKBACK;
+// === Funding rates ===
+// Market funding history for every perpetual we were paid or charged funding on, cached as
+// funding/<symbol>. USD-M symbols come from /fapi, COIN-M ones (…USD_PERP) from /dapi.
+const FUNDING_RATE_LIMIT = 1000;
+
+async function syncFundingRates(symbol, market) {
+  const name = `funding/${symbol}`;
+  const request = market === 'COIN-M' ? dapiRequest : fapiRequest;
+  const endpoint = market === 'COIN-M' ? '/dapi/v1/fundingRate' : '/fapi/v1/fundingRate';
+  const store = loadStore(name);
+  let s = Math.max(storeResumeFrom(store, START_TIME) - STORE_OVERLAP_MS, store.from);
   while (s < NOW) {
-    const e = Math.min(s + 29 * 86400000, NOW);
+    const batch = await withRetry(() => request(null, endpoint, { symbol, startTime: s, endTime: NOW, limit: FUNDING_RATE_LIMIT }));
+    if (!Array.isArray(batch) || !batch.length) break;
+    storeInsert(store, batch.map(r => ({ time: r.fundingTime, rate: parseFloat(r.fundingRate) })), r => r.time);
+    store.cursor = batch[batch.length - 1].fundingTime;
+    saveStore(name, store);
+    if (batch.length < FUNDING_RATE_LIMIT) break;
+    s = store.cursor + 1;
+    await sleep(200);
+  }
+  return Object.values(store.records).filter(r => r.time >= START_TIME && r.time <= NOW).sort((a, b) => a.time - b.time);
+}
+
+// { SYMBOL: [{ time, rate }] } for each symbol with FUNDING_FEE income in any account, plus the
+// BTCUSDT perpetual that the passive carry benchmark is short.
+async function getFundingRates(accounts) {
+  const symbols = new Map([[CARRY_SYMBOL, 'USD-M']]);
+  for (const a of accounts) {
+    for (const i of a.futuresIncome) if (i.incomeType === 'FUNDING_FEE' && i.symbol) symbols.set(i.symbol, 'USD-M');
+    for (const i of a.coinmIncome) if (i.incomeType === 'FUNDING_FEE' && i.symbol) symbols.set(i.symbol, 'COIN-M');
+  }
+  const fundingRates = {};
+  for (const [symbol, market] of symbols) {
+    try {
+      fundingRates[symbol] = await syncFundingRates(symbol, market);
+    } catch (err) {
+      log(`   ${symbol}: ${err.message}; carry vs. market not available`);
+    }
+  }
+  log(`   ${Object.keys(fundingRates).length} symbols, ${Object.values(fundingRates).reduce((n, r) => n + r.length, 0).toLocaleString()} funding events`);
+  return fundingRates;
+}
+
+// Mark price of every USD-M and COIN-M perpetual, for position notionals.
+async function getMarkPrices() {
+  const markPrices = {};
+  for (const [request, endpoint] of [[fapiRequest, '/fapi/v1/premiumIndex'], [dapiRequest, '/dapi/v1/premiumIndex']]) {
+    try {
+      const rows = await withRetry(() => request(null, endpoint));
+      for (const r of rows) markPrices[r.symbol] = parseFloat(r.markPrice);
+    } catch (err) {
+      log(`   ${endpoint}: ${err.message}; notionals fall back to entry price + unrealized PnL`);
+    }
+  }
+  return markPrices;
+}
+
+// Deposit and withdrawal history is stored in every status, keyed on Binance's `id` (a pending
+// withdrawal has no txId yet), and only finished rows are read back: deposit status 1 (success),
+// withdrawal status 6 (completed). Deposits 0/6/8 and withdrawals 0/2/4 may still get there.
+const DEPOSIT_DONE = 1;
+const DEPOSIT_PENDING = [0, 6, 8];
+const WITHDRAWAL_DONE = 6;
+const WITHDRAWAL_PENDING = [0, 2, 4];
+
+// Withdrawal times come as "YYYY-MM-DD HH:mm:ss" in UTC with no zone, which Date would read as
+// local time; internal transfers rebuilt as withdrawals carry a full ISO string instead.
+const utcTime = s => new Date(/Z$|[+-]\d\d:?\d\d$/.test(s) ? s : `${s.replace(' ', 'T')}Z`).getTime();
+
+async function getDeposits(acct) {
+  // Fetch ALL deposits since account creation (--lookback, 2 years by default, to capture everything)
+  const DEPOSIT_LOOKBACK = OPTS.lookbackDays * 86400000;
+  const all = await syncWindowedStore(`${acct.name}/deposits`, DEPOSIT_LOOKBACK, 89 * 86400000, async (s, e) => {
+    const { data } = await acct.client.depositHistory({ startTime: s, endTime: e, limit: 1000 });
+    return data || [];
+  }, d => d.id, 200, d => DEPOSIT_PENDING.includes(d.status) ? d.insertTime : null);
+  return all.filter(d => d.status === DEPOSIT_DONE && d.insertTime >= NOW - DEPOSIT_LOOKBACK && d.insertTime <= NOW);
+}
+
+async function getWithdrawals(acct) {
+  const WITHDRAW_LOOKBACK = OPTS.lookbackDays * 86400000;
+  const all = await syncWindowedStore(`${acct.name}/withdrawals`, WITHDRAW_LOOKBACK, 89 * 86400000, async (s, e) => {
+    const { data } = await acct.client.withdrawHistory({ startTime: s, endTime: e, limit: 1000 });
+    return data || [];
+  }, w => w.id, 200, w => WITHDRAWAL_PENDING.includes(w.status) ? utcTime(w.applyTime) : null);
+  return all.filter(w => { const t = utcTime(w.applyTime); return w.status === WITHDRAWAL_DONE && t >= NOW - WITHDRAW_LOOKBACK && t <= NOW; });
+}
+
+async function getTransferHistory(acct, type) {
+  const TRANSFER_LOOKBACK = OPTS.lookbackDays * 86400000;
+  const all = await syncWindowedStore(`${acct.name}/transfers-${type}`, TRANSFER_LOOKBACK, 29 * 86400000, async (s, e) => {
+    const rows = [];
     let current = 1;
     while (true) {
-      try {
-        const { data } = await client.signRequest('GET', '/sapi/v1/asset/transfer', { type, size: 100, current, startTime: s, endTime: e });
-        if (!data.rows?.length) break;
-        all.push(...data.rows);
-        if (all.length >= (data.total || 0)) break;
-        current++;
-      } catch { break; }
+      const { data } = await acct.client.signRequest('GET', '/sapi/v1/asset/transfer', { type, size: 100, current, startTime: s, endTime: e });
+      if (!data.rows?.length) break;
+      rows.push(...data.rows);
+      if (rows.length >= (data.total || 0)) break;
+      current++;
       await sleep(200);
     }
-    s = e;
-    await sleep(100);
+    return rows;
+  }, t => t.tranId);
+  return all.filter(t => t.timestamp >= NOW - TRANSFER_LOOKBACK && t.timestamp <= NOW);
+}
+
+// Transfers between this sub-account and its master / sibling sub-accounts. They never show up
+// in deposit or withdrawal history, so without them a sub-account's balance jumps unexplained.
+async function getSubAccountTransfers(acct) {
+  const TRANSFER_LOOKBACK = OPTS.lookbackDays * 86400000;
+  const all = await syncWindowedStore(`${acct.name}/sub-account-transfers`, TRANSFER_LOOKBACK, 29 * 86400000, async (s, e) => {
+    const { data } = await acct.client.signRequest('GET', '/sapi/v1/sub-account/transfer/subUserHistory', { startTime: s, endTime: e, limit: 500 });
+    return Array.isArray(data) ? data.filter(t => t.status === 'SUCCESS') : [];
+  }, t => t.tranId);
+  return all.filter(t => t.time >= NOW - TRANSFER_LOOKBACK && t.time <= NOW);
+}
+
+// Binance's own end-of-day balance snapshots (23:59:59 UTC) for SPOT and USD-M FUTURES. One call
+// covers under 30 days and weighs 2400 of the 12000-per-minute budget, hence the long pause.
+const SNAPSHOT_CALL_GAP_MS = 12500;
+
+async function getAccountSnapshots(acct, type) {
+  const lookback = NOW - Math.min(START_TIME, OPTS.botStart ?? START_TIME) + 2 * 86400000;
+  try {
+    const all = await syncWindowedStore(`${acct.name}/snapshots-${type.toLowerCase()}`, lookback, 29 * 86400000, async (s, e) => {
+      const { data } = await acct.client.accountSnapshot(type, { startTime: s, endTime: e, limit: 30 });
+      return data.snapshotVos || [];
+    }, v => v.updateTime, SNAPSHOT_CALL_GAP_MS, null, false);
+    return all.filter(v => v.updateTime <= NOW).sort((a, b) => a.updateTime - b.updateTime);
+  } catch (err) {
+    log(`   ${type} snapshots not available (${err.message})`);
+    return [];
   }
-  return all;
 }
 
-async function getFuturesIncome() {
-  const all = [];
-  let startTime = START_TIME;
+async function getFuturesIncome(acct) {
+  const name = `${acct.name}/income`;
+  const store = loadStore(name);
+  let startTime = storeResumeFrom(store, START_TIME);
   const incomeRetries = 15;
   let page = 0;
+  // tranId alone is not unique: a fill's REALIZED_PNL and COMMISSION rows can share it
+  const keyOf = inc => `${inc.tranId}:${inc.incomeType}:${inc.asset}`;
   while (true) {
     page++;
-    process.stdout.write(`   page ${page} (${all.length} records so far, from ${new Date(startTime).toISOString().slice(0,10)})...\r`);
-    const batch = await withRetry(() => fapiRequest('/fapi/v1/income', { startTime, limit: 1000 }), incomeRetries);
+    progress(`   page ${page} (${Object.keys(store.records).length} records stored, from ${new Date(startTime).toISOString().slice(0,10)})...\r`);
+    const batch = await withRetry(() => fapiRequest(acct, '/fapi/v1/income', { startTime, limit: 1000 }), incomeRetries);
     if (!Array.isArray(batch) || !batch.length) break;
-    all.push(...batch);
+    storeInsert(store, batch, keyOf);
     const lastTime = parseInt(batch[batch.length - 1].time);
+    // resume AT lastTime (not +1) so rows sharing the last millisecond are not lost between pages
+    store.cursor = lastTime > startTime ? lastTime : lastTime + 1;
+    saveStore(name, store);
     if (lastTime >= NOW || batch.length < 1000) break;
-    startTime = lastTime + 1;
+    startTime = store.cursor;
     await sleep(500);
   }
-  process.stdout.write('\n');
-  return all;
+  progress('\n');
+  return Object.values(store.records).filter(inc => { const t = parseInt(inc.time); return t >= START_TIME && t <= NOW; });
+}
+
+// COIN-M income. /dapi/v1/income caps a query at 200 days, so unlike the USD-M endpoint it is
+// paged inside fixed windows; the store cursor still advances page by page.
+const COINM_INCOME_WINDOW_MS = 180 * 86400000;
+
+async function getCoinmIncome(acct) {
+  const name = `${acct.name}/income-coinm`;
+  const store = loadStore(name);
+  let startTime = storeResumeFrom(store, START_TIME);
+  const keyOf = inc => `${inc.tranId}:${inc.incomeType}:${inc.asset}`;
+  while (startTime < NOW) {
+    const windowEnd = Math.min(startTime + COINM_INCOME_WINDOW_MS, NOW);
+    progress(`   COIN-M income from ${new Date(startTime).toISOString().slice(0, 10)} (${Object.keys(store.records).length} records stored)...\r`);
+    const batch = await withRetry(() => dapiRequest(acct, '/dapi/v1/income', { startTime, endTime: windowEnd, limit: 1000 }), 15);
+    const rows = Array.isArray(batch) ? batch : [];
+    storeInsert(store, rows, keyOf);
+    if (rows.length < 1000) {
+      store.cursor = windowEnd;
+    } else {
+      const lastTime = parseInt(rows[rows.length - 1].time);
+      store.cursor = lastTime > startTime ? lastTime : lastTime + 1;
+    }
+    saveStore(name, store);
+    startTime = store.cursor;
+    await sleep(500);
+  }
+  progress('\n');
+  return Object.values(store.records).filter(inc => { const t = parseInt(inc.time); return t >= START_TIME && t <= NOW; });
+}
+
+// Face value of one COIN-M contract: 100 USD for BTC, 10 USD for every other coin.
+const coinmContractUsd = symbol => symbol.startsWith('BTCUSD') ? 100 : 10;
+
+// COIN-M account state, or null when the account has no COIN-M futures wallet enabled.
+async function getCoinmAccount(acct) {
+  try {
+    return await withRetry(() => dapiRequest(acct, '/dapi/v1/account'));
+  } catch (err) {
+    log(`   COIN-M futures not available (${err.message}); skipping`);
+    return null;
+  }
+}
+
+// === Spot trades ===
+// /api/v3/myTrades needs a symbol, so candidate pairs are built from every asset the account has
+// touched against the usual quote assets, plus any `spotSymbols` named in the config.
+const SPOT_QUOTES = ['BTC', 'USDT', 'FDUSD', 'USDC', 'BNB', 'ETH'];
+
+function splitSymbol(symbol) {
+  const quote = SPOT_QUOTES.find(q => symbol.endsWith(q) && symbol.length > q.length);
+  return quote ? { symbol, baseAsset: symbol.slice(0, -quote.length), quoteAsset: quote } : null;
+}
+
+function spotCandidates(acctData, extraSymbols, priceMap) {
+  const pairs = new Map();
+  for (const base of accountAssets(acctData)) {
+    for (const quote of SPOT_QUOTES) {
+      if (base !== quote && priceMap[base + quote] !== undefined) pairs.set(base + quote, { symbol: base + quote, baseAsset: base, quoteAsset: quote });
+    }
+  }
+  for (const symbol of extraSymbols) {
+    const pair = splitSymbol(symbol.toUpperCase());
+    if (pair) pairs.set(pair.symbol, pair); else log(`   spotSymbols: cannot tell the quote asset of ${symbol}; skipped`);
+  }
+  return [...pairs.values()];
+}
+
+// Fills for one symbol, paged by trade id from the very first one: the cost basis needs the whole
+// history, not just the report period. The store cursor is the next id to ask for.
+async function getSpotTrades(acct, { symbol, baseAsset, quoteAsset }) {
+  const name = `${acct.name}/trades-${symbol}`;
+  const store = loadStore(name);
+  if (store.cursor === null) { store.from = 0; store.cursor = 0; }
+  while (true) {
+    const { data } = await withRetry(() => acct.client.myTrades(symbol, { fromId: store.cursor, limit: 1000 }));
+    if (!data.length) break;
+    storeInsert(store, data, t => t.id);
+    store.cursor = data[data.length - 1].id + 1;
+    saveStore(name, store);
+    if (data.length < 1000) break;
+    await sleep(200);
+  }
+  return Object.values(store.records).filter(t => t.time <= NOW).map(t => ({ ...t, baseAsset, quoteAsset }));
+}
+
+// Per-position liquidation price and margin type; /fapi/v2/account does not carry them. An empty
+// list (and no liquidation prices in the report) if the endpoint is unavailable.
+async function getPositionRisk(acct, market) {
+  try {
+    const rows = await withRetry(() => market === 'COIN-M' ? dapiRequest(acct, '/dapi/v1/positionRisk') : fapiRequest(acct, '/fapi/v2/positionRisk'));
+    return (Array.isArray(rows) ? rows : []).filter(p => parseFloat(p.positionAmt) !== 0);
+  } catch (err) {
+    log(`   ${market} position risk not available (${err.message})`);
+    return [];
+  }
+}
+
+// true in Multi-Assets mode, false in Single-Asset mode, null if the endpoint is unavailable.
+async function getMultiAssetsMargin(acct) {
+  try {
+    const { multiAssetsMargin } = await withRetry(() => fapiRequest(acct, '/fapi/v1/multiAssetsMargin'));
+    return multiAssetsMargin;
+  } catch (err) {
+    log(`   margin mode not available (${err.message})`);
+    return null;
+  }
+}
+
+// BTC value of `amount` of any asset at `ts`. Alts use their daily history and fall back to
+// today's ticker only when there is none (delisted, or a snapshot taken before it was recorded).
+function toBtcAt(asset, amount, ts, prices) {
+  if (asset === 'BTC') return amount;
+  const bp = btcPriceAt(ts, prices);
+  if (STABLECOINS.includes(asset)) return bp ? amount / bp : 0;
+  const rate = candleCloseAt(ts, prices.assetPrices[asset]);
+  return rate === null ? toBtc(asset, amount, prices.priceMap) : amount * rate;
 }
 
-function buildWeeklyPnl(income, dailyPrices, btcPrice) {
+// USDT and BTC value of one income record. USD-M income is mostly USDT; COIN-M income (and
+// USD-M income in Multi-Assets mode) is paid in the margin coin itself.
+function incomeValue(inc, prices) {
+  const amt = parseFloat(inc.income);
+  const t = parseInt(inc.time);
+  const bp = btcPriceAt(t, prices);
+  const asset = inc.asset || 'USDT';
+  if (STABLECOINS.includes(asset)) return { usdt: amt, btc: bp ? amt / bp : 0, btcPrice: bp };
+  const btc = toBtcAt(asset, amt, t, prices);
+  return { usdt: btc * bp, btc, btcPrice: bp };
+}
+
+// The aggregators below take income already valued by valueAccount() (valueUsdt / valueBtc),
+// so each record is priced once no matter how many views it feeds.
+function buildWeeklyPnl(income) {
   const weekMs = 7 * 86400000;
   const weeks = {};
   for (const inc of income) {
@@ -190,15 +618,13 @@ function buildWeeklyPnl(income, dailyPrices, btcPrice) {
     const t = parseInt(inc.time);
     const weekStart = START_TIME + Math.floor((t - START_TIME) / weekMs) * weekMs;
     if (!weeks[weekStart]) weeks[weekStart] = { time: weekStart, pnlUsdt: 0, pnlBtc: 0 };
-    const usdt = parseFloat(inc.income);
-    const bp = btcPriceAt(t, dailyPrices) || btcPrice;
-    weeks[weekStart].pnlUsdt += usdt;
-    weeks[weekStart].pnlBtc += bp ? usdt / bp : 0;
+    weeks[weekStart].pnlUsdt += inc.valueUsdt;
+    weeks[weekStart].pnlBtc += inc.valueBtc;
   }
   return Object.values(weeks).sort((a, b) => a.time - b.time);
 }
 
-function buildMonthlyPnl(income, dailyPrices, btcPrice) {
+function buildMonthlyPnl(income) {
   const months = {};
   for (const inc of income) {
     if (inc.incomeType !== 'REALIZED_PNL' && inc.incomeType !== 'FUNDING_FEE' && inc.incomeType !== 'COMMISSION') continue;
@@ -206,15 +632,13 @@ function buildMonthlyPnl(income, dailyPrices, btcPrice) {
     const d = new Date(t);
     const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
     if (!months[key]) months[key] = { key, time: new Date(d.getFullYear(), d.getMonth(), 1).getTime(), pnlUsdt: 0, pnlBtc: 0 };
-    const usdt = parseFloat(inc.income);
-    const bp = btcPriceAt(t, dailyPrices) || btcPrice;
-    months[key].pnlUsdt += usdt;
-    months[key].pnlBtc += bp ? usdt / bp : 0;
+    months[key].pnlUsdt += inc.valueUsdt;
+    months[key].pnlBtc += inc.valueBtc;
   }
   return Object.values(months).sort((a, b) => a.time - b.time);
 }
 
-function buildIncomeTimeline(income, dailyPrices, btcPrice) {
+function buildIncomeTimeline(income) {
   const sorted = [...income]
     .filter(i => i.incomeType === 'REALIZED_PNL' || i.incomeType === 'FUNDING_FEE' || i.incomeType === 'COMMISSION')
     .sort((a, b) => parseInt(a.time) - parseInt(b.time));
@@ -224,17 +648,190 @@ function buildIncomeTimeline(income, dailyPrices, btcPrice) {
   for (const inc of sorted) {
     const t = parseInt(inc.time);
     const dayKey = Math.floor(t / 86400000) * 86400000;
-    const usdt = parseFloat(inc.income);
-    const bp = btcPriceAt(t, dailyPrices) || btcPrice;
-    const btcVal = bp ? usdt / bp : 0;
     if (!dayBuckets[dayKey]) dayBuckets[dayKey] = { time: dayKey, dailyBtc: 0, cumulativeBtc: 0 };
-    dayBuckets[dayKey].dailyBtc += btcVal;
+    dayBuckets[dayKey].dailyBtc += inc.valueBtc;
   }
   const days = Object.values(dayBuckets).sort((a, b) => a.time - b.time);
   for (const day of days) { cumBtc += day.dailyBtc; day.cumulativeBtc = cumBtc; }
   return days;
 }
 
+const SYMBOL_INCOME_KINDS = { REALIZED_PNL: 'realized', FUNDING_FEE: 'funding', COMMISSION: 'commission' };
+
+// Per-symbol daily buckets of realized PnL, funding and commissions, in BTC and USDT at the time
+// of each record. Trades are distinct tradeIds (commission records when there is none). Buckets
+// rather than totals, so the page can re-sum them from the Analysis Start Date.
+function buildSymbolDaily(income) {
+  const symbols = {};
+  for (const inc of income) {
+    const kind = SYMBOL_INCOME_KINDS[inc.incomeType];
+    if (!kind) continue;
+    const dayKey = Math.floor(parseInt(inc.time) / 86400000) * 86400000;
+    const symbol = inc.symbol || '(none)';
+    if (!symbols[symbol]) symbols[symbol] = {};
+    const days = symbols[symbol];
+    if (!days[dayKey]) days[dayKey] = { time: dayKey, realizedBtc: 0, fundingBtc: 0, commissionBtc: 0, realizedUsdt: 0, fundingUsdt: 0, commissionUsdt: 0, tradeIds: new Set() };
+    const d = days[dayKey];
+    d[`${kind}Btc`] += inc.valueBtc;
+    d[`${kind}Usdt`] += inc.valueUsdt;
+    const tradeId = inc.tradeId || (kind === 'commission' ? `tran-${inc.tranId}` : null);
+    if (kind !== 'funding' && tradeId) d.tradeIds.add(tradeId);
+  }
+  return Object.entries(symbols).map(([symbol, days]) => ({
+    symbol,
+    days: Object.values(days).sort((a, b) => a.time - b.time).map(({ tradeIds, ...d }) => ({ ...d, trades: tradeIds.size }))
+  }));
+}
+
+// Totals per symbol from `from` on, best contributor first.
+function summarizeSymbols(symbolDaily, from) {
+  const rows = [];
+  for (const { symbol, days } of symbolDaily) {
+    const inRange = days.filter(d => d.time >= from);
+    if (!inRange.length) continue;
+    const sum = f => inRange.reduce((s, d) => s + d[f], 0);
+    const r = {
+      symbol,
+      realizedBtc: sum('realizedBtc'), fundingBtc: sum('fundingBtc'), commissionBtc: sum('commissionBtc'),
+      realizedUsdt: sum('realizedUsdt'), fundingUsdt: sum('fundingUsdt'), commissionUsdt: sum('commissionUsdt'),
+      trades: sum('trades'), firstTime: inRange[0].time, lastTime: inRange[inRange.length - 1].time
+    };
+    rows.push({ ...r, netBtc: r.realizedBtc + r.fundingBtc + r.commissionBtc, netUsdt: r.realizedUsdt + r.fundingUsdt + r.commissionUsdt });
+  }
+  return rows.sort((a, b) => b.netBtc - a.netBtc);
+}
+
+// === Funding carry ===
+const FUNDING_INTERVAL_MS = 8 * 3600000;
+const FUNDING_MATCH_MS = 60000;
+const YEAR_MS = 365 * 86400000;
+
+// Market funding event a FUNDING_FEE record was paid on. Income rows are stamped at or a few
+// seconds after the funding time.
+function fundingRateAt(ts, rates) {
+  let lo = 0, hi = rates.length - 1, found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (rates[mid].time <= ts) { found = rates[mid]; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found && ts - found.time <= FUNDING_MATCH_MS ? found : null;
+}
+
+// Most symbols settle every 8 hours, some every 4 or 1; the typical gap between events tells.
+function fundingIntervalOf(rates) {
+  const gaps = rates.slice(1).map((r, i) => r.time - rates[i].time).sort((a, b) => a - b);
+  return gaps.length ? gaps[gaps.length >> 1] : FUNDING_INTERVAL_MS;
+}
+
+// Carry per symbol, against the market funding rate.
+// Each payment implies the notional it was paid on (|payment| / |rate|, USDT at the time) and the
+// side: a short receives a positive rate. Carry APR = matched payments / Σ(notional × interval),
+// annualized. The market benchmark holds the average notional on our dominant side through every
+// market funding event between our first and last payment.
+function buildFundingCarry(income, fundingRates) {
+  const bySymbol = {};
+  for (const inc of income) {
+    if (inc.incomeType !== 'FUNDING_FEE') continue;
+    const symbol = inc.symbol || '(none)';
+    if (!bySymbol[symbol]) bySymbol[symbol] = [];
+    bySymbol[symbol].push(inc);
+  }
+  let matchedUsdtAll = 0, notionalTimeAll = 0;
+  const symbols = Object.entries(bySymbol).map(([symbol, payments]) => {
+    payments.sort((a, b) => parseInt(a.time) - parseInt(b.time));
+    const rates = fundingRates[symbol] || [];
+    const interval = fundingIntervalOf(rates);
+    let receivedUsdt = 0, receivedBtc = 0, negative = 0, matched = 0, matchedUsdt = 0, notionalSum = 0, notionalTime = 0, shortNotional = 0, longNotional = 0;
+    for (const p of payments) {
+      receivedUsdt += p.valueUsdt;
+      receivedBtc += p.valueBtc;
+      if (p.valueUsdt < 0) negative++;
+      const r = fundingRateAt(parseInt(p.time), rates);
+      if (!r || !r.rate) continue;
+      const notional = Math.abs(p.valueUsdt / r.rate);
+      matched++;
+      matchedUsdt += p.valueUsdt;
+      notionalSum += notional;
+      notionalTime += notional * interval;
+      if (Math.sign(p.valueUsdt) === Math.sign(r.rate)) shortNotional += notional; else longNotional += notional;
+    }
+    matchedUsdtAll += matchedUsdt;
+    notionalTimeAll += notionalTime;
+    const firstTime = parseInt(payments[0].time), lastTime = parseInt(payments[payments.length - 1].time);
+    const side = shortNotional >= longNotional ? 'short' : 'long';
+    const sideSign = side === 'short' ? 1 : -1;
+    const avgNotionalUsdt = matched ? notionalSum / matched : 0;
+    const span = rates.filter(r => r.time >= firstTime - FUNDING_MATCH_MS && r.time <= lastTime);
+    const marketRate = span.length ? span.reduce((s, r) => s + r.rate, 0) / span.length : 0;
+    const impliedUsdt = span.reduce((s, r) => s + r.rate, 0) * avgNotionalUsdt * sideSign;
+    return {
+      symbol, market: payments[0].market, payments: payments.length, negative, matched,
+      receivedUsdt, receivedBtc, avgNotionalUsdt, side,
+      carryApr: notionalTime ? matchedUsdt / notionalTime * YEAR_MS : null,
+      marketApr: span.length ? marketRate * sideSign * YEAR_MS / interval : null,
+      marketEvents: span.length, impliedUsdt: span.length ? impliedUsdt : null,
+      captureRatio: span.length && impliedUsdt ? receivedUsdt / impliedUsdt : null,
+      firstTime, lastTime
+    };
+  }).sort((a, b) => b.receivedBtc - a.receivedBtc);
+  const implied = symbols.filter(s => s.impliedUsdt !== null);
+  const impliedUsdt = implied.length ? implied.reduce((s, r) => s + r.impliedUsdt, 0) : null;
+  return {
+    symbols,
+    receivedUsdt: symbols.reduce((s, r) => s + r.receivedUsdt, 0),
+    receivedBtc: symbols.reduce((s, r) => s + r.receivedBtc, 0),
+    impliedUsdt,
+    captureRatio: impliedUsdt ? implied.reduce((s, r) => s + r.receivedUsdt, 0) / impliedUsdt : null,
+    carryApr: notionalTimeAll ? matchedUsdtAll / notionalTimeAll * YEAR_MS : null
+  };
+}
+
+// Passive cash-and-carry benchmark: spot BTC held long and the BTCUSDT perpetual shorted at the same
+// notional, collecting its funding. Days without market rates assume Binance's base rate of 0.01%
+// per 8 hours.
+const CARRY_SYMBOL = 'BTCUSDT';
+const CARRY_BASE_RATE = 0.0001;
+
+// Funding rate summed per UTC day: [{ time, rate }].
+function carryDailyRates(rates) {
+  const days = {};
+  for (const r of rates) { const day = Math.floor(r.time / 86400000) * 86400000; days[day] = (days[day] || 0) + r.rate; }
+  return Object.entries(days).map(([time, rate]) => ({ time: Number(time), rate })).sort((a, b) => a.time - b.time);
+}
+
+// FUNDING_FEE income per funding interval (00:00 / 08:00 / 16:00 UTC buckets).
+function buildFundingIntervals(income) {
+  const buckets = {};
+  for (const inc of income) {
+    if (inc.incomeType !== 'FUNDING_FEE') continue;
+    const key = Math.floor(parseInt(inc.time) / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS;
+    if (!buckets[key]) buckets[key] = { time: key, btc: 0, usdt: 0, payers: new Set() };
+    buckets[key].btc += inc.valueBtc;
+    buckets[key].usdt += inc.valueUsdt;
+    if (inc.valueUsdt < 0) buckets[key].payers.add(inc.symbol);
+  }
+  return Object.values(buckets).sort((a, b) => a.time - b.time).map(({ payers, ...b }) => ({ ...b, paidOn: [...payers] }));
+}
+
+// Stretches of back-to-back intervals where net funding was negative (we paid).
+function negativeFundingRuns(intervals) {
+  const runs = [];
+  let run = null;
+  for (const iv of intervals) {
+    if (iv.btc >= 0) { run = null; continue; }
+    if (!run || iv.time - run.end > 0) {
+      run = { start: iv.time, end: iv.time + FUNDING_INTERVAL_MS, intervals: 0, btc: 0, usdt: 0, symbols: new Set() };
+      runs.push(run);
+    }
+    run.end = iv.time + FUNDING_INTERVAL_MS;
+    run.intervals++;
+    run.btc += iv.btc;
+    run.usdt += iv.usdt;
+    for (const s of iv.paidOn) run.symbols.add(s);
+  }
+  return runs.map(r => ({ ...r, symbols: [...r.symbols] }));
+}
+
 function linearRegression(points) {
   const n = points.length;
   if (n < 2) return { slope: 0, intercept: 0, r2: 0 };
@@ -291,9 +888,19 @@ function generateHTML(data) {
     initialCapitalBtc, preBotDepositsBtc, preBotWithdrawalsBtc,
     postBotDepositsBtc, postBotWithdrawalsBtc, totalCapitalDeployedBtc,
     depositsBeforeBot, depositsAfterBot, withdrawalsBeforeBot, withdrawalsAfterBot,
-    initialBalanceAtBotStartBtc, settledPnlDuringBotBtc,
-    cashFlowInitialBtc, cashFlowCapitalBtc, cashFlowPnlBtc
+    initialBalanceAtBotStartBtc, settledPnlDuringBotBtc, spotPnlDuringBotBtc = 0, spotTimeline = [],
+    postBotFeesBtc = 0, robotPnlNetBtc = robotPnlBtc, roiNetBtc = roiBtc, feeWithdrawals = [],
+    cashFlowInitialBtc, cashFlowCapitalBtc, cashFlowPnlBtc,
+    accountBreakdown = [], internalFlows = [], marketSplit = [], symbolDaily = [], futuresWallet = [], marginModes = [],
+    fundingCarry = { symbols: [] }, fundingIntervals = [], fundingRuns = [], exposure = null, exposureHistory = [], balanceJournal = null,
+    marginAccounts = [], measuredDrawdown = null, startCheck = null, coinmHeld = false, reconciliation = [], reconciliationTotal = null,
+    unitLedger = null, feeSchedule = null, carryRates = []
   } = data;
+  const multiAccount = accountBreakdown.length > 1;
+  const coinm = marketSplit.find(m => m.market === 'COIN-M');
+  const hasCoinm = Boolean(coinm && (coinm.valueBtc || coinm.records || coinm.positions));
+  const marginModeLabel = m => m === null ? 'unknown (not reported by the API)' : m ? 'Multi-Assets mode' : 'Single-Asset mode';
+  const futuresWalletBtc = futuresWallet.reduce((s, a) => s + a.valueBtc, 0);
 
   const fmt = v => (v === 0 || isNaN(v)) ? '0.00000000' : v.toFixed(8);
   const fmtS = v => (v === 0 || isNaN(v)) ? '0.0000' : v.toFixed(4);
@@ -311,14 +918,37 @@ function generateHTML(data) {
   const totalUnrealizedBtc = btcPrice ? totalUnrealizedUsdt / btcPrice : 0;
 
   const pnlChart = genPnlChart(incomeTimeline);
+  const fundingChart = genFundingChart(fundingIntervals, fundingRuns);
+  const exposureRows = [...futuresPositions].sort((a, b) => Math.abs(b.notionalUsdt) - Math.abs(a.notionalUsdt));
+  // closest to liquidation first; positions without a liquidation price last, largest first
+  const riskRows = [...futuresPositions].sort((a, b) => (a.liqDistance ?? Infinity) - (b.liqDistance ?? Infinity) || Math.abs(b.notionalUsdt) - Math.abs(a.notionalUsdt));
+  const dangerColor = level => (LIQUIDATION_DANGER.find(d => d.level === level) || { color: '#00c853' }).color;
+  const fmtMove = m => m === null ? 'out of reach' : `BTC ${m >= 0 ? '+' : ''}${(m * 100).toFixed(1)}%`;
+  const exposureOff = exposure && exposure.longShare !== null ? exposure.longShare - EXPOSURE_TARGET_LONG_SHARE : 0;
+  const fmtApr = v => v === null || v === undefined ? '—' : fmtPct(v);
   const weeklyChart = genWeeklyChart(weeklyPnl);
   const monthlyChart = genMonthlyChart(monthlyPnl);
   const trendChart = genTrendChart(monthlyPnl, forecast);
-  const drawdownChart = genDrawdownChart(incomeTimeline, totalBalanceBtc);
-  const equityCurve = genEquityCurve(incomeTimeline, totalBalanceBtc);
+  const hasFees = feeWithdrawals.length > 0;
+  // earliest Analysis Start Date the page offers
+  const pickerMin = Math.min(START_TIME, botStartTime - 30 * 86400000);
+  const feeMoney = v => feeSchedule && feeSchedule.currency === 'USD' ? `$${fmtU(v)}` : `${fmt(v)} BTC`;
+  const showCategories = withdrawalDetails.some(w => w.category && w.category !== 'capital_return');
+  // the real-balance path when the journal is long enough, income reconstruction dashed beside it
+  const equitySrc = balanceJournal ? { timeline: balanceJournal.days, totalBtc: balanceJournal.totalBtc } : { timeline: incomeTimeline, totalBtc: totalBalanceBtc };
+  const drawdownChart = genDrawdownChart(equitySrc.timeline, equitySrc.totalBtc, feeWithdrawals, balanceJournal?.reconstructed);
+  const equityCurve = genEquityCurve(equitySrc.timeline, equitySrc.totalBtc, feeWithdrawals, balanceJournal?.reconstructed);
+  const journalNote = balanceJournal ? ` — real balances from ${balanceJournal.backfillDays ? `Binance daily snapshots + the journal` : 'the journal'} (${balanceJournal.days.length} days${measuredDrawdown ? `, max drawdown ${fmt(measuredDrawdown.btc)} BTC / ${(measuredDrawdown.pct * 100).toFixed(2)}%` : ''}); dashed: reconstructed from income` : '';
   const rollingRoiChart = genRollingRoiChart(incomeTimeline, totalBalanceBtc);
 
-  const riskMetrics = computeRiskMetrics(incomeTimeline, totalBalanceBtc);
+  const riskMetrics = computeRiskMetrics(equitySrc.timeline, equitySrc.totalBtc);
+
+  // serializers for the RAW object the page recalculates from
+  const rawDaily = tl => `[${tl.map(d => `{t:${d.time},b:${d.dailyBtc.toFixed(12)}}`).join(',')}]`;
+  const rawDeposits = ds => `[${ds.map(d => `{t:${d.insertTime},btc:${d.btcValue.toFixed(12)},usdt:${d.usdtValue.toFixed(4)},coin:"${d.coin}",amt:${parseFloat(d.amount).toFixed(12)}}`).join(',')}]`;
+  const rawWithdrawals = ws => `[${ws.map(w => `{t:${w.timestamp},btc:${w.btcValue.toFixed(12)},usdt:${w.usdtValue.toFixed(4)},coin:"${w.coin}",amt:${parseFloat(w.amount).toFixed(12)}${w.category === 'performance_fee' ? ',fee:1' : ''}}`).join(',')}]`;
+  const rawSymbols = sd => `[${sd.map(x => `{s:${JSON.stringify(x.symbol)},d:[${x.days.map(d => `[${d.time},${+d.realizedBtc.toFixed(12)},${+d.fundingBtc.toFixed(12)},${+d.commissionBtc.toFixed(12)},${+d.realizedUsdt.toFixed(4)},${+d.fundingUsdt.toFixed(4)},${+d.commissionUsdt.toFixed(4)},${d.trades}]`).join(',')}]}`).join(',')}]`;
+  const rawMonthly = ms => `[${ms.map(m => `{k:"${m.key}",t:${m.time},b:${m.pnlBtc.toFixed(12)},u:${m.pnlUsdt.toFixed(4)}}`).join(',')}]`;
 
   const toBtcI = (usdt) => { if (!btcPrice || usdt === 0) return '0.00000000'; const v = usdt / btcPrice; return (v >= 0 ? '+' : '') + v.toFixed(8); };
 
@@ -377,6 +1007,8 @@ svg text{font-family:-apple-system,sans-serif}
 .date-picker-bar label{font-size:11px;color:var(--muted);text-transform:uppercase;letter-spacing:.5px}
 .date-picker-bar input[type=date]{background:#0d1117;border:1px solid var(--border);border-radius:8px;padding:8px 12px;color:var(--text);font-size:14px;font-family:'SF Mono',monospace;outline:none;cursor:pointer;color-scheme:dark}
 .date-picker-bar input[type=date]:focus{border-color:var(--accent)}
+.date-picker-bar select{background:#0d1117;border:1px solid var(--border);border-radius:8px;padding:8px 12px;color:var(--text);font-size:13px;outline:none;cursor:pointer}
+.tag-internal{display:inline-block;padding:1px 6px;border-radius:4px;font-size:9px;background:rgba(88,166,255,0.15);color:var(--accent)}
 .date-picker-bar .dp-info{font-size:12px;color:var(--muted);margin-left:auto}
 .date-picker-bar .dp-days{font-size:14px;font-weight:600;color:var(--accent);font-family:'SF Mono',monospace}
 .dyn-card .card-value{transition:color .3s}
@@ -415,7 +1047,9 @@ svg text{font-family:-apple-system,sans-serif}
 <div id="tab-summary" class="tab-panel active" role="tabpanel">
 <div class="date-picker-bar">
   <label for="startDate">Analysis Start Date</label>
-  <input type="date" id="startDate" value="${botStartDate}" min="${new Date(botStartTime - 30*86400000).toISOString().slice(0,10)}" max="${new Date(NOW).toISOString().slice(0,10)}">
+  <input type="date" id="startDate" value="${botStartDate}" min="${new Date(pickerMin).toISOString().slice(0,10)}" max="${new Date(NOW).toISOString().slice(0,10)}">
+  ${multiAccount ? `<label for="accountSel">Account</label>
+  <select id="accountSel"><option value="">All accounts (consolidated)</option>${accountBreakdown.map((a, i) => `<option value="${i}">${a.name}</option>`).join('')}</select>` : ''}
   <span class="dp-info">Period: <span class="dp-days" id="dpDays">&mdash;</span> days &mdash; ending ${fmtDate(NOW)}</span>
 </div>
 
@@ -427,7 +1061,9 @@ svg text{font-family:-apple-system,sans-serif}
   <div class="card dyn-card"><div class="card-label">Robot P&L — incl. Unrealized</div><div class="card-value" id="cPnl">&mdash;</div><div class="card-sub" id="cPnlSub">&mdash;</div></div>
   <div class="card dyn-card"><div class="card-label">ROI in BTC (incl. Unrealized)</div><div class="card-value" id="cRoi">&mdash;</div><div class="card-sub" id="cRoiSub">&mdash;</div></div>
   <div class="card dyn-card"><div class="card-label">ROI in BTC (Realized only)</div><div class="card-value" id="cRoiRealized">&mdash;</div><div class="card-sub" id="cRoiRealizedSub">&mdash;</div></div>
-  <div class="card dyn-card"><div class="card-label">Monthly ROI (avg)</div><div class="card-value" id="cMonthlyRoi">&mdash;</div><div class="card-sub" id="cTrend">&mdash;</div></div>
+${hasFees ? `  <div class="card dyn-card"><div class="card-label">Robot P&L — net of performance fees</div><div class="card-value" id="cPnlNet">&mdash;</div><div class="card-sub" id="cPnlNetSub">&mdash;</div></div>
+  <div class="card dyn-card"><div class="card-label">ROI in BTC (net of fees)</div><div class="card-value" id="cRoiNet">&mdash;</div><div class="card-sub" id="cRoiNetSub">&mdash;</div></div>
+` : ''}  <div class="card dyn-card"><div class="card-label">Monthly ROI (avg)</div><div class="card-value" id="cMonthlyRoi">&mdash;</div><div class="card-sub" id="cTrend">&mdash;</div></div>
 </div>
 
 <div class="grid">
@@ -446,6 +1082,45 @@ svg text{font-family:-apple-system,sans-serif}
 </div>
 <p style="font-size:11px;color:var(--muted);margin-top:-12px;margin-bottom:24px">Open positions snapshot is taken at report generation time and does NOT depend on Analysis Start Date. For historical win rate, see Daily Win Rate in Risk Metrics (Charts &amp; data tab).</p>
 
+${exposure && exposure.positions ? `<h2 class="section-title">Exposure — Long / Short Balance <span style="font-size:11px;color:var(--muted);font-weight:400">(open positions at mark price, now; target ${fmtPct(EXPOSURE_TARGET_LONG_SHARE)} long)</span></h2>
+<div class="grid">
+  <div class="card" style="grid-row:span 2;text-align:center"><div class="card-label">Long share of gross notional</div>${genExposureGauge(exposure.longShare)}<div class="card-sub">${Math.abs(exposureOff) < 0.05 ? 'within 5 pp of the 50/50 target' : `${(Math.abs(exposureOff) * 100).toFixed(1)} pp ${exposureOff > 0 ? 'too long' : 'too short'} vs. 50/50`}</div></div>
+  <div class="card"><div class="card-label">Gross long</div><div class="card-value positive">${fmt(exposure.longBtc)} BTC</div><div class="card-sub">$${fmtU(exposure.longBtc * btcPrice)} in ${futuresPositions.filter(p => p.notionalUsdt > 0).length} positions</div></div>
+  <div class="card"><div class="card-label">Gross short</div><div class="card-value negative">${fmt(exposure.shortBtc)} BTC</div><div class="card-sub">$${fmtU(exposure.shortBtc * btcPrice)} in ${futuresPositions.filter(p => p.notionalUsdt < 0).length} positions</div></div>
+  <div class="card"><div class="card-label">Long / short ratio</div><div class="card-value">${exposure.shortBtc ? (exposure.longBtc / exposure.shortBtc).toFixed(2) : '∞'}</div><div class="card-sub">target 1.00</div></div>
+  <div class="card"><div class="card-label">Net delta (incl. BTC collateral)</div><div class="card-value ${exposure.netDeltaBtc >= 0 ? 'positive' : 'negative'}">${exposure.netDeltaBtc >= 0 ? '+' : ''}${fmt(exposure.netDeltaBtc)} BTC</div><div class="card-sub">${fmt(exposure.btcHeld)} BTC held ${exposure.positionDeltaBtc >= 0 ? '+' : '−'} ${fmt(Math.abs(exposure.positionDeltaBtc))} net positions</div></div>
+  <div class="card"><div class="card-label">Gross leverage</div><div class="card-value">${exposure.grossLeverage.toFixed(2)}x</div><div class="card-sub">(long + short) / portfolio ${fmt(totalBalanceBtc)} BTC</div></div>
+</div>
+<details style="margin-bottom:16px"><summary style="cursor:pointer;font-size:12px;color:var(--muted)">Breakdown by position (${exposureRows.length}, largest first)</summary>
+<table><thead><tr><th>Symbol</th>${multiAccount ? '<th>Account</th>' : ''}${hasCoinm ? '<th>Market</th>' : ''}<th>Side</th><th>Mark</th><th>Notional (USD)</th><th>Notional (BTC)</th><th>Share of gross</th></tr></thead>
+<tbody>${exposureRows.map(p => `<tr><td><strong>${p.symbol}</strong></td>${multiAccount ? `<td>${p.account}</td>` : ''}${hasCoinm ? `<td>${p.market}</td>` : ''}<td class="${p.notionalUsdt > 0 ? 'positive' : 'negative'}">${p.notionalUsdt > 0 ? 'LONG' : 'SHORT'}</td><td>${p.mark === null ? '-' : p.mark.toPrecision(6)}</td><td>${fmtU(p.notionalUsdt)}</td><td>${fmt(btcPrice ? p.notionalUsdt / btcPrice : 0)}</td><td>${fmtPct(exposure.grossBtc && btcPrice ? Math.abs(p.notionalUsdt) / btcPrice / exposure.grossBtc : 0)}</td></tr>`).join('')}</tbody></table></details>
+${exposureHistory.length > 1 ? `<div class="chart-box"><h3>Exposure drift — long share of gross notional (${exposureHistory.length} snapshots, dashed: 50/50 target)</h3>${genExposureDriftChart(exposureHistory, 'longShare', v => (v * 100).toFixed(0) + '%', EXPOSURE_TARGET_LONG_SHARE)}</div>
+<div class="chart-box"><h3>Exposure drift — net delta incl. BTC collateral (BTC)</h3>${genExposureDriftChart(exposureHistory, 'netDeltaBtc', v => v.toFixed(4), 0)}</div>` : '<p style="font-size:11px;color:var(--muted);margin-bottom:24px">Each online run records an exposure snapshot; the drift charts appear once there are two or more.</p>'}` : ''}
+
+${futuresPositions.length ? `<h2 class="section-title">Margin &amp; Liquidation Risk <span style="font-size:11px;color:var(--muted);font-weight:400">(now; sorted by distance to liquidation; red &lt; ${LIQUIDATION_DANGER[0].below * 100}%, orange &lt; ${LIQUIDATION_DANGER[1].below * 100}%, yellow &lt; ${LIQUIDATION_DANGER[2].below * 100}%)</span></h2>
+${marginAccounts.map(m => `<div class="grid">
+  <div class="card"><div class="card-label">Margin ratio${multiAccount ? ` — ${m.name}` : ''}</div><div class="card-value" style="color:${m.marginRatio >= MARGIN_CALL_RATIO ? '#ff1744' : m.marginRatio >= MARGIN_CALL_RATIO / 2 ? '#ff9100' : '#00c853'}">${m.marginRatio === null ? 'N/A' : fmtPct(m.marginRatio)}</div><div class="card-sub">maintenance ÷ margin balance (USDⓈ-M); margin call at ${fmtPct(MARGIN_CALL_RATIO)}, liquidation at 100%</div></div>
+  <div class="card"><div class="card-label">Margin balance</div><div class="card-value">$${fmtU(m.marginBalanceUsdt)}</div><div class="card-sub">maintenance $${fmtU(m.maintMarginUsdt)}; available $${fmtU(m.availableUsdt)}</div></div>
+  <div class="card"><div class="card-label">Move to margin call</div><div class="card-value">${fmtMove(m.marginCallMove)}</div><div class="card-sub">net delta $${fmtU(m.deltaUsdt)}; everything assumed to move with BTC</div></div>
+  <div class="card"><div class="card-label">Move to liquidation</div><div class="card-value">${fmtMove(m.liquidationMove)}</div><div class="card-sub">account-wide cross margin</div></div>
+</div>`).join('')}
+<table><thead><tr><th>Symbol</th>${multiAccount ? '<th>Account</th>' : ''}${hasCoinm ? '<th>Market</th>' : ''}<th>Side</th><th>Size</th><th>Mark</th><th>Notional (USD)</th><th>Mode</th><th>Margin used (USD)</th><th>ROE</th><th>Liq. price</th><th>Distance</th></tr></thead>
+<tbody>${riskRows.map(p => `<tr${p.danger ? ` style="background:${dangerColor(p.danger)}1f"` : ''}><td><strong>${p.symbol}</strong></td>${multiAccount ? `<td>${p.account}</td>` : ''}${hasCoinm ? `<td>${p.market}</td>` : ''}<td class="${p.qty > 0 ? 'positive' : 'negative'}">${p.qty > 0 ? 'LONG' : 'SHORT'}</td><td>${Math.abs(p.qty)}</td><td>${p.mark === null ? '-' : p.mark.toPrecision(6)}</td><td>${fmtU(p.notionalUsdt)}</td><td>${p.marginType}</td><td>${fmtU(p.marginUsdt)}</td><td class="${p.roe >= 0 ? 'positive' : 'negative'}">${p.roe === null ? '-' : fmtPct(p.roe)}</td><td>${p.liquidationPrice === null ? '-' : p.liquidationPrice === 0 ? 'none' : p.liquidationPrice.toPrecision(6)}</td><td style="color:${p.liqDistance === null ? 'var(--muted)' : dangerColor(p.danger)};font-weight:700">${p.liqDistance === null ? '-' : fmtPct(p.liqDistance)}</td></tr>`).join('')}</tbody></table>
+` : ''}
+${multiAccount ? `<h2 class="section-title">Per-account breakdown <span style="font-size:11px;color:var(--muted);font-weight:400">(since bot start ${botStartDate}; each account's own flows, transfers between our accounts included)</span></h2>
+<table><thead><tr><th>Account</th><th>Portfolio (BTC)</th><th>Unrealized (BTC)</th><th>Start balance</th><th>Deposits</th><th>Withdrawals</th><th>Capital deployed</th><th>Robot P&amp;L (BTC)</th><th>ROI</th><th>Share of portfolio</th></tr></thead>
+<tbody>${accountBreakdown.map(a => { const c = a.robotPnlBtc >= 0 ? 'positive' : 'negative'; return `<tr><td><strong>${a.name}</strong>${a.subAccount ? ' <span style="color:var(--muted)">(sub)</span>' : ''}</td><td>${fmt(a.totalBalanceBtc)}</td><td>${fmt(a.totalUnrealizedBtc)}</td><td>${fmt(a.initialBalanceAtBotStartBtc)}</td><td>+${fmt(a.postBotDepositsBtc)}</td><td>-${fmt(a.postBotWithdrawalsBtc)}</td><td>${fmt(a.totalCapitalDeployedBtc)}</td><td class="${c}">${a.robotPnlBtc >= 0 ? '+' : ''}${fmt(a.robotPnlBtc)}</td><td class="${c}">${fmtPct(a.roiBtc)}</td><td>${fmtPct(totalBalanceBtc ? a.totalBalanceBtc / totalBalanceBtc : 0)}</td></tr>`; }).join('')}
+<tr style="font-weight:700"><td>Consolidated</td><td>${fmt(totalBalanceBtc)}</td><td>${fmt(totalUnrealizedBtc)}</td><td>${fmt(initialBalanceAtBotStartBtc)}</td><td>+${fmt(postBotDepositsBtc)}</td><td>-${fmt(postBotWithdrawalsBtc)}</td><td>${fmt(totalCapitalDeployedBtc)}</td><td class="${robotPnlBtc >= 0 ? 'positive' : 'negative'}">${pnlSign}${fmt(robotPnlBtc)}</td><td class="${robotPnlBtc >= 0 ? 'positive' : 'negative'}">${fmtPct(roiBtc)}</td><td>100.00%</td></tr></tbody></table>
+<p style="font-size:11px;color:var(--muted);margin-top:-8px;margin-bottom:24px">Per-account rows count transfers between our own accounts as that account's deposits / withdrawals; the consolidated row leaves them out, so account P&amp;L adds up to the consolidated P&amp;L while deposits and withdrawals do not.</p>` : ''}${unitLedger ? `
+
+<h2 class="section-title">Investor Units <span style="font-size:11px;color:var(--muted);font-weight:400">(since bot start ${botStartDate}; 1 unit = 1 BTC at bot start, deposits buy units and withdrawals redeem them at the NAV of the day)</span></h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">NAV now <strong>${fmt(unitLedger.navBtc)} BTC</strong> per unit ($${fmtU(unitLedger.navUsdt)}), ${fmt(unitLedger.units)} units outstanding worth ${fmt(unitLedger.equityBtc)} BTC. Performance fees are paid by the pool and lower the NAV; unrealized P&amp;L is only in the last point.</p>
+${genExposureDriftChart(unitLedger.points, 'nav', v => v.toFixed(6), 1)}
+<table><thead><tr><th>Investor</th><th>Units</th><th>Share</th><th>Value (BTC)</th><th>Value (USD)</th><th>Contributed (BTC)</th><th>Redeemed (BTC)</th><th>P&amp;L (BTC)</th><th>Time-weighted return</th><th>Since</th></tr></thead>
+<tbody>${unitLedger.investors.map(i => { const c = i.pnlBtc >= 0 ? 'positive' : 'negative'; return `<tr${i.overdrawn ? ' style="background:#ff17441f"' : ''}><td><strong>${i.name}</strong>${i.name === UNASSIGNED_INVESTOR ? ' <span style="color:var(--muted)">(no ledger rule)</span>' : ''}</td><td>${fmt(i.units)}</td><td>${fmtPct(i.share)}</td><td>${fmt(i.valueBtc)}</td><td>$${fmtU(i.valueUsdt)}</td><td>${fmt(i.contributedBtc)}</td><td>${fmt(i.redeemedBtc)}</td><td class="${c}">${i.pnlBtc >= 0 ? '+' : ''}${fmt(i.pnlBtc)}</td><td class="${c}">${fmtPct(i.twr)}</td><td>${fmtDate(i.since)}</td></tr>`; }).join('')}</tbody></table>
+<table><thead><tr><th>Date</th><th>Investor</th><th>Movement</th>${multiAccount ? '<th>Account</th>' : ''}<th>Asset</th><th>Amount</th><th>BTC Value</th><th>NAV</th><th>Units</th><th>Units after</th><th>Matched by</th></tr></thead>
+<tbody>${unitLedger.movements.map(m => `<tr><td>${fmtDate(m.time)}</td><td>${m.investor}</td><td>${m.kind}</td>${multiAccount ? `<td>${m.account || '-'}</td>` : ''}<td>${m.coin}</td><td>${Math.abs(m.amount).toFixed(m.coin === 'BTC' ? 8 : 2)}</td><td class="${m.btcValue >= 0 ? 'positive' : 'negative'}">${fmt(m.btcValue)}</td><td>${fmt(m.nav)}</td><td>${m.units >= 0 ? '+' : ''}${fmt(m.units)}</td><td>${fmt(m.unitsAfter)}</td><td>${m.kind === 'start' ? 'start share' : m.rule || '-'}</td></tr>`).join('')}</tbody></table>` : ''}
+
 <!-- FORECAST CALCULATOR -->
 <div class="calc-section" id="calculator">
 <h2>BTC Accumulation Forecast</h2>
@@ -459,10 +1134,10 @@ svg text{font-family:-apple-system,sans-serif}
 </div>
 
 <div id="tab-charts" class="tab-panel" role="tabpanel">
-${equityCurve ? `<div class="chart-box"><h3>Equity Curve — Compound Growth (BTC)</h3>${equityCurve}</div>` : ''}
-${drawdownChart ? `<div class="chart-box"><h3>Drawdown from Peak (BTC)</h3>${drawdownChart}</div>` : ''}
+${equityCurve ? `<div class="chart-box"><h3>Equity Curve — Compound Growth (BTC)${journalNote}</h3>${equityCurve}</div>` : ''}
+${drawdownChart ? `<div class="chart-box"><h3>Drawdown from Peak (BTC)${journalNote}</h3>${drawdownChart}</div>` : ''}
 
-<h2 class="section-title">Risk Metrics <span style="font-size:11px;color:var(--muted);font-weight:400">(dynamic — recalculated from Analysis Start Date)</span></h2>
+<h2 class="section-title">Risk Metrics <span style="font-size:11px;color:var(--muted);font-weight:400">(dynamic — recalculated from Analysis Start Date; <span id="rmSource">&mdash;</span>)</span></h2>
 <div class="grid">
   <div class="card dyn-card"><div class="card-label">Sharpe Ratio (ann.)</div><div class="card-value" id="rmSharpe">&mdash;</div><div class="card-sub">daily return % / volatility × √365</div></div>
   <div class="card dyn-card"><div class="card-label">Max Drawdown</div><div class="card-value negative" id="rmMaxDD">&mdash;</div><div class="card-sub" id="rmMaxDDsub">&mdash;</div></div>
@@ -472,12 +1147,51 @@ ${drawdownChart ? `<div class="chart-box"><h3>Drawdown from Peak (BTC)</h3>${dra
   <div class="card dyn-card"><div class="card-label">Profit Factor</div><div class="card-value" id="rmPF">&mdash;</div><div class="card-sub">gross profit / gross loss</div></div>
 </div>
 
+<h2 class="section-title">Benchmarks <span style="font-size:11px;color:var(--muted);font-weight:400">(dynamic — recalculated from Analysis Start Date; same capital and flows, valued in BTC at daily closes)</span></h2>
+<div class="grid">
+  <div class="card dyn-card"><div class="card-label">Beta to BTC price</div><div class="card-value" id="bmBeta">&mdash;</div><div class="card-sub">daily BTC return vs. BTC/USD daily return</div></div>
+  <div class="card dyn-card"><div class="card-label">Correlation to BTC price</div><div class="card-value" id="bmCorr">&mdash;</div><div class="card-sub" id="bmCorrSub">&mdash;</div></div>
+</div>
+<div class="chart-box"><h3>Equity vs. Benchmarks (BTC, gross of performance fees)</h3><div id="bmChart"></div></div>
+<table><thead><tr><th>Strategy</th><th>Value now (BTC)</th><th>Value now (USD)</th><th>P&amp;L (BTC)</th><th>Return on capital</th><th>Bot excess return</th><th>Tracking error (ann.)</th><th>Information ratio</th></tr></thead>
+<tbody id="bmTable"></tbody></table>
+<p style="font-size:11px;color:var(--muted);margin-top:-8px;margin-bottom:24px"><span id="bmNote"></span> Each benchmark starts from the balance at the Analysis Start Date and takes the same deposits and withdrawals. <em>Hold BTC</em> keeps them in BTC; <em>Hold USD</em> keeps their dollar value; <em>Cash-and-carry</em> holds spot BTC against a short BTCUSDT perpetual of the same size and collects its funding, so its dollar value grows by the funding rate. Performance fees are added back to the bot, as a passive holder would not pay them. Daily returns use settled P&amp;L; unrealized P&amp;L only enters the values now. Tracking error is the annualized volatility of the bot's daily return minus the benchmark's; the information ratio is their annualized mean difference over it.</p>
+
 ${rollingRoiChart ? `<div class="chart-box"><h3>Rolling 30-Day PNL (BTC) — Performance Stability</h3>${rollingRoiChart}</div>` : ''}
 ${pnlChart ? `<div class="chart-box"><h3>Cumulative PNL (BTC) — Realized + Funding + Commissions</h3>${pnlChart}</div>` : ''}
 ${weeklyChart ? `<div class="chart-box"><h3>Weekly PNL (BTC)</h3>${weeklyChart}</div>` : ''}
 ${monthlyChart ? `<div class="chart-box"><h3>Monthly PNL (BTC) with Trend Line</h3>${monthlyChart}</div>` : ''}
 ${trendChart ? `<div class="chart-box"><h3>Monthly ROI Trend + 12-Month Forecast</h3>${trendChart}</div>` : ''}
 
+${symbolDaily.length ? `<h2 class="section-title">P&amp;L Attribution by Symbol <span style="font-size:11px;color:var(--muted);font-weight:400">(dynamic — recalculated from Analysis Start Date)</span></h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Futures income split by contract: realized PnL, funding and commissions, each converted to BTC (and USDT) at the time of the record. Net is what the symbol added to or took from the BTC balance; unrealized PnL on open positions is not included. <span id="symSummary"></span></p>
+<div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(420px,1fr));gap:16px">
+<div class="chart-box"><h3>Top contributors (net BTC)</h3><div id="symTopChart"></div></div>
+<div class="chart-box"><h3>Top detractors (net BTC)</h3><div id="symBottomChart"></div></div>
+</div>
+<table><thead><tr><th>Symbol</th><th>Realized PnL</th><th>Funding</th><th>Commission</th><th>Net (BTC)</th><th>Net (USDT)</th><th>Trades</th><th>First activity</th><th>Last activity</th></tr></thead>
+<tbody id="symTable"></tbody></table>` : ''}
+
+${fundingCarry.symbols.length ? `<h2 class="section-title">Funding Carry <span style="font-size:11px;color:var(--muted);font-weight:400">(report period since ${new Date(START_TIME).toISOString().slice(0, 10)})</span></h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Funding paid on collateral is the strategy's main source of return. Each payment is matched to the market funding rate of that interval, which gives the position notional it was paid on; carry APR is funding received per unit of that notional, annualized. "Market at our size" is what the market rate would have paid an average-sized position held on the same side for the whole time the symbol was traded.</p>
+<div class="grid">
+  <div class="card"><div class="card-label">Funding received</div><div class="card-value ${fundingCarry.receivedBtc >= 0 ? 'positive' : 'negative'}">${fundingCarry.receivedBtc >= 0 ? '+' : ''}${fmt(fundingCarry.receivedBtc)} BTC</div><div class="card-sub">$${fmtU(fundingCarry.receivedUsdt)} at the time, ${fundingCarry.symbols.reduce((s, r) => s + r.payments, 0).toLocaleString()} payments</div></div>
+  <div class="card"><div class="card-label">Effective carry (APR)</div><div class="card-value">${fmtApr(fundingCarry.carryApr)}</div><div class="card-sub">funding / notional it was paid on</div></div>
+  <div class="card"><div class="card-label">Market rate at our size</div><div class="card-value">${fundingCarry.impliedUsdt === null ? '—' : '$' + fmtU(fundingCarry.impliedUsdt)}</div><div class="card-sub">${fundingCarry.captureRatio === null ? 'no market funding rates in the snapshot' : fmtPct(fundingCarry.captureRatio) + ' of it captured'}</div></div>
+  <div class="card"><div class="card-label">Negative funding</div><div class="card-value negative">${fundingIntervals.filter(iv => iv.btc < 0).length} / ${fundingIntervals.length}</div><div class="card-sub">intervals with net funding paid, in ${fundingRuns.length} stretches</div></div>
+</div>
+${fundingChart ? `<div class="chart-box"><h3>Funding per 8-hour interval (BTC) — shaded: funding turned negative</h3>${fundingChart}</div>` : ''}
+<table><thead><tr><th>Symbol</th>${hasCoinm ? '<th>Market</th>' : ''}<th>Side</th><th>Payments</th><th>Received (BTC)</th><th>Received (USDT)</th><th>Avg notional (USDT)</th><th>Carry APR</th><th>Market APR</th><th>Market at our size (USDT)</th><th>Captured</th><th>Negative</th></tr></thead>
+<tbody>${fundingCarry.symbols.map(r => `<tr><td><strong>${r.symbol}</strong></td>${hasCoinm ? `<td>${r.market}</td>` : ''}<td class="${r.side === 'short' ? 'negative' : 'positive'}">${r.matched ? r.side.toUpperCase() : '-'}</td><td>${r.payments.toLocaleString()}</td><td class="${r.receivedBtc >= 0 ? 'positive' : 'negative'}">${r.receivedBtc >= 0 ? '+' : ''}${fmt(r.receivedBtc)}</td><td>${fmtU(r.receivedUsdt)}</td><td>${r.matched ? fmtU(r.avgNotionalUsdt) : '-'}</td><td>${fmtApr(r.carryApr)}</td><td>${fmtApr(r.marketApr)}</td><td>${r.impliedUsdt === null ? '-' : fmtU(r.impliedUsdt)}</td><td>${fmtApr(r.captureRatio)}</td><td>${r.negative}</td></tr>`).join('')}</tbody></table>
+${fundingRuns.length ? `<details style="margin-bottom:16px"><summary style="cursor:pointer;font-size:12px;color:var(--muted)">Negative funding stretches (${fundingRuns.length}, most costly first)</summary>
+<table><thead><tr><th>From (UTC)</th><th>To (UTC)</th><th>Intervals</th><th>Paid (BTC)</th><th>Paid (USDT)</th><th>Symbols paying</th></tr></thead>
+<tbody>${[...fundingRuns].sort((a, b) => a.btc - b.btc).slice(0, 30).map(r => `<tr><td>${new Date(r.start).toISOString().slice(0, 16).replace('T', ' ')}</td><td>${new Date(r.end).toISOString().slice(0, 16).replace('T', ' ')}</td><td>${r.intervals}</td><td class="negative">${fmt(r.btc)}</td><td>${fmtU(r.usdt)}</td><td>${r.symbols.join(', ')}</td></tr>`).join('')}</tbody></table></details>` : ''}` : ''}
+
+${hasCoinm ? `<h2 class="section-title">USDⓈ-M vs COIN-M Futures</h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">COIN-M (delivery) futures are margined and settled in the coin itself, so their wallet, unrealized PnL, funding and commissions are already coin-denominated; they are converted to BTC at the time of each record. Income columns cover the whole income history in the report period.</p>
+<table><thead><tr><th>Market</th><th>Wallet + uPnL (BTC)</th><th>Unrealized (BTC)</th><th>Open positions</th><th>Realized PnL (BTC)</th><th>Funding (BTC)</th><th>Commissions (BTC)</th><th>Net income (BTC)</th><th>Records</th></tr></thead>
+<tbody>${marketSplit.map(m => `<tr><td><strong>${m.market}</strong></td><td>${fmt(m.valueBtc)}</td><td class="${m.unrealizedBtc >= 0 ? 'positive' : 'negative'}">${fmt(m.unrealizedBtc)}</td><td>${m.positions}</td><td class="${m.realizedBtc >= 0 ? 'positive' : 'negative'}">${fmt(m.realizedBtc)}</td><td class="${m.fundingBtc >= 0 ? 'positive' : 'negative'}">${fmt(m.fundingBtc)}</td><td class="negative">${fmt(m.commissionBtc)}</td><td class="${m.netBtc >= 0 ? 'positive' : 'negative'}">${fmt(m.netBtc)}</td><td>${m.records.toLocaleString()}</td></tr>`).join('')}</tbody></table>` : ''}
+
 <h2 class="section-title">Monthly PNL Breakdown</h2>
 <table><thead><tr><th>Month</th><th>PNL (BTC)</th><th>Cumulative (BTC)</th><th>Monthly ROI</th></tr></thead>
 <tbody>${(() => { let cum = 0; return monthlyPnl.map(m => { cum += m.pnlBtc; const cls = m.pnlBtc >= 0 ? 'positive' : 'negative'; const moRoi = totalCapitalDeployedBtc > 0 ? (m.pnlBtc / totalCapitalDeployedBtc * 100).toFixed(2) + '%' : 'N/A'; return '<tr><td>' + m.key + '</td><td class="' + cls + '">' + (m.pnlBtc >= 0 ? '+' : '') + m.pnlBtc.toFixed(8) + '</td><td>' + cum.toFixed(8) + '</td><td class="' + cls + '">' + moRoi + '</td></tr>'; }).join(''); })()}</tbody></table>
@@ -485,35 +1199,76 @@ ${trendChart ? `<div class="chart-box"><h3>Monthly ROI Trend + 12-Month Forecast
 <h2 class="section-title">Capital Timeline</h2>
 <div class="card" style="font-size:13px;line-height:1.8;margin-bottom:20px">
 <p><strong>Bot start date:</strong> ${botStartDate} (${botDays} days ago) <span style="color:var(--muted);font-size:11px">— detected as the date of the first futures-income record on this account</span></p>
-<p><strong>Initial balance at bot start:</strong> ${fmt(initialBalanceAtBotStartBtc)} BTC <span style="color:var(--muted);font-size:11px">— the actual account equity on that day, derived backward from current balance: ${fmt(totalBalanceBtc)} − settled PnL ${fmt(settledPnlDuringBotBtc)} − unrealized ${fmt(totalUnrealizedBtc)} − deposits ${fmt(postBotDepositsBtc)} + withdrawals ${fmt(postBotWithdrawalsBtc)}</span></p>
+<p><strong>Initial balance at bot start:</strong> ${fmt(initialBalanceAtBotStartBtc)} BTC <span style="color:var(--muted);font-size:11px">— the actual account equity on that day, derived backward from current balance: ${fmt(totalBalanceBtc)} − settled PnL ${fmt(settledPnlDuringBotBtc)}${spotTrades.length || spotPnlDuringBotBtc ? ` − spot P&L ${fmt(spotPnlDuringBotBtc)}` : ''} − unrealized ${fmt(totalUnrealizedBtc)} − deposits ${fmt(postBotDepositsBtc)} + withdrawals ${fmt(postBotWithdrawalsBtc)}</span></p>
 <p><strong>Added during bot operation:</strong> +${fmt(postBotDepositsBtc)} BTC ($${fmtU(depositsAfterBot.reduce((s,d) => s + d.usdtValue, 0))}) from ${depositsAfterBot.length} deposits</p>
 <p><strong>Withdrawn during bot operation:</strong> -${fmt(postBotWithdrawalsBtc)} BTC ($${fmtU(withdrawalsAfterBot.reduce((s,w) => s + w.usdtValue, 0))}) from ${withdrawalsAfterBot.length} withdrawals</p>
-<p><strong>Total capital deployed:</strong> ${fmt(totalCapitalDeployedBtc)} BTC <span style="color:var(--muted);font-size:11px">(start balance + deposits − withdrawals during bot)</span></p>
+<p><strong>Total capital deployed:</strong> ${fmt(totalCapitalDeployedBtc)} BTC <span style="color:var(--muted);font-size:11px">(start balance + deposits − withdrawals during bot${hasFees ? ', excluding performance fees' : ''})</span></p>
 <p><strong>Current portfolio:</strong> ${fmt(totalBalanceBtc)} BTC <span style="color:var(--muted);font-size:11px">(includes +${fmt(totalUnrealizedBtc)} BTC unrealized from ${futuresPositions.length} open positions)</span></p>
 <p><strong>BTC gained by bot (total incl. unrealized):</strong> <span style="color:${roiColor}">${pnlSign}${fmt(robotPnlBtc)} BTC</span> &mdash; ROI: <span style="color:${roiColor}">${(roiBtc * 100).toFixed(2)}%</span></p>
 <p><strong>BTC gained by bot (realized only):</strong> <span style="color:${(robotPnlBtc - totalUnrealizedBtc) >= 0 ? '#00c853' : '#ff1744'}">${(robotPnlBtc - totalUnrealizedBtc) >= 0 ? '+' : ''}${fmt(robotPnlBtc - totalUnrealizedBtc)} BTC</span> &mdash; ROI: <span style="color:${(robotPnlBtc - totalUnrealizedBtc) >= 0 ? '#00c853' : '#ff1744'}">${totalCapitalDeployedBtc > 0 ? (((robotPnlBtc - totalUnrealizedBtc) / totalCapitalDeployedBtc) * 100).toFixed(2) : '0.00'}%</span> &mdash; from closed trades (PNL + funding + commissions)</p>
+${hasFees ? `<p><strong>Performance fees paid during bot operation:</strong> -${fmt(postBotFeesBtc)} BTC from ${feeWithdrawals.filter(w => w.timestamp >= botStartTime).length} withdrawals <span style="color:var(--muted);font-size:11px">(included in the withdrawals above, but not subtracted from capital deployed)</span></p>
+<p><strong>BTC gained by bot, net of performance fees:</strong> <span style="color:${robotPnlNetBtc >= 0 ? '#00c853' : '#ff1744'}">${robotPnlNetBtc >= 0 ? '+' : ''}${fmt(robotPnlNetBtc)} BTC</span> &mdash; ROI: <span style="color:${roiNetBtc >= 0 ? '#00c853' : '#ff1744'}">${(roiNetBtc * 100).toFixed(2)}%</span></p>` : ''}
+${spotTrades.length || spotPnlDuringBotBtc ? `<p><strong>Where the BTC gained came from:</strong> futures settled PnL ${fmt(settledPnlDuringBotBtc)} + spot trading (realized) ${fmt(spotPnlDuringBotBtc)} + unrealized ${fmt(totalUnrealizedBtc)} = ${fmt(robotPnlBtc)} BTC</p>` : ''}
 <p style="margin-top:12px;padding-top:10px;border-top:1px dashed var(--border);font-size:11px;color:var(--muted)"><strong style="color:var(--muted)">Cash-flow sanity check (legacy view):</strong> if we instead summed all historical deposits (${depositsBeforeBot.length} pre-bot + ${depositsAfterBot.length} during) minus all historical withdrawals (${withdrawalsBeforeBot.length} pre-bot + ${withdrawalsAfterBot.length} during), we'd get capital ${fmt(cashFlowCapitalBtc)} BTC and a P&L of ${cashFlowPnlBtc >= 0 ? '+' : ''}${fmt(cashFlowPnlBtc)} BTC. The difference of ${(initialBalanceAtBotStartBtc - cashFlowInitialBtc >= 0 ? '+' : '') + fmt(initialBalanceAtBotStartBtc - cashFlowInitialBtc)} BTC vs. balance-based comes from pre-bot personal trading on the same account, which is correctly excluded from bot performance.</p>
 </div>
 
+<h2 class="section-title">Balance Reconciliation <span style="font-size:11px;color:var(--muted);font-weight:400">(measured balance change by month; unexplained above ${(RECON_RESIDUAL_PCT * 100).toFixed(1)}% of the opening balance highlighted)</span></h2>
+${reconciliationTotal ? `<div class="chart-box"><h3>${new Date(reconciliationTotal.from).toISOString().slice(0, 10)} → ${new Date(reconciliationTotal.to).toISOString().slice(0, 10)} (BTC)</h3>${genReconWaterfall(reconciliationTotal)}</div>
+<div style="overflow-x:auto"><table><thead><tr><th>Month</th><th>Opening</th>${RECON_PARTS.map(([, label]) => `<th>${label}</th>`).join('')}<th>Unexplained</th><th>Closing</th></tr></thead>
+<tbody>${[...reconciliation, reconciliationTotal].map(r => `<tr style="${r.flagged ? 'background:rgba(255,145,0,0.12);' : ''}${r === reconciliationTotal ? 'font-weight:700' : ''}"><td>${r.month}</td><td>${fmt(r.openingBtc)}</td>${RECON_PARTS.map(([k]) => `<td class="${r[k] >= 0 ? 'positive' : 'negative'}">${r[k] >= 0 ? '+' : ''}${fmt(r[k])}</td>`).join('')}<td${r.flagged ? ' style="color:#ff9100;font-weight:700"' : ''}>${r.residualBtc >= 0 ? '+' : ''}${fmt(r.residualBtc)}${r.flagged ? ' ⚠' : ''}</td><td>${fmt(r.closingBtc)}</td></tr>`).join('')}</tbody></table></div>` : `<div class="card" style="font-size:12px;color:var(--muted)">Needs measured balances from at least two days: the run journal or Binance's daily account snapshots.</div>`}
+
 <h2 class="section-title">All Deposits (Money Sent to Binance)</h2>
 <p style="font-size:12px;color:var(--muted);margin-bottom:12px">${depositsBeforeBot.length} deposits before bot start + ${depositsAfterBot.length} deposits during bot operation = <strong>${deposits.length} total</strong>, adding up to <strong>${fmt(totalDepositsBtc)} BTC</strong></p>
-${depositDetails.length > 0 ? `<table><thead><tr><th>#</th><th>Date</th><th>Period</th><th>Asset</th><th>Amount</th><th>BTC Value</th><th>USD at time</th><th>Network</th></tr></thead>
-<tbody>${depositDetails.sort((a, b) => a.insertTime - b.insertTime).map((d, i) => { const amt = parseFloat(d.amount); const period = d.insertTime >= botStartTime ? 'During bot' : 'Before bot'; const cls = d.insertTime >= botStartTime ? 'style="background:rgba(0,200,83,0.08)"' : ''; return `<tr ${cls}><td>${i + 1}</td><td>${fmtDate(d.insertTime)}</td><td>${period}</td><td>${d.coin}</td><td>${amt.toFixed(d.coin === 'BTC' ? 8 : 2)}</td><td>${fmt(d.btcValue)}</td><td>$${fmtU(d.usdtValue)}</td><td>${d.network || '-'}</td></tr>`; }).join('')}</tbody></table>` : '<p style="color:var(--muted)">No deposits</p>'}
+${depositDetails.length > 0 ? `<table><thead><tr><th>#</th><th>Date</th>${multiAccount ? '<th>Account</th>' : ''}<th>Period</th><th>Asset</th><th>Amount</th><th>BTC Value</th><th>USD at time</th><th>Network</th></tr></thead>
+<tbody>${depositDetails.sort((a, b) => a.insertTime - b.insertTime).map((d, i) => { const amt = parseFloat(d.amount); const period = d.insertTime >= botStartTime ? 'During bot' : 'Before bot'; const cls = d.insertTime >= botStartTime ? 'style="background:rgba(0,200,83,0.08)"' : ''; return `<tr ${cls}><td>${i + 1}</td><td>${fmtDate(d.insertTime)}</td>${multiAccount ? `<td>${d.account}</td>` : ''}<td>${period}</td><td>${d.coin}</td><td>${amt.toFixed(d.coin === 'BTC' ? 8 : 2)}</td><td>${fmt(d.btcValue)}</td><td>$${fmtU(d.usdtValue)}</td><td>${d.network || '-'}</td></tr>`; }).join('')}</tbody></table>` : '<p style="color:var(--muted)">No deposits</p>'}
 
 <h2 class="section-title">All Withdrawals (Money Taken Out of Binance)</h2>
 <p style="font-size:12px;color:var(--muted);margin-bottom:12px">${withdrawalsBeforeBot.length} withdrawals before bot start + ${withdrawalsAfterBot.length} withdrawals during bot operation = <strong>${withdrawals.length} total</strong>, totaling <strong>${fmt(totalWithdrawalsBtc)} BTC</strong></p>
-${withdrawalDetails.length > 0 ? `<table><thead><tr><th>#</th><th>Date</th><th>Period</th><th>Asset</th><th>Amount</th><th>BTC Value</th><th>USD at time</th><th>Network</th></tr></thead>
-<tbody>${withdrawalDetails.sort((a, b) => a.timestamp - b.timestamp).map((w, i) => { const amt = parseFloat(w.amount); const period = w.timestamp >= botStartTime ? 'During bot' : 'Before bot'; const cls = w.timestamp >= botStartTime ? 'style="background:rgba(255,23,68,0.08)"' : ''; return `<tr ${cls}><td>${i + 1}</td><td>${fmtDate(w.timestamp)}</td><td>${period}</td><td>${w.coin}</td><td>${amt.toFixed(w.coin === 'BTC' ? 8 : 2)}</td><td>${fmt(w.btcValue)}</td><td>$${fmtU(w.usdtValue)}</td><td>${w.network || '-'}</td></tr>`; }).join('')}</tbody></table>` : '<p style="color:var(--muted)">No withdrawals</p>'}
+${withdrawalDetails.length > 0 ? `<table><thead><tr><th>#</th><th>Date</th>${multiAccount ? '<th>Account</th>' : ''}<th>Period</th>${showCategories ? '<th>Category</th>' : ''}<th>Asset</th><th>Amount</th><th>BTC Value</th><th>USD at time</th><th>Network</th></tr></thead>
+<tbody>${withdrawalDetails.sort((a, b) => a.timestamp - b.timestamp).map((w, i) => { const amt = parseFloat(w.amount); const period = w.timestamp >= botStartTime ? 'During bot' : 'Before bot'; const cls = w.timestamp >= botStartTime ? 'style="background:rgba(255,23,68,0.08)"' : ''; return `<tr ${cls}><td>${i + 1}</td><td>${fmtDate(w.timestamp)}</td>${multiAccount ? `<td>${w.account}</td>` : ''}<td>${period}</td>${showCategories ? `<td>${WITHDRAWAL_CATEGORY_LABELS[w.category]}</td>` : ''}<td>${w.coin}</td><td>${amt.toFixed(w.coin === 'BTC' ? 8 : 2)}</td><td>${fmt(w.btcValue)}</td><td>$${fmtU(w.usdtValue)}</td><td>${w.network || '-'}</td></tr>`; }).join('')}</tbody></table>` : '<p style="color:var(--muted)">No withdrawals</p>'}
+
+${hasFees ? `<h2 class="section-title">Performance Fee History</h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Withdrawals tagged as performance fees by the withdrawal rules in the config. They are paid out of the bot's profit, so they do not reduce capital deployed; Robot P&L is shown gross and net of them. ${fmt(postBotFeesBtc)} BTC paid since bot start.</p>
+<table><thead><tr><th>Date</th>${multiAccount ? '<th>Account</th>' : ''}<th>Asset</th><th>Amount</th><th>BTC Value</th><th>USD at time</th><th>Destination</th><th>Matched by</th></tr></thead>
+<tbody>${[...feeWithdrawals].sort((a, b) => a.timestamp - b.timestamp).map(w => `<tr><td>${fmtDate(w.timestamp)}</td>${multiAccount ? `<td>${w.account}</td>` : ''}<td>${w.coin}</td><td>${parseFloat(w.amount).toFixed(w.coin === 'BTC' ? 8 : 2)}</td><td class="negative">${fmt(w.btcValue)}</td><td>$${fmtU(w.usdtValue)}</td><td style="font-size:11px">${w.address ? `${w.address.slice(0, 10)}…${w.address.slice(-6)}` : '-'}${w.network ? ` (${w.network})` : ''}</td><td>${w.categoryRule}</td></tr>`).join('')}</tbody></table>` : ''}${feeSchedule ? `
+
+<h2 class="section-title">Performance Fee Calculator <span style="font-size:11px;color:var(--muted);font-weight:400">(${fmtPct(feeSchedule.rate)} ${feeSchedule.period}${feeSchedule.hurdle ? `, ${fmtPct(feeSchedule.hurdle)} annual hurdle` : ''}, ${feeSchedule.highWaterMark ? 'high-water mark' : 'no high-water mark'}, measured in ${feeSchedule.currency}; since bot start ${botStartDate})</span></h2>
+<div class="grid">
+<div class="card"><div class="card-label">${feeSchedule.highWaterMark ? 'Current high-water mark' : 'Period start equity'}</div><div class="card-value">${feeMoney(feeSchedule.hwm)}</div></div>
+<div class="card"><div class="card-label">Fees owed (crystallized)</div><div class="card-value">${fmt(feeSchedule.owedBtc)} BTC</div></div>
+<div class="card"><div class="card-label">Fees paid</div><div class="card-value">${fmt(feeSchedule.paidBtc)} BTC</div><div class="card-sub">withdrawals tagged as performance fees</div></div>
+<div class="card"><div class="card-label">${feeSchedule.unpaidBtc >= 0 ? 'Owed but unpaid' : 'Paid beyond owed'}</div><div class="card-value ${feeSchedule.unpaidBtc > 0 ? 'negative' : 'positive'}">${fmt(Math.abs(feeSchedule.unpaidBtc))} BTC</div></div>
+<div class="card"><div class="card-label">Accrued this period</div><div class="card-value">${fmt(feeSchedule.accruedBtc)} BTC</div><div class="card-sub">$${fmtU(feeSchedule.accruedUsd)}, not yet crystallized</div></div>
+</div>
+<table><thead><tr><th>Period</th><th>From</th><th>To</th><th>Equity after earlier fees</th><th>${feeSchedule.highWaterMark ? 'High-water mark' : 'Start equity'}</th><th>Hurdle threshold</th><th>Fee owed (BTC)</th><th>Fee owed (USD)</th><th>Paid in period (BTC)</th><th>Owed − paid to date (BTC)</th></tr></thead>
+<tbody>${feeSchedule.rows.map(r => `<tr${r.crystallized ? '' : ' style="font-style:italic"'}><td>${r.period}${r.crystallized ? '' : ' (accrued)'}</td><td>${fmtDate(r.start)}</td><td>${fmtDate(r.end)}</td><td>${feeMoney(r.equity)}</td><td>${feeMoney(r.hwm)}</td><td>${feeMoney(r.threshold)}</td><td>${fmt(r.feeBtc)}</td><td>$${fmtU(r.feeUsd)}</td><td>${r.payments ? fmt(r.paidBtc) : '-'}</td><td class="${r.unpaidBtc > 1e-8 ? 'negative' : 'positive'}">${fmt(r.unpaidBtc)}</td></tr>`).join('')}</tbody></table>
+<p style="font-size:11px;color:var(--muted);margin-top:-8px;margin-bottom:24px">Replays the settled equity since bot start with the fees actually paid added back, and charges the fee terms at every period end. Deposits raise the mark and withdrawals lower it in proportion; fees owed come out of the replayed equity. Equity at earlier period ends has no unrealized P&amp;L, which only enters the accrued period. A fee paid shortly after its period ends shows up in the next period's row; the running owed − paid column evens that out.</p>` : ''}
+
+${internalFlows.length ? `<h2 class="section-title">Transfers Between Our Own Accounts</h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Withdrawals from one configured account that arrived in another (matched by transaction id, by our own deposit address, or reported as a sub-account transfer). They move capital between accounts and are left out of the external deposits / withdrawals above.</p>
+<table><thead><tr><th>Date</th><th>Account</th><th>Direction</th><th>Counterparty</th><th>Asset</th><th>Amount</th><th>BTC Value</th><th>Via</th></tr></thead>
+<tbody>${[...internalFlows].sort((a, b) => b.timestamp - a.timestamp).map(f => `<tr><td>${fmtDate(f.timestamp)}</td><td>${f.account}</td><td>${f.dir === 'in' ? '⬅️ received' : '➡️ sent'}</td><td>${f.counterparty || f.counterpartyEmail || (f.counterParty === 'master' ? 'master' : '-')}</td><td>${f.coin}</td><td>${parseFloat(f.amount).toFixed(f.coin === 'BTC' ? 8 : 2)}</td><td>${fmt(f.btcValue)}</td><td><span class="tag-internal">${f.network || '-'}</span></td></tr>`).join('')}</tbody></table>` : ''}
 
 <h2 class="section-title">Internal Transfers Between Wallets (Spot Wallet ↔ Futures Wallet)</h2>
-<p style="font-size:12px;color:var(--muted);margin-bottom:12px">These are movements of funds between your Spot wallet and your USDⓈ-M Futures wallet inside Binance. They are NOT deposits or withdrawals — they just move money between your own wallets so the trading bot can use the funds.<br>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">These are movements of funds between your Spot wallet and your USDⓈ-M${hasCoinm ? ' / COIN-M' : ''} Futures wallet inside Binance. They are NOT deposits or withdrawals — they just move money between your own wallets so the trading bot can use the funds.<br>
 <strong>${transfersToFutures.length} transfers into Futures</strong> (funding the bot) &nbsp;|&nbsp; <strong>${transfersFromFutures.length} transfers back to Spot</strong> (taking profits out of the bot)</p>
-<table><thead><tr><th>Date</th><th>Direction</th><th>Asset</th><th>Amount</th><th>BTC Value</th></tr></thead>
-<tbody>${[...transfersToFutures.map(t => ({ ...t, dir: '➡️ Into Futures (funding bot)' })), ...transfersFromFutures.map(t => ({ ...t, dir: '⬅️ Back to Spot (taking profits)' }))].sort((a, b) => b.timestamp - a.timestamp).map(t => { const bv = toBtc(t.asset, parseFloat(t.amount), priceMap); return '<tr><td>' + fmtDate(t.timestamp) + '</td><td>' + t.dir + '</td><td>' + t.asset + '</td><td>' + parseFloat(t.amount).toFixed(8) + '</td><td>' + fmt(bv) + '</td></tr>'; }).join('')}</tbody></table>
+<table><thead><tr><th>Date</th>${multiAccount ? '<th>Account</th>' : ''}<th>Direction</th><th>Asset</th><th>Amount</th><th>BTC Value</th></tr></thead>
+<tbody>${[...transfersToFutures.map(t => ({ ...t, dir: t.market === 'COIN-M' ? '➡️ Into COIN-M Futures' : '➡️ Into Futures (funding bot)' })), ...transfersFromFutures.map(t => ({ ...t, dir: t.market === 'COIN-M' ? '⬅️ Back to Spot from COIN-M' : '⬅️ Back to Spot (taking profits)' }))].sort((a, b) => b.timestamp - a.timestamp).map(t => { const bv = toBtc(t.asset, parseFloat(t.amount), priceMap); return '<tr><td>' + fmtDate(t.timestamp) + '</td>' + (multiAccount ? '<td>' + t.account + '</td>' : '') + '<td>' + t.dir + '</td><td>' + t.asset + '</td><td>' + parseFloat(t.amount).toFixed(8) + '</td><td>' + fmt(bv) + '</td></tr>'; }).join('')}</tbody></table>
+
+${spotTrades.length ? `<h2 class="section-title">Spot Trades (hedge &amp; collateral management)</h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Spot fills in the report period, valued in BTC at the time of each fill. Realized P&L uses a weighted-average BTC cost basis built from the full trade history; coins that arrived without a recorded purchase are taken at their market value on arrival, and fees are charged at cost. Spot P&L since bot start (${fmt(spotPnlDuringBotBtc)} BTC) is part of Robot P&L.</p>
+<table><thead><tr><th>Symbol</th>${multiAccount ? '<th>Account</th>' : ''}<th>Fills</th><th>Buys / Sells</th><th>Volume (BTC)</th><th>Fees (BTC)</th><th>Realized P&L (BTC)</th></tr></thead>
+<tbody>${spotTrades.map(t => `<tr><td><strong>${t.symbol}</strong></td>${multiAccount ? `<td>${t.account}</td>` : ''}<td>${t.trades.toLocaleString()}</td><td>${t.buys} / ${t.sells}</td><td>${fmt(t.volumeBtc)}</td><td class="negative">${fmt(t.feesBtc)}</td><td class="${t.realizedBtc >= 0 ? 'positive' : 'negative'}">${t.realizedBtc >= 0 ? '+' : ''}${fmt(t.realizedBtc)}</td></tr>`).join('')}
+<tr><td><strong>Total</strong></td>${multiAccount ? '<td></td>' : ''}<td>${spotTrades.reduce((s, t) => s + t.trades, 0).toLocaleString()}</td><td></td><td>${fmt(spotTrades.reduce((s, t) => s + t.volumeBtc, 0))}</td><td class="negative">${fmt(spotTrades.reduce((s, t) => s + t.feesBtc, 0))}</td><td>${fmt(spotTrades.reduce((s, t) => s + t.realizedBtc, 0))}</td></tr></tbody></table>` : ''}
+
+${futuresWallet.length ? `<h2 class="section-title">USDⓈ-M Futures Wallet</h2>
+<p style="font-size:12px;color:var(--muted);margin-bottom:12px">Margin mode: ${multiAccount ? marginModes.map(m => `${m.name} — <strong>${marginModeLabel(m.multiAssetsMargin)}</strong>`).join(', ') : `<strong>${marginModeLabel(marginModes[0]?.multiAssetsMargin ?? null)}</strong>`}. In Multi-Assets mode every asset below counts as collateral for USDⓈ-M positions; in Single-Asset mode each contract is margined only in its own quote asset, but the other balances still belong to the portfolio. Each asset is valued at today's price.</p>
+<table><thead><tr>${multiAccount ? '<th>Account</th>' : ''}<th>Asset</th><th>Wallet balance</th><th>Unrealized PnL</th><th>Value (BTC)</th><th>Share</th></tr></thead>
+<tbody>${futuresWallet.map(a => `<tr>${multiAccount ? `<td>${a.account}</td>` : ''}<td><strong>${a.asset}</strong></td><td>${a.wallet.toFixed(8)}</td><td class="${a.unrealized >= 0 ? 'positive' : 'negative'}">${a.unrealized.toFixed(8)}</td><td>${fmt(a.valueBtc)}</td><td>${fmtPct(futuresWalletBtc ? a.valueBtc / futuresWalletBtc : 0)}</td></tr>`).join('')}</tbody></table>` : ''}
 
 <h2 class="section-title">Top Open Positions</h2>
-<table><thead><tr><th>Symbol</th><th>Side</th><th>Size</th><th>Entry</th><th>PNL (BTC)</th></tr></thead>
-<tbody>${topPositions.map(p => { const pb = btcPrice ? p.pnlUsdt / btcPrice : 0; const sd = p.qty > 0 ? 'LONG' : 'SHORT'; const sc = p.qty > 0 ? 'positive' : 'negative'; const pc = pb >= 0 ? 'positive' : 'negative'; return '<tr><td><strong>' + p.symbol + '</strong></td><td class="' + sc + '">' + sd + '</td><td>' + Math.abs(p.qty).toFixed(4) + '</td><td>' + p.entry.toFixed(6) + '</td><td class="' + pc + '">' + (pb >= 0 ? '+' : '') + fmtS(pb) + '</td></tr>'; }).join('')}</tbody></table>
+<table><thead><tr><th>Symbol</th>${multiAccount ? '<th>Account</th>' : ''}${hasCoinm ? '<th>Market</th>' : ''}<th>Side</th><th>Size</th><th>Entry</th><th>PNL (BTC)</th></tr></thead>
+<tbody>${topPositions.map(p => { const pb = btcPrice ? p.pnlUsdt / btcPrice : 0; const sd = p.qty > 0 ? 'LONG' : 'SHORT'; const sc = p.qty > 0 ? 'positive' : 'negative'; const pc = pb >= 0 ? 'positive' : 'negative'; return '<tr><td><strong>' + p.symbol + '</strong></td>' + (multiAccount ? '<td>' + p.account + '</td>' : '') + (hasCoinm ? '<td>' + p.market + '</td>' : '') + '<td class="' + sc + '">' + sd + '</td><td>' + Math.abs(p.qty).toFixed(4) + '</td><td>' + p.entry.toFixed(6) + '</td><td class="' + pc + '">' + (pb >= 0 ? '+' : '') + fmtS(pb) + '</td></tr>'; }).join('')}</tbody></table>
 
 <h2 class="section-title">Strategy notes from the treasurer</h2>
 <div class="card" style="font-size:12px;line-height:1.75;border-left:3px solid var(--gold);padding-left:18px">
@@ -528,15 +1283,26 @@ ${withdrawalDetails.length > 0 ? `<table><thead><tr><th>#</th><th>Date</th><th>P
 <h2 class="section-title">Methodology</h2>
 <div class="card" style="font-size:12px;line-height:1.8">
 <p><strong>Strategy:</strong> The bot trades to accumulate more BTC, not USD. All metrics are denominated in BTC. USD price changes do not affect performance measurement.</p>
-<p><strong>Portfolio Value</strong> = Futures wallet balance + Unrealized PNL + Spot wallet balance, all measured in BTC.</p>
+<p><strong>Portfolio Value</strong> = Futures wallet balance + Unrealized PNL + Spot wallet balance, all measured in BTC. Futures include every asset in the USDⓈ-M wallet (BTC, USDT and, in Multi-Assets mode, other collateral such as BNB, ETH, USDC or BFUSD) and the COIN-M wallets; COIN-M income is paid in the margin coin and converted to BTC at the time of each record.</p>
 <p><strong>Initial capital — balance-based methodology.</strong> Initial capital at the Analysis Start Date is the <em>actual account balance</em> at that moment, computed by working backward from current balance:<br>
 <code style="font-size:11px;background:rgba(255,255,255,0.05);padding:2px 6px;border-radius:3px">balance_start = balance_now − settled_PnL_during − unrealized_now − deposits_during + withdrawals_during</code><br>
 This matches the treasurer's accounting and excludes any pre-bot personal trading churn from earlier deposits / withdrawals on the same Binance account.</p>
+<p><strong>Historical valuation.</strong> Every deposit, withdrawal and income item is converted to BTC at its own time: BTC/USDT hourly close for stablecoins, and the asset's daily close against BTC (or against USDT, then BTC, where there is no BTC pair) for other coins. Only current balances use today's prices.</p>
 <p><strong>Capital deployed</strong> = Initial balance at start + deposits during period − withdrawals during period.</p>
+<p><strong>Spot P&L</strong> = realized result of spot fills in BTC (weighted-average cost basis, fees included). It enters the balance identity next to futures settled PnL, so spot hedging shows up in Robot P&L instead of in the initial balance.</p>
+<p><strong>Attribution by symbol.</strong> Each futures income record carries its contract symbol; realized PnL, funding and commissions are summed per symbol at the BTC and USDT value of each record. Trades are distinct trade ids. The symbol nets add up to the settled futures PnL for the selected period.</p>
+<p><strong>Funding carry.</strong> Every FUNDING_FEE record is matched to the market funding rate (<code>/fapi/v1/fundingRate</code>, <code>/dapi/v1/fundingRate</code> for COIN-M) of its interval. Payment ÷ rate gives the notional it was paid on and the side (a short receives a positive rate). Carry APR = funding received ÷ Σ(notional × interval length) × 1 year. The market comparison holds the average notional on the dominant side through every market funding event between the first and last payment.</p>
+<p><strong>Exposure.</strong> Each open position's notional = quantity × mark price (COIN-M: contracts × face value), converted to BTC at today's price. Long share = gross long ÷ (gross long + gross short), against the 50/50 target; gross leverage = gross notional ÷ portfolio. Net delta = BTC held in the futures and spot wallets + (long − short) notional, i.e. the book's BTC-denominated exposure to a move of the whole market. Every online run stores a snapshot, so the drift charts grow with regular runs.</p>
+<p><strong>Margin &amp; liquidation risk.</strong> Liquidation price and margin mode come from <code>/fapi/v2/positionRisk</code> (<code>/dapi/v1/positionRisk</code> for COIN-M). Margin used = isolated wallet for isolated positions, initial margin (notional ÷ leverage) for cross; ROE = unrealized PnL ÷ margin used; distance = |mark − liquidation| ÷ mark. Margin ratio = <code>totalMaintMargin</code> ÷ <code>totalMarginBalance</code> of the USDⓈ-M account. The BTC move to a margin call (ratio ${fmtPct(MARGIN_CALL_RATIO)}) or liquidation (100%) assumes every position and non-stable collateral asset moves one for one with BTC, so margin balance changes by move × net delta and maintenance margin in proportion; it is a first-order estimate, not Binance's own calculation.</p>
 <p><strong>Robot P&L</strong> = Current BTC portfolio − Total BTC capital deployed. Shows how many BTC the bot has earned (gross of any performance fees that were withdrawn).</p>
+<p><strong>Performance fees.</strong> Withdrawals matched by the <code>withdrawalRules</code> in the config (destination address, network, memo, coin, amount range or pattern, or an explicit list of txIds) are tagged as performance fees, capital returns or other; anything unmatched is a capital return. Fees are excluded from capital deployed and added back for gross Robot P&L; net Robot P&L = gross − fees.</p>
 <p><strong>ROI</strong> = Robot P&L / Total capital deployed. Measures BTC growth percentage.</p>
 <p><strong>Realized vs. Total P&L.</strong> "Realized only" excludes the current mark-to-market value of open positions; "incl. Unrealized" includes them. Because positions are always on, Total is the more representative figure.</p>
 <p><strong>Equity Curve</strong> = Starting capital grown by daily BTC compound returns.</p>
+<p><strong>Balance journal.</strong> Every online run records the real balance (futures wallets, unrealized PnL, spot, per asset) in <code>store/balances.json</code>. Once it covers ${JOURNAL_MIN_DAYS} days, daily P&amp;L is taken from the change in real balance between the last snapshots of consecutive days, less external deposits and withdrawals in between, and the equity curve, drawdown and risk metrics use it. The income-based reconstruction (dashed) ignores unrealized swings, spot moves and fee withdrawals, which is why the two paths differ.</p>
+<p><strong>Binance daily snapshots.</strong> Days before the first journal entry are backfilled from <code>/sapi/v1/accountSnapshot</code> (end-of-day SPOT <code>totalAssetOfBtc</code> + USDⓈ-M margin balance of every asset, valued in BTC that day), cached in <code>store/&lt;account&gt;/snapshots-*.json</code>. A day counts only when every account has both snapshots.${coinmHeld ? ' Binance does not snapshot COIN-M wallets, so backfilled days leave them out and the path can step at the first journal day.' : ''}${balanceJournal && balanceJournal.backfillDays ? ` ${balanceJournal.backfillDays} of the ${balanceJournal.days.length + 1} measured days come from them.` : ''}</p>
+<p><strong>Balance reconciliation.</strong> Measured balances (journal and Binance snapshots) are cut at the last one of each UTC month. The change between two cuts = realized PnL + funding + commissions (income valued at its own time) + Δ unrealized PnL + spot P&amp;L + price effect + deposits − withdrawals − performance fees + unexplained. Price effect = non-BTC wallet amounts (average of opening and closing) × the change in their BTC price. Income types other than the three above, COIN-M wallets missing from Binance snapshots and unpriced assets end up in the unexplained residual, which is highlighted above ${(RECON_RESIDUAL_PCT * 100).toFixed(1)}% of the opening balance.</p>
+${startCheck ? `<p><strong>Start balance check.</strong> Derived initial balance at bot start ${fmt(initialBalanceAtBotStartBtc)} BTC vs. ${fmt(startCheck.measuredBtc)} BTC in Binance's snapshot of ${new Date(startCheck.time).toISOString().slice(0, 10)}: discrepancy <span class="${Math.abs(startCheck.discrepancyPct) < 0.01 ? 'positive' : 'negative'}">${startCheck.discrepancyBtc >= 0 ? '+' : ''}${fmt(startCheck.discrepancyBtc)} BTC (${(startCheck.discrepancyPct * 100).toFixed(2)}%)</span>. A gap points at P&amp;L the backward derivation does not see (unrealized PnL already open at bot start, COIN-M wallets, unpriced assets or missing income history).</p>` : ''}
 <p><strong>Drawdown</strong> = Decline from the BTC equity peak. Max drawdown = largest peak-to-trough BTC loss.</p>
 <p><strong>Sharpe Ratio</strong> = (avg daily BTC return / stddev) × √365. Above 1.0 = good risk-adjusted BTC returns.</p>
 <p><strong>Profit Factor</strong> = Gross BTC profits / Gross BTC losses. Above 1.0 means bot earns more BTC than it loses.</p>
@@ -604,10 +1370,18 @@ const RAW = {
   btcPrice: ${btcPrice},
   botStartTime: ${botStartTime},
   botDays: ${botDays},
-  dailyPnl: [${incomeTimeline.map(d => `{t:${d.time},b:${d.dailyBtc.toFixed(12)}}`).join(',')}],
-  deposits: [${depositDetails.map(d => `{t:${d.insertTime},btc:${d.btcValue.toFixed(12)},usdt:${d.usdtValue.toFixed(4)},coin:"${d.coin}",amt:${parseFloat(d.amount).toFixed(12)}}`).join(',')}],
-  withdrawals: [${withdrawalDetails.map(w => `{t:${w.timestamp},btc:${w.btcValue.toFixed(12)},usdt:${w.usdtValue.toFixed(4)},coin:"${w.coin}",amt:${parseFloat(w.amount).toFixed(12)}}`).join(',')}],
-  monthlyPnl: [${monthlyPnl.map(m => `{k:"${m.key}",t:${m.time},b:${m.pnlBtc.toFixed(12)},u:${m.pnlUsdt.toFixed(4)}}`).join(',')}]
+  dailyPnl: ${rawDaily(incomeTimeline)},
+  deposits: ${rawDeposits(depositDetails)},
+  withdrawals: ${rawWithdrawals(withdrawalDetails)},
+  monthlyPnl: ${rawMonthly(monthlyPnl)},
+  spotPnl: ${rawDaily(spotTimeline)},
+  journal: ${balanceJournal ? `[${balanceJournal.days.map(d => `{t:${d.time},b:${d.dailyBtc.toFixed(12)},e:${(balanceJournal.startBtc + d.cumulativeBtc).toFixed(10)}}`).join(',')}]` : '[]'},
+  journalMinDays: ${JOURNAL_MIN_DAYS},
+  prices: [${dailyPrices.filter(k => k.time >= pickerMin - 86400000 && k.time <= NOW).map(k => `[${k.time},${+k.close.toFixed(2)}]`).join(',')}],
+  carry: [${carryRates.map(c => `[${c.time},${+c.rate.toFixed(10)}]`).join(',')}],
+  carryDefault: ${CARRY_BASE_RATE * 86400000 / FUNDING_INTERVAL_MS},
+  symbols: ${rawSymbols(symbolDaily)},
+  accounts: [${multiAccount ? accountBreakdown.map(a => `{name:${JSON.stringify(a.name)},currentBtc:${a.totalBalanceBtc.toFixed(10)},unrealizedBtc:${a.totalUnrealizedBtc.toFixed(10)},dailyPnl:${rawDaily(a.incomeTimeline)},spotPnl:${rawDaily(a.spotTimeline)},symbols:${rawSymbols(a.symbolDaily)},deposits:${rawDeposits(a.depositDetails)},withdrawals:${rawWithdrawals(a.withdrawalDetails)},monthlyPnl:${rawMonthly(a.monthlyPnl)}}`).join(',') : ''}]
 };
 const $=id=>document.getElementById(id);
 const fmt8=v=>(v===0||isNaN(v))?'0.00000000':v.toFixed(8);
@@ -628,15 +1402,18 @@ function masterRecalc(){
   const now=${NOW};
   const days=Math.round((now-startMs)/86400000);
   $('dpDays').textContent=days;
+  // account filter: a single account's own ledger, or the consolidated book
+  const sel=$('accountSel');
+  const S=sel&&sel.value!==''?RAW.accounts[+sel.value]:RAW;
 
-  const filteredDaily=RAW.dailyPnl.filter(d=>d.t>=startMs);
+  const filteredDaily=S.dailyPnl.filter(d=>d.t>=startMs);
   const totalPnlBtc=filteredDaily.reduce((s,d)=>s+d.b,0);
   let incCount=filteredDaily.length;
 
-  const depsBefore=RAW.deposits.filter(d=>d.t<startMs);
-  const depsAfter=RAW.deposits.filter(d=>d.t>=startMs);
-  const wdBefore=RAW.withdrawals.filter(w=>w.t<startMs);
-  const wdAfter=RAW.withdrawals.filter(w=>w.t>=startMs);
+  const depsBefore=S.deposits.filter(d=>d.t<startMs);
+  const depsAfter=S.deposits.filter(d=>d.t>=startMs);
+  const wdBefore=S.withdrawals.filter(w=>w.t<startMs);
+  const wdAfter=S.withdrawals.filter(w=>w.t>=startMs);
 
   // Cash-flow accounting (legacy / for sanity check display)
   const preDepBtc=depsBefore.reduce((s,d)=>s+d.btc,0);
@@ -651,25 +1428,33 @@ function masterRecalc(){
   const postDepUsdt=depsAfter.reduce((s,d)=>s+d.usdt,0);
   const postWdBtc=wdAfter.reduce((s,w)=>s+w.btc,0);
   const postWdUsdt=wdAfter.reduce((s,w)=>s+w.usdt,0);
+  // performance fees are paid out of P&L, not returned capital
+  const feesAfter=wdAfter.filter(w=>w.fee);
+  const postFeeBtc=feesAfter.reduce((s,w)=>s+w.btc,0);
+  const postFeeUsdt=feesAfter.reduce((s,w)=>s+w.usdt,0);
+  const capWdCount=wdAfter.length-feesAfter.length;
 
   // BALANCE-BASED initial capital: actual account balance at startDate, derived from
   // current total balance by subtracting everything that happened since then.
-  // Identity: balance_now = balance_start + settled_pnl_since + unrealized_now + (deposits - withdrawals)
-  // Therefore: balance_start = balance_now - settled_pnl_since - unrealized_now - deposits_since + withdrawals_since
-  const initialBtc=RAW.currentBtc-totalPnlBtc-RAW.unrealizedBtc-postDepBtc+postWdBtc;
+  // Identity: balance_now = balance_start + settled_pnl_since + spot_pnl_since + unrealized_now + (deposits - withdrawals)
+  // Therefore: balance_start = balance_now - settled_pnl_since - spot_pnl_since - unrealized_now - deposits_since + withdrawals_since
+  const spotPnlBtc=S.spotPnl.filter(d=>d.t>=startMs).reduce((s,d)=>s+d.b,0);
+  const initialBtc=S.currentBtc-totalPnlBtc-spotPnlBtc-S.unrealizedBtc-postDepBtc+postWdBtc;
 
-  const totalCapBtc=initialBtc+postDepBtc-postWdBtc;
-  const totalCapUsdt=initialUsdt+postDepUsdt-postWdUsdt;
+  const totalCapBtc=initialBtc+postDepBtc-(postWdBtc-postFeeBtc);
+  const totalCapUsdt=initialUsdt+postDepUsdt-(postWdUsdt-postFeeUsdt);
 
-  const robotPnl=RAW.currentBtc-totalCapBtc;
+  const robotPnl=S.currentBtc+postFeeBtc-totalCapBtc;
   const roi=totalCapBtc>0?robotPnl/totalCapBtc:0;
-  const robotPnlRealized=robotPnl-RAW.unrealizedBtc;
+  const robotPnlNet=robotPnl-postFeeBtc;
+  const roiNet=totalCapBtc>0?robotPnlNet/totalCapBtc:0;
+  const robotPnlRealized=robotPnl-S.unrealizedBtc;
   const roiRealized=totalCapBtc>0?robotPnlRealized/totalCapBtc:0;
 
   // Pre-bot personal trading PnL = balance-based initial - cash-flow initial
   const preBotPersonalPnl=initialBtc-cashFlowInitialBtc;
 
-  const filteredMonthly=RAW.monthlyPnl.filter(m=>m.t>=startMs);
+  const filteredMonthly=S.monthlyPnl.filter(m=>m.t>=startMs);
   const mVals=filteredMonthly.map(m=>m.b);
   const avgMoPnl=mVals.length?mVals.reduce((a,b)=>a+b,0)/mVals.length:0;
   const variance=mVals.length?mVals.reduce((s,v)=>s+(v-avgMoPnl)**2,0)/mVals.length:0;
@@ -679,26 +1464,34 @@ function masterRecalc(){
   const trendDir=reg.slope>0.00001?'improving':reg.slope<-0.00001?'declining':'flat';
   const trendBadge=trendDir==='improving'?'<span class="trend-badge trend-up">↑</span>':trendDir==='declining'?'<span class="trend-badge trend-down">↓</span>':'<span class="trend-badge trend-flat">→</span>';
 
-  $('cPortfolio').textContent=fmt8(RAW.currentBtc)+' BTC';
+  $('cPortfolio').textContent=fmt8(S.currentBtc)+' BTC';
   $('cPortfolio').style.color='var(--text)';
   $('cPortfolioSub').textContent='capital deployed: '+fmt8(totalCapBtc)+' BTC';
 
   $('cDeposits').textContent='+'+fmt8(totalCapBtc)+' BTC';
-  $('cDepositsSub').textContent='start balance '+fmt8(initialBtc)+' + '+depsAfter.length+' deposits (+'+fmt8(postDepBtc)+')' + (wdAfter.length?' - '+wdAfter.length+' withdrawals (-'+fmt8(postWdBtc)+')':'');
+  $('cDepositsSub').textContent='start balance '+fmt8(initialBtc)+' + '+depsAfter.length+' deposits (+'+fmt8(postDepBtc)+')' + (capWdCount?' - '+capWdCount+' withdrawals (-'+fmt8(postWdBtc-postFeeBtc)+')':'');
 
   // USDT view: deposits at historical USDT-at-time, start balance valued at current BTC price (approximation)
   const initialUsdtBalEst=initialBtc*RAW.btcPrice;
-  const totalCapUsdtBal=initialUsdtBalEst+postDepUsdt-postWdUsdt;
+  const totalCapUsdtBal=initialUsdtBalEst+postDepUsdt-(postWdUsdt-postFeeUsdt);
   $('cDepositsUsdt').textContent='$'+totalCapUsdtBal.toLocaleString('en-US',{minimumFractionDigits:2,maximumFractionDigits:2});
-  $('cDepositsUsdtSub').textContent='start ~$'+initialUsdtBalEst.toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+' + '+depsAfter.length+' dep ($'+postDepUsdt.toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+')' + (wdAfter.length?' - wd ($'+postWdUsdt.toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+')':'');
+  $('cDepositsUsdtSub').textContent='start ~$'+initialUsdtBalEst.toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+' + '+depsAfter.length+' dep ($'+postDepUsdt.toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+')' + (capWdCount?' - wd ($'+(postWdUsdt-postFeeUsdt).toLocaleString('en-US',{minimumFractionDigits:0,maximumFractionDigits:0})+')':'');
 
   $('cPnl').textContent=(robotPnl>=0?'+':'')+fmt8(robotPnl)+' BTC';
   $('cPnl').style.color=clr(robotPnl);
-  $('cPnlSub').textContent='current portfolio - capital deployed';
+  $('cPnlSub').textContent=feesAfter.length?'gross: current portfolio + '+fmt8(postFeeBtc)+' fees paid - capital deployed':'current portfolio - capital deployed';
+  if($('cPnlNet')){
+    $('cPnlNet').textContent=(robotPnlNet>=0?'+':'')+fmt8(robotPnlNet)+' BTC';
+    $('cPnlNet').style.color=clr(robotPnlNet);
+    $('cPnlNetSub').textContent=feesAfter.length+' fee withdrawals (-'+fmt8(postFeeBtc)+' BTC)';
+    $('cRoiNet').textContent=fmtPct(roiNet);
+    $('cRoiNet').style.color=clr(roiNet);
+    $('cRoiNetSub').textContent='gross '+fmtPct(roi)+' − fees';
+  }
 
   $('cPnlRealized').textContent=(robotPnlRealized>=0?'+':'')+fmt8(robotPnlRealized)+' BTC';
   $('cPnlRealized').style.color=clr(robotPnlRealized);
-  $('cPnlRealizedSub').textContent='closed trades only: excludes +'+fmt8(RAW.unrealizedBtc)+' BTC unrealized';
+  $('cPnlRealizedSub').textContent='closed trades only: excludes +'+fmt8(S.unrealizedBtc)+' BTC unrealized';
 
   $('cRoi').textContent=fmtPct(roi);
   $('cRoi').style.color=clr(roi);
@@ -727,7 +1520,12 @@ function masterRecalc(){
   $('cIncomeCount').textContent=incCount+' days';
 
   // === Risk Metrics (dynamic — recalculated for selected period) ===
-  const rm=computeRiskMetricsJs(filteredDaily,RAW.currentBtc,totalPnlBtc);
+  // real balances (consolidated journal) when it covers enough of the period, else the income reconstruction
+  const jDaily=S===RAW?RAW.journal.filter(d=>d.t>=startMs):[];
+  const useJournal=jDaily.length>=RAW.journalMinDays;
+  const jEnd=useJournal?jDaily[jDaily.length-1].e:0;
+  const rm=useJournal?computeRiskMetricsJs(jDaily,jEnd,jEnd-(jDaily[0].e-jDaily[0].b)):computeRiskMetricsJs(filteredDaily,S.currentBtc,totalPnlBtc);
+  $('rmSource').textContent=useJournal?'from real balances ('+jDaily.length+' journal days)':'reconstructed from income';
   const sharpeColor=rm.sharpe>=1?'var(--green)':rm.sharpe>=0?'var(--accent)':'var(--red)';
   $('rmSharpe').textContent=rm.sharpe.toFixed(2);
   $('rmSharpe').style.color=sharpeColor;
@@ -743,10 +1541,120 @@ function masterRecalc(){
   $('rmPF').textContent=rm.profitFactor.toFixed(2);
   $('rmPF').style.color=rm.profitFactor>=1?'var(--green)':'var(--red)';
 
-  window._fc={currentBtc:RAW.currentBtc,avgMonthlyPnl:avgMoPnl,stdDev:stdDev,avgMonthlyRoi:avgMoRoi};
+  recalcSymbols(S.symbols,startMs);
+  recalcBenchmarks(S,startMs,initialBtc,totalCapBtc,roi,now);
+
+  window._fc={currentBtc:S.currentBtc,avgMonthlyPnl:avgMoPnl,stdDev:stdDev,avgMonthlyRoi:avgMoRoi};
   recalcForecast();
 }
 
+// symbol rows: d = [dayTs, realizedBtc, fundingBtc, commissionBtc, realizedUsdt, fundingUsdt, commissionUsdt, trades]
+function recalcSymbols(symbols,startMs){
+  if(!$('symTable'))return;
+  const rows=[];
+  for(const x of symbols){
+    const days=x.d.filter(d=>d[0]>=startMs);
+    if(!days.length)continue;
+    const r={s:x.s,v:[0,0,0,0,0,0,0],first:days[0][0],last:days[days.length-1][0]};
+    for(const d of days)for(let i=0;i<7;i++)r.v[i]+=d[i+1];
+    r.net=r.v[0]+r.v[1]+r.v[2];r.netU=r.v[3]+r.v[4]+r.v[5];
+    rows.push(r);
+  }
+  rows.sort((a,b)=>b.net-a.net);
+  const fmtD=ts=>new Date(ts).toLocaleDateString('ru-RU',{day:'2-digit',month:'2-digit',year:'numeric'});
+  const cell=(b,u)=>'<td style="color:'+clr(b)+'">'+(b>=0?'+':'')+fmt8(b)+'<br><span style="color:var(--muted);font-size:10px">'+fmtU(u)+'</span></td>';
+  const tot=rows.reduce((t,r)=>{for(let i=0;i<7;i++)t[i]+=r.v[i];return t;},[0,0,0,0,0,0,0]);
+  const totNet=tot[0]+tot[1]+tot[2];
+  $('symTable').innerHTML=rows.map(r=>'<tr><td><strong>'+r.s+'</strong></td>'+cell(r.v[0],r.v[3])+cell(r.v[1],r.v[4])+cell(r.v[2],r.v[5])+'<td style="color:'+clr(r.net)+';font-weight:700">'+(r.net>=0?'+':'')+fmt8(r.net)+'</td><td>'+fmtU(r.netU)+'</td><td>'+r.v[6].toLocaleString()+'</td><td>'+fmtD(r.first)+'</td><td>'+fmtD(r.last)+'</td></tr>').join('')+
+    '<tr style="font-weight:700"><td>Total</td>'+cell(tot[0],tot[3])+cell(tot[1],tot[4])+cell(tot[2],tot[5])+'<td style="color:'+clr(totNet)+'">'+(totNet>=0?'+':'')+fmt8(totNet)+'</td><td>'+fmtU(tot[3]+tot[4]+tot[5])+'</td><td>'+tot[6].toLocaleString()+'</td><td></td><td></td></tr>';
+  const winners=rows.filter(r=>r.net>0);
+  $('symSummary').textContent=rows.length+' symbols in the period, '+winners.length+' net positive.';
+  $('symTopChart').innerHTML=symbolBars(winners.slice(0,10));
+  $('symBottomChart').innerHTML=symbolBars(rows.filter(r=>r.net<0).reverse().slice(0,10));
+}
+
+function symbolBars(rows){
+  if(!rows.length)return '<p style="color:var(--muted);font-size:12px">None in this period</p>';
+  const W=600,rh=24,lw=110,vw=110,H=rows.length*rh+8;
+  const mx=Math.max(...rows.map(r=>Math.abs(r.net)))||1;
+  const bw=W-lw-vw;
+  let svg='<svg viewBox="0 0 '+W+' '+H+'" style="width:100%;height:auto">';
+  rows.forEach((r,i)=>{
+    const y=4+i*rh;const w=Math.max(1,Math.abs(r.net)/mx*bw);
+    svg+='<text x="'+(lw-6)+'" y="'+(y+15)+'" text-anchor="end" fill="#c9d1d9" font-size="11">'+r.s+'</text>'+
+      '<rect x="'+lw+'" y="'+(y+3)+'" width="'+w.toFixed(1)+'" height="'+(rh-8)+'" rx="2" fill="'+clr(r.net)+'" opacity="0.8"/>'+
+      '<text x="'+(lw+w+6).toFixed(1)+'" y="'+(y+15)+'" fill="#8b949e" font-size="10">'+(r.net>=0?'+':'')+r.net.toFixed(6)+'</text>';
+  });
+  return svg+'</svg>';
+}
+
+// Benchmarks over the same capital and flows, day by day in BTC: the bot (settled P&L, fees added
+// back), BTC held, USD held, and cash-and-carry (USD value compounding at the BTCUSDT funding rate).
+function recalcBenchmarks(S,startMs,initialBtc,capBtc,roi,now){
+  if(!$('bmTable'))return;
+  const DAY=86400000,day0=Math.floor(startMs/DAY)*DAY,lastDay=Math.floor(now/DAY)*DAY;
+  const px={},carry={},pnl={},flow={};
+  for(const [t,c] of RAW.prices)px[t]=c;
+  for(const [t,r] of RAW.carry)carry[t]=r;
+  for(const d of [...S.dailyPnl,...S.spotPnl])if(d.t>=startMs)pnl[d.t]=(pnl[d.t]||0)+d.b;
+  const addFlow=(t,btc,usdt)=>{const k=Math.floor(t/DAY)*DAY;const f=flow[k]||(flow[k]={btc:0,usdt:0});f.btc+=btc;f.usdt+=usdt;};
+  for(const d of S.deposits)if(d.t>=startMs)addFlow(d.t,d.btc,d.usdt);
+  for(const w of S.withdrawals)if(w.t>=startMs&&!w.fee)addFlow(w.t,-w.btc,-w.usdt);
+  let p=px[day0-DAY]||(RAW.prices.length?RAW.prices[0][1]:RAW.btcPrice);
+  let bot=initialBtc,hodl=initialBtc,usd=initialBtc*p,cc=initialBtc*p,marketDays=0,days=0;
+  const pts=[{t:startMs,v:[bot,hodl,usd/p,cc/p]}];
+  const rb=[],rp=[],rx=[[],[],[]];
+  for(let t=day0;t<=lastDay;t+=DAY){
+    const prev=p;p=t===lastDay?RAW.btcPrice:(px[t]||p);
+    const g=pnl[t]||0,f=flow[t]||{btc:0,usdt:0};
+    let c=RAW.carryDefault;if(carry[t]!==undefined){c=carry[t];marketDays++;}
+    days++;
+    if(bot>0){rb.push(g/bot);rp.push(p/prev-1);rx[0].push(0);rx[1].push(prev/p-1);rx[2].push((1+c)*prev/p-1);}
+    bot+=g+f.btc;hodl+=f.btc;usd+=f.usdt;cc=cc*(1+c)+f.usdt;
+    pts.push({t:Math.min(t+DAY,now),v:[bot,hodl,usd/p,cc/p]});
+  }
+  pts[pts.length-1].v[0]+=S.unrealizedBtc;
+  const end=pts[pts.length-1].v;
+
+  const mean=a=>a.reduce((s,v)=>s+v,0)/(a.length||1);
+  const sd=a=>{const m=mean(a);return a.length>1?Math.sqrt(a.reduce((s,v)=>s+(v-m)**2,0)/(a.length-1)):0;};
+  const mb=mean(rb),mp=mean(rp),n=rb.length;
+  let cov=0;for(let i=0;i<n;i++)cov+=(rb[i]-mb)*(rp[i]-mp);cov=n>1?cov/(n-1):0;
+  const beta=sd(rp)>0?cov/sd(rp)**2:NaN,corr=sd(rp)>0&&sd(rb)>0?cov/(sd(rp)*sd(rb)):NaN;
+  $('bmBeta').textContent=isFinite(beta)?beta.toFixed(3):'N/A';
+  $('bmCorr').textContent=isFinite(corr)?corr.toFixed(3):'N/A';
+  $('bmCorrSub').textContent=n+' days; 1 = moves with BTC, 0 = unrelated';
+
+  const names=['Bot','Hold BTC','Hold USD','Cash-and-carry'],colors=['#58a6ff','#f7931a','#8b949e','#00c853'];
+  $('bmTable').innerHTML=names.map((name,i)=>{
+    const pnlB=+(end[i]-capBtc).toFixed(10),r=capBtc>0?pnlB/capBtc:0;
+    let ex='',te='',ir='';
+    if(i>0){
+      const active=rb.map((v,j)=>v-rx[i-1][j]);
+      const teV=sd(active)*Math.sqrt(365),irV=teV>0?mean(active)*365/teV:NaN;
+      const exV=roi-r;
+      ex='<span style="color:'+clr(exV)+'">'+(exV>=0?'+':'')+fmtPct(exV)+'</span>';te=fmtPct(teV);ir=isFinite(irV)?irV.toFixed(2):'N/A';
+    }
+    return '<tr'+(i?'':' style="font-weight:700"')+'><td><span style="color:'+colors[i]+'">■</span> '+name+'</td><td>'+fmt8(end[i])+'</td><td>'+fmtU(end[i]*RAW.btcPrice)+'</td><td style="color:'+clr(pnlB)+'">'+(pnlB>=0?'+':'')+fmt8(pnlB)+'</td><td style="color:'+clr(r)+'">'+fmtPct(r)+'</td><td>'+(ex||'&mdash;')+'</td><td>'+(te||'&mdash;')+'</td><td>'+(ir||'&mdash;')+'</td></tr>';
+  }).join('');
+  $('bmNote').textContent='Funding for cash-and-carry: market rates on '+marketDays+' of '+days+' days'+(marketDays<days?', '+(RAW.carryDefault*100).toFixed(2)+'% a day assumed on the rest.':'.');
+  $('bmChart').innerHTML=benchChart(pts,colors,names);
+}
+
+function benchChart(pts,colors,names){
+  if(pts.length<2)return '<p style="color:var(--muted);font-size:12px">Not enough days in this period</p>';
+  const W=1280,H=220,p={t:12,r:12,b:22,l:80},cw=W-p.l-p.r,ch=H-p.t-p.b;
+  const all=pts.flatMap(x=>x.v);let lo=Math.min(...all),hi=Math.max(...all);const pad=(hi-lo)*0.08||Math.abs(hi)*0.05||0.001;lo-=pad;hi+=pad;
+  const t0=pts[0].t,t1=pts[pts.length-1].t;
+  const sx=t=>p.l+((t-t0)/(t1-t0||1))*cw,sy=v=>p.t+ch-((v-lo)/(hi-lo))*ch;
+  let svg='<svg viewBox="0 0 '+W+' '+H+'" style="width:100%;height:200px">';
+  for(let i=0;i<=4;i++){const v=lo+(hi-lo)*i/4;svg+='<line x1="'+p.l+'" y1="'+sy(v).toFixed(1)+'" x2="'+(W-p.r)+'" y2="'+sy(v).toFixed(1)+'" stroke="#30363d" stroke-width="0.5"/><text x="'+(p.l-5)+'" y="'+(sy(v)+3).toFixed(1)+'" text-anchor="end" fill="#8b949e" font-size="8">'+v.toFixed(4)+'</text>';}
+  for(let i=0;i<6;i++){const t=t0+(i/5)*(t1-t0);svg+='<text x="'+sx(t).toFixed(1)+'" y="'+(H-5)+'" text-anchor="middle" fill="#8b949e" font-size="8">'+new Date(t).toLocaleDateString('en-GB',{day:'2-digit',month:'short',year:'2-digit'})+'</text>';}
+  for(let k=names.length-1;k>=0;k--)svg+='<path d="M'+pts.map(x=>sx(x.t).toFixed(1)+','+sy(x.v[k]).toFixed(1)).join('L')+'" fill="none" stroke="'+colors[k]+'" stroke-width="'+(k?1.2:2)+'"'+(k?' stroke-dasharray="5,3"':'')+'><title>'+names[k]+'</title></path>';
+  names.forEach((n,k)=>{svg+='<text x="'+(p.l+10+k*130)+'" y="'+(p.t+10)+'" fill="'+colors[k]+'" font-size="10">■ '+n+'</text>';});
+  return svg+'</svg>';
+}
+
 function computeRiskMetricsJs(timeline,totalBtc,totalPnlBtc){
   if(!timeline||timeline.length<2){
     return {sharpe:0,maxDrawdownBtc:0,maxDrawdownPct:0,bestDay:0,worstDay:0,bestDayPct:0,worstDayPct:0,bestDayDate:'-',worstDayDate:'-',winRate:0,winDays:0,totalDays:timeline?timeline.length:0,profitFactor:0};
@@ -839,6 +1747,7 @@ function recalcForecast(){
   $('scenarios').innerHTML=html;
 }
 $('startDate').addEventListener('change',masterRecalc);
+if($('accountSel'))$('accountSel').addEventListener('change',masterRecalc);
 $('fcMonths').addEventListener('input',recalcForecast);
 $('fcBtcPrice').addEventListener('input',recalcForecast);
 masterRecalc();
@@ -911,7 +1820,7 @@ masterRecalc();
 })();
 </script>
 
-<div class="footer">Generated by myStoicTracker &mdash; ${new Date().toLocaleString('ru-RU')} &mdash; BTC Accumulation Strategy &mdash; All metrics denominated in BTC &mdash; <a href="https://github.com/kitkin/myStoicTracker" style="color:var(--accent)">GitHub</a></div>
+<div class="footer">Generated by myStoicTracker &mdash; ${new Date(NOW).toLocaleString('ru-RU')} &mdash; BTC Accumulation Strategy &mdash; All metrics denominated in BTC &mdash; <a href="https://github.com/kitkin/myStoicTracker" style="color:var(--accent)">GitHub</a></div>
 </div></body></html>`;
 }
 
@@ -970,19 +1879,55 @@ function computeRiskMetrics(timeline, totalBtc) {
   };
 }
 
-function genEquityCurve(timeline, totalBtc) {
-  if (!timeline || timeline.length < 2) return '';
+// Dashed vertical markers at performance-fee withdrawals on the equity and drawdown charts.
+function feeMarkers(fees, t0, t1, sx, p, H) {
+  return fees.filter(f => f.timestamp >= t0 && f.timestamp <= t1).map(f => {
+    const x = sx(f.timestamp).toFixed(1);
+    return `<g><title>Performance fee ${new Date(f.timestamp).toISOString().slice(0, 10)}: ${f.btcValue.toFixed(8)} BTC</title><line x1="${x}" y1="${p.t}" x2="${x}" y2="${H - p.b}" stroke="#ff9100" stroke-width="1" stroke-dasharray="3,3"/><text x="${x}" y="${p.t + 8}" dx="3" fill="#ff9100" font-size="8">fee</text></g>`;
+  }).join('');
+}
+
+// Equity after each day, starting from totalBtc less the timeline's cumulative P&L.
+function equityPoints(timeline, totalBtc) {
   const startEquity = totalBtc - timeline[timeline.length - 1].cumulativeBtc;
-  const points = [];
-  let equity = startEquity;
-  for (const d of timeline) {
-    equity += d.dailyBtc;
-    points.push({ time: d.time, equity });
+  let equity = startEquity, peak = startEquity;
+  return {
+    startEquity,
+    points: timeline.map(d => {
+      equity += d.dailyBtc;
+      if (equity > peak) peak = equity;
+      return { time: d.time, equity, dd: equity - peak };
+    })
+  };
+}
+
+// Deepest fall from a running peak along an equity path, in BTC (negative) and as a share of that peak.
+function maxDrawdown(timeline, totalBtc) {
+  if (!timeline.length) return null;
+  const { startEquity, points } = equityPoints(timeline, totalBtc);
+  let peak = startEquity, worst = { btc: 0, pct: 0, time: null };
+  for (const p of points) {
+    if (p.equity > peak) peak = p.equity;
+    if (p.dd < worst.btc) worst = { btc: p.dd, pct: peak > 0 ? p.dd / peak : 0, time: p.time };
   }
+  return worst;
+}
+
+// `compare` ({ timeline, totalBtc }) is drawn as a dashed line on the same axes: the path
+// reconstructed from income next to the one from real balances.
+function compareLine(compare, key, sx, sy) {
+  if (!compare || compare.timeline.length < 2) return '';
+  const { points } = equityPoints(compare.timeline, compare.totalBtc);
+  return `<path d="M${points.map(d => `${sx(d.time).toFixed(1)},${sy(d[key]).toFixed(1)}`).join('L')}" fill="none" stroke="#8b949e" stroke-width="1.2" stroke-dasharray="5,3"/>`;
+}
+
+function genEquityCurve(timeline, totalBtc, fees = [], compare = null) {
+  if (!timeline || timeline.length < 2) return '';
+  const { startEquity, points } = equityPoints(timeline, totalBtc);
 
   const W = 1280, H = 220, p = { t: 12, r: 12, b: 22, l: 80 };
   const cw = W - p.l - p.r, ch = H - p.t - p.b;
-  const vals = points.map(d => d.equity);
+  const vals = [...points, ...(compare && compare.timeline.length > 1 ? equityPoints(compare.timeline, compare.totalBtc).points : [])].map(d => d.equity);
   const mn = Math.min(...vals, startEquity) * 0.998, mx = Math.max(...vals, startEquity) * 1.002;
   const t0 = points[0].time, t1 = points[points.length - 1].time;
   const sx = t => p.l + ((t - t0) / (t1 - t0 || 1)) * cw;
@@ -1003,24 +1948,16 @@ function genEquityCurve(timeline, totalBtc) {
   const eqColor = lastEquity >= startEquity ? '#00c853' : '#ff1744';
   const xL = xAxisDateLabels(t0, t1, sx, W, H, p);
 
-  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:200px"><defs><linearGradient id="eqg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="${eqColor}" stop-opacity="0.2"/><stop offset="100%" stop-color="${eqColor}" stop-opacity="0"/></linearGradient></defs>${yL}${xL}${baseLine}${baseLabel}<path d="${area}" fill="url(#eqg)"/><path d="${line}" fill="none" stroke="${eqColor}" stroke-width="2"/></svg>`;
+  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:200px"><defs><linearGradient id="eqg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="${eqColor}" stop-opacity="0.2"/><stop offset="100%" stop-color="${eqColor}" stop-opacity="0"/></linearGradient></defs>${yL}${xL}${baseLine}${baseLabel}<path d="${area}" fill="url(#eqg)"/>${compareLine(compare, 'equity', sx, sy)}<path d="${line}" fill="none" stroke="${eqColor}" stroke-width="2"/>${feeMarkers(fees, t0, t1, sx, p, H)}</svg>`;
 }
 
-function genDrawdownChart(timeline, totalBtc) {
+function genDrawdownChart(timeline, totalBtc, fees = [], compare = null) {
   if (!timeline || timeline.length < 2) return '';
-  const startEquity = totalBtc - timeline[timeline.length - 1].cumulativeBtc;
-  const points = [];
-  let equity = startEquity, peak = startEquity;
-  for (const d of timeline) {
-    equity += d.dailyBtc;
-    if (equity > peak) peak = equity;
-    const dd = equity - peak;
-    points.push({ time: d.time, dd });
-  }
+  const { points } = equityPoints(timeline, totalBtc);
 
   const W = 1280, H = 160, p = { t: 10, r: 12, b: 22, l: 80 };
   const cw = W - p.l - p.r, ch = H - p.t - p.b;
-  const vals = points.map(d => d.dd);
+  const vals = [...points, ...(compare && compare.timeline.length > 1 ? equityPoints(compare.timeline, compare.totalBtc).points : [])].map(d => d.dd);
   const mn = Math.min(...vals) * 1.15;
   const t0 = points[0].time, t1 = points[points.length - 1].time;
   const sx = t => p.l + ((t - t0) / (t1 - t0 || 1)) * cw;
@@ -1035,7 +1972,7 @@ function genDrawdownChart(timeline, totalBtc) {
   for (let i = 1; i <= 3; i++) { const v = mn * i / 3; const y = sy(v); yL += `<text x="${p.l - 5}" y="${y + 3}" text-anchor="end" fill="#8b949e" font-size="8">${v.toFixed(5)}</text>`; }
   const xL = xAxisDateLabels(t0, t1, sx, W, H, p);
 
-  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:140px"><defs><linearGradient id="ddg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="#ff1744" stop-opacity="0.05"/><stop offset="100%" stop-color="#ff1744" stop-opacity="0.3"/></linearGradient></defs>${yL}${xL}<path d="${area}" fill="url(#ddg)"/><path d="${line}" fill="none" stroke="#ff1744" stroke-width="1.5"/></svg>`;
+  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:140px"><defs><linearGradient id="ddg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="#ff1744" stop-opacity="0.05"/><stop offset="100%" stop-color="#ff1744" stop-opacity="0.3"/></linearGradient></defs>${yL}${xL}<path d="${area}" fill="url(#ddg)"/>${compareLine(compare, 'dd', sx, sy)}<path d="${line}" fill="none" stroke="#ff1744" stroke-width="1.5"/>${feeMarkers(fees, t0, t1, sx, p, H)}</svg>`;
 }
 
 function genRollingRoiChart(timeline, totalBtc) {
@@ -1142,6 +2079,97 @@ function genWeeklyChart(weekly) {
   return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:160px">${yL}${xL}${bars}</svg>`;
 }
 
+// Net funding per 8-hour interval; stretches of negative funding are shaded.
+// Opening balance, each reconciliation part as a floating step, the unexplained residual, closing balance.
+function genReconWaterfall(total) {
+  const steps = [...RECON_PARTS.map(([k, label]) => ({ label, v: total[k] })), { label: 'Unexplained', v: total.residualBtc, residual: true }];
+  const W = 1280, H = 260, p = { t: 20, r: 12, b: 36, l: 72 };
+  const cw = W - p.l - p.r, ch = H - p.t - p.b;
+  let run = total.openingBtc;
+  const levels = [run];
+  for (const st of steps) { st.from = run; run += st.v; st.to = run; levels.push(run); }
+  const lo = Math.min(...levels), hi = Math.max(...levels);
+  const pad = (hi - lo) * 0.15 || Math.abs(hi) * 0.01 || 0.001;
+  const y0 = Math.max(0, lo - pad), y1 = hi + pad;
+  const sy = v => p.t + ch - ((v - y0) / (y1 - y0)) * ch;
+  const slot = cw / (steps.length + 2), bw = slot * 0.6;
+  const bar = (i, a, b, color, label, v) => {
+    const x = p.l + slot * i + (slot - bw) / 2, top = sy(Math.max(a, b)), h = Math.max(1, Math.abs(sy(a) - sy(b)));
+    return `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${bw.toFixed(1)}" height="${h.toFixed(1)}" fill="${color}" opacity="0.85"><title>${label}: ${v.toFixed(8)} BTC</title></rect>`
+      + `<text x="${(x + bw / 2).toFixed(1)}" y="${(top - 4).toFixed(1)}" text-anchor="middle" fill="#c9d1d9" font-size="9">${v.toFixed(6)}</text>`
+      + `<text x="${(x + bw / 2).toFixed(1)}" y="${H - p.b + 14}" text-anchor="middle" fill="#8b949e" font-size="9">${label}</text>`;
+  };
+  let svg = bar(0, y0, total.openingBtc, '#58a6ff', 'Opening', total.openingBtc);
+  steps.forEach((st, i) => {
+    const color = st.residual ? (total.flagged ? '#ff9100' : '#8b949e') : st.v >= 0 ? '#00c853' : '#ff1744';
+    svg += bar(i + 1, st.from, st.to, color, st.label, st.v);
+  });
+  svg += bar(steps.length + 1, y0, total.closingBtc, '#58a6ff', 'Closing', total.closingBtc);
+  let yL = '';
+  for (let i = 0; i <= 4; i++) {
+    const v = y0 + (y1 - y0) * i / 4, y = sy(v);
+    yL += `<line x1="${p.l}" y1="${y.toFixed(1)}" x2="${W - p.r}" y2="${y.toFixed(1)}" stroke="#30363d" stroke-width="0.5"/><text x="${p.l - 5}" y="${(y + 3).toFixed(1)}" text-anchor="end" fill="#8b949e" font-size="8">${v.toFixed(4)}</text>`;
+  }
+  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:240px">${yL}${svg}</svg>`;
+}
+
+function genFundingChart(intervals, runs) {
+  if (!intervals?.length) return '';
+  const W = 1280, H = 180, p = { t: 10, r: 12, b: 22, l: 72 };
+  const cw = W - p.l - p.r, ch = H - p.t - p.b;
+  const t0 = intervals[0].time, t1 = intervals[intervals.length - 1].time + FUNDING_INTERVAL_MS;
+  const sx = t => p.l + ((t - t0) / (t1 - t0 || 1)) * cw;
+  const mx = Math.max(...intervals.map(iv => Math.abs(iv.btc))) * 1.2 || 0.001;
+  const zY = p.t + ch / 2;
+  const barW = Math.max(1, cw * FUNDING_INTERVAL_MS / (t1 - t0) - 0.5);
+  let shade = '';
+  for (const r of runs) {
+    const x = sx(r.start), w = Math.max(2, sx(r.end) - x);
+    shade += `<rect x="${x.toFixed(1)}" y="${p.t}" width="${w.toFixed(1)}" height="${ch}" fill="#ff1744" opacity="0.12"><title>Negative funding ${new Date(r.start).toISOString().slice(0, 16).replace('T', ' ')} → ${new Date(r.end).toISOString().slice(0, 16).replace('T', ' ')} UTC: ${r.btc.toFixed(8)} BTC</title></rect>`;
+  }
+  let bars = '';
+  for (const iv of intervals) {
+    const h = (Math.abs(iv.btc) / mx) * (ch / 2);
+    bars += `<rect x="${sx(iv.time).toFixed(1)}" y="${(iv.btc >= 0 ? zY - h : zY).toFixed(1)}" width="${barW.toFixed(2)}" height="${h.toFixed(1)}" fill="${iv.btc >= 0 ? '#00c853' : '#ff1744'}" opacity="0.8"/>`;
+  }
+  let yL = `<line x1="${p.l}" y1="${zY}" x2="${W - p.r}" y2="${zY}" stroke="#8b949e" stroke-width="0.5"/>`;
+  for (const v of [mx, mx / 2, -mx / 2, -mx]) {
+    const y = zY - (v / mx) * (ch / 2);
+    yL += `<text x="${p.l - 5}" y="${y + 3}" text-anchor="end" fill="#8b949e" font-size="8">${v.toFixed(6)}</text>`;
+  }
+  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:160px">${shade}${yL}${xAxisDateLabels(t0, t1, sx, W, H, p)}${bars}</svg>`;
+}
+
+// Semicircle gauge: left = all short, right = all long, tick at the 50/50 target.
+function genExposureGauge(longShare) {
+  const cx = 110, cy = 100, r = 80;
+  const at = (share, rr) => { const a = Math.PI * (1 - share); return [cx + rr * Math.cos(a), cy - rr * Math.sin(a)]; };
+  const arc = (a, b, col) => { const [x0, y0] = at(a, r), [x1, y1] = at(b, r); return `<path d="M${x0.toFixed(1)},${y0.toFixed(1)} A${r},${r} 0 0 1 ${x1.toFixed(1)},${y1.toFixed(1)}" fill="none" stroke="${col}" stroke-width="14"/>`; };
+  const [tx0, ty0] = at(EXPOSURE_TARGET_LONG_SHARE, r - 12), [tx1, ty1] = at(EXPOSURE_TARGET_LONG_SHARE, r + 12);
+  const needle = longShare === null ? '' : (() => { const [nx, ny] = at(longShare, r - 18); return `<line x1="${cx}" y1="${cy}" x2="${nx.toFixed(1)}" y2="${ny.toFixed(1)}" stroke="#ffd740" stroke-width="3" stroke-linecap="round"/><circle cx="${cx}" cy="${cy}" r="5" fill="#ffd740"/>`; })();
+  return `<svg viewBox="0 0 220 125" style="width:100%;max-width:240px">${arc(0, 0.4, '#ff1744')}${arc(0.4, 0.6, '#30363d')}${arc(0.6, 1, '#00c853')}<line x1="${tx0.toFixed(1)}" y1="${ty0.toFixed(1)}" x2="${tx1.toFixed(1)}" y2="${ty1.toFixed(1)}" stroke="#c9d1d9" stroke-width="2"/>${needle}<text x="${cx}" y="${cy + 20}" text-anchor="middle" fill="#c9d1d9" font-size="16" font-weight="700">${longShare === null ? '—' : (longShare * 100).toFixed(1) + '%'}</text><text x="${cx - r}" y="${cy + 20}" text-anchor="middle" fill="#8b949e" font-size="9">short</text><text x="${cx + r}" y="${cy + 20}" text-anchor="middle" fill="#8b949e" font-size="9">long</text></svg>`;
+}
+
+// One exposure metric across the recorded snapshots, with a dashed reference line.
+function genExposureDriftChart(history, key, fmtV, reference) {
+  const pts = history.filter(h => h[key] !== null && h[key] !== undefined);
+  if (pts.length < 2) return '';
+  const W = 1280, H = 180, p = { t: 12, r: 12, b: 22, l: 72 };
+  const cw = W - p.l - p.r, ch = H - p.t - p.b;
+  const vals = pts.map(h => h[key]);
+  const lo = Math.min(...vals, reference), hi = Math.max(...vals, reference);
+  const pad = (hi - lo) * 0.1 || Math.abs(hi) * 0.1 || 0.01;
+  const mn = lo - pad, mx = hi + pad;
+  const t0 = pts[0].time, t1 = pts[pts.length - 1].time;
+  const sx = t => p.l + ((t - t0) / (t1 - t0 || 1)) * cw;
+  const sy = v => p.t + ch - ((v - mn) / (mx - mn || 1)) * ch;
+  let yL = `<line x1="${p.l}" y1="${sy(reference).toFixed(1)}" x2="${W - p.r}" y2="${sy(reference).toFixed(1)}" stroke="#ffd740" stroke-width="1" stroke-dasharray="4,4"/>`;
+  for (let i = 0; i <= 4; i++) { const v = mn + (mx - mn) * i / 4; yL += `<text x="${p.l - 5}" y="${sy(v) + 3}" text-anchor="end" fill="#8b949e" font-size="8">${fmtV(v)}</text>`; }
+  const line = `M${pts.map(h => `${sx(h.time).toFixed(1)},${sy(h[key]).toFixed(1)}`).join('L')}`;
+  const dots = pts.map(h => `<circle cx="${sx(h.time).toFixed(1)}" cy="${sy(h[key]).toFixed(1)}" r="2.5" fill="#58a6ff"><title>${new Date(h.time).toISOString().slice(0, 16).replace('T', ' ')}: ${fmtV(h[key])}</title></circle>`).join('');
+  return `<svg viewBox="0 0 ${W} ${H}" style="width:100%;height:160px">${yL}${xAxisDateLabels(t0, t1, sx, W, H, p)}<path d="${line}" fill="none" stroke="#58a6ff" stroke-width="1.5"/>${dots}</svg>`;
+}
+
 function genMonthlyChart(monthly) {
   if (!monthly?.length) return '';
   const W = 1280, H = 200, p = { t: 10, r: 12, b: 30, l: 72 };
@@ -1238,150 +2266,975 @@ function genTrendChart(monthly, forecast) {
   </svg>`;
 }
 
-async function main() {
-  console.log(`=== myStoicTracker — ${PERIOD_DAYS}-day Analysis ===`);
-  console.log(`Period: ${new Date(START_TIME).toISOString().slice(0, 10)} → ${new Date(NOW).toISOString().slice(0, 10)}\n`);
+async function fetchAccountData(acct, priceMap) {
+  log(`   Deposits (full history)...`);
+  const deposits = await getDeposits(acct);
+  log(`   ${deposits.length} deposits`);
+
+  log(`   Withdrawals (full history)...`);
+  const withdrawals = await getWithdrawals(acct);
+  log(`   ${withdrawals.length} withdrawals`);
+
+  log(`   Transfers...`);
+  const transfersToFutures = await getTransferHistory(acct, 'MAIN_UMFUTURE');
+  const transfersFromFutures = await getTransferHistory(acct, 'UMFUTURE_MAIN');
+  const transfersToCoinm = await getTransferHistory(acct, 'MAIN_CMFUTURE');
+  const transfersFromCoinm = await getTransferHistory(acct, 'CMFUTURE_MAIN');
+  log(`   →Futures: ${transfersToFutures.length}, ←Futures: ${transfersFromFutures.length}, →COIN-M: ${transfersToCoinm.length}, ←COIN-M: ${transfersFromCoinm.length}`);
+  const subAccountTransfers = acct.subAccount ? await getSubAccountTransfers(acct) : [];
+  if (acct.subAccount) log(`   Sub-account transfers: ${subAccountTransfers.length}`);
+
+  log(`   Futures account...`);
+  const futuresAccount = await withRetry(() => fapiRequest(acct, '/fapi/v2/account'));
+  const futuresBalances = await withRetry(() => fapiRequest(acct, '/fapi/v2/balance'));
+  const multiAssetsMargin = await getMultiAssetsMargin(acct);
+  if (multiAssetsMargin !== null) log(`   ${multiAssetsMargin ? 'Multi-Assets' : 'Single-Asset'} margin mode`);
+  const positionRisk = await getPositionRisk(acct, 'USD-M');
+  log(`   COIN-M account...`);
+  const coinmAccount = await getCoinmAccount(acct);
+  const coinmPositionRisk = coinmAccount ? await getPositionRisk(acct, 'COIN-M') : [];
+
+  log(`   Spot...`);
+  const { data: accData } = await withRetry(() => acct.client.account());
+  const spotBalances = accData.balances.filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0);
+
+  log(`   Daily account snapshots (paced by Binance's request weight)...`);
+  const accountSnapshots = [...await getAccountSnapshots(acct, 'SPOT'), ...await getAccountSnapshots(acct, 'FUTURES')];
+  log(`   ${accountSnapshots.length} snapshots`);
+
+  log(`   Income history (this takes a while)...`);
+  const futuresIncome = await getFuturesIncome(acct);
+  log(`   ${futuresIncome.length.toLocaleString()} records`);
+  const coinmIncome = coinmAccount ? await getCoinmIncome(acct) : [];
+  if (coinmAccount) log(`   ${coinmIncome.length.toLocaleString()} COIN-M records`);
+
+  const fetched = {
+    name: acct.name, email: acct.email, subAccount: acct.subAccount,
+    deposits, withdrawals, transfersToFutures, transfersFromFutures, transfersToCoinm, transfersFromCoinm, subAccountTransfers,
+    futuresAccount, futuresBalances, multiAssetsMargin, positionRisk, coinmAccount, coinmPositionRisk, spotBalances, futuresIncome, coinmIncome, accountSnapshots
+  };
+  const pairs = spotCandidates(fetched, acct.spotSymbols, priceMap);
+  log(`   Spot trades (${pairs.length} candidate pairs)...`);
+  fetched.spotTrades = [];
+  for (const pair of pairs) {
+    try {
+      fetched.spotTrades.push(...await getSpotTrades(acct, pair));
+    } catch (err) {
+      // the pages fetched so far stay in the store; the next run carries on from its cursor
+      log(`   ${pair.symbol} trades not available (${err.message}); skipped`);
+      SYNC_FAILURES.push({ store: `${acct.name}/trades-${pair.symbol}`, from: null, to: null, error: err.message });
+    }
+  }
+  log(`   ${fetched.spotTrades.length.toLocaleString()} spot fills`);
+  return fetched;
+}
 
-  console.log('1. Prices...');
+// Pulls everything the report needs from Binance. The result is what gets dumped to
+// raw-data.json, so it must stay sufficient for buildReport() on its own.
+async function fetchRawData(accounts) {
+  log('1. Prices...');
   const priceMap = await fetchAllPrices();
-  const btcPrice = priceMap['BTCUSDT'];
-  console.log(`   BTC/USDT: $${btcPrice}`);
+  log(`   BTC/USDT: $${priceMap['BTCUSDT']}`);
+
+  const markPrices = await getMarkPrices();
+  log(`   ${Object.keys(markPrices).length} futures mark prices`);
 
-  console.log('2. Daily BTC candles...');
+  log('2. BTC/USDT candles...');
   const dailyPrices = await getDailyBtcPrices();
-  console.log(`   ${dailyPrices.length} candles`);
-
-  console.log('3. Deposits (full history)...');
-  const deposits = await getDeposits();
-  const depositDetails = [];
-  let totalDepositsBtc = 0;
-  const stablecoins = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'DAI'];
-  for (const d of deposits) {
-    const amt = parseFloat(d.amount);
-    const bp = btcPriceAt(d.insertTime, dailyPrices) || btcPrice;
-    let bv;
-    if (d.coin === 'BTC') {
-      bv = amt;
-    } else if (stablecoins.includes(d.coin)) {
-      bv = amt / bp;
-    } else {
-      bv = toBtc(d.coin, amt, priceMap);
-    }
-    let usdtVal;
-    if (d.coin === 'BTC') { usdtVal = amt * bp; }
-    else if (stablecoins.includes(d.coin)) { usdtVal = amt; }
-    else { usdtVal = bv * bp; }
-    depositDetails.push({ ...d, btcValue: bv, btcPriceAtTime: bp, usdtValue: usdtVal });
-    totalDepositsBtc += bv;
-    console.log(`   ${d.coin}: ${amt} → ${bv.toFixed(8)} BTC ($${usdtVal.toFixed(2)}) (BTC price: $${bp.toFixed(0)})`);
-  }
-
-  console.log('4. Withdrawals (full history)...');
-  const withdrawals = await getWithdrawals();
-  let totalWithdrawalsBtc = 0;
-  const withdrawalDetails = [];
-  for (const w of withdrawals) {
-    const amt = parseFloat(w.amount);
-    const wTime = new Date(w.completeTime || w.applyTime).getTime();
-    const bp = btcPriceAt(wTime, dailyPrices) || btcPrice;
-    let bv;
-    if (w.coin === 'BTC') {
-      bv = amt;
-    } else if (stablecoins.includes(w.coin)) {
-      bv = amt / bp;
-    } else {
-      bv = toBtc(w.coin, amt, priceMap);
-    }
-    let wUsdtVal;
-    if (w.coin === 'BTC') { wUsdtVal = amt * bp; }
-    else if (stablecoins.includes(w.coin)) { wUsdtVal = amt; }
-    else { wUsdtVal = bv * bp; }
-    withdrawalDetails.push({ ...w, btcValue: bv, btcPriceAtTime: bp, timestamp: wTime, usdtValue: wUsdtVal });
-    totalWithdrawalsBtc += bv;
-    console.log(`   ${w.coin}: ${amt} → ${bv.toFixed(8)} BTC ($${wUsdtVal.toFixed(2)}) (${w.completeTime || w.applyTime})`);
-  }
-  console.log(`   ${withdrawals.length} withdrawals = ${totalWithdrawalsBtc.toFixed(8)} BTC`);
-
-  console.log('5. Transfers...');
-  const transfersToFutures = await getTransferHistory('MAIN_UMFUTURE');
-  const transfersFromFutures = await getTransferHistory('UMFUTURE_MAIN');
-  console.log(`   →Futures: ${transfersToFutures.length}, ←Futures: ${transfersFromFutures.length}`);
-
-  console.log('6. Futures account...');
-  const futuresAccount = await withRetry(() => fapiRequest('/fapi/v2/account'));
-  const unrealizedPnl = parseFloat(futuresAccount.totalUnrealizedProfit || 0);
-  const futBal = await withRetry(() => fapiRequest('/fapi/v2/balance'));
-  let fBtc = 0, fUsdt = 0;
-  if (Array.isArray(futBal)) for (const b of futBal) { if (b.asset === 'BTC') fBtc = parseFloat(b.balance); if (b.asset === 'USDT') fUsdt = parseFloat(b.balance); }
-  const totalFuturesValueBtc = fBtc + (fUsdt + unrealizedPnl) / btcPrice;
-  console.log(`   BTC: ${fBtc.toFixed(8)}, USDT: ${fUsdt.toFixed(2)}, uPnl: ${unrealizedPnl.toFixed(2)}`);
-  console.log(`   Total: ${totalFuturesValueBtc.toFixed(8)} BTC`);
-
-  console.log('7. Spot...');
-  const { data: accData } = await withRetry(() => client.account());
-  const spotBtc = accData.balances.filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0).reduce((s, b) => s + toBtc(b.asset, parseFloat(b.free) + parseFloat(b.locked), priceMap), 0);
-  console.log(`   Spot: ${spotBtc.toFixed(8)} BTC`);
+  const hourlyPrices = await getHourlyBtcPrices();
+  log(`   ${dailyPrices.length} daily, ${hourlyPrices.length.toLocaleString()} hourly`);
 
-  const totalBalanceBtc = totalFuturesValueBtc + spotBtc;
+  const accountData = [];
+  for (const [i, acct] of accounts.entries()) {
+    log(`${i + 3}. Account "${acct.name}"${acct.subAccount ? ' (sub-account)' : ''}...`);
+    accountData.push(await fetchAccountData(acct, priceMap));
+  }
 
-  console.log('8. Income history (this takes a while)...');
-  const futuresIncome = await getFuturesIncome();
-  console.log(`   ${futuresIncome.length.toLocaleString()} records`);
-  const incomeByType = {};
-  for (const inc of futuresIncome) { const t = inc.incomeType; incomeByType[t] = (incomeByType[t] || 0) + parseFloat(inc.income); }
-  for (const [t, v] of Object.entries(incomeByType)) console.log(`   ${t}: ${v.toFixed(2)} USDT = ${(v / btcPrice).toFixed(8)} BTC`);
+  log(`${accounts.length + 3}. Historical prices for other assets...`);
+  const assetPrices = await getAssetPrices(pricedAssets(accountData), priceMap, dailyPrices);
 
-  const futuresPositions = (futuresAccount.positions || [])
-    .filter(p => parseFloat(p.positionAmt) !== 0)
-    .map(p => ({ symbol: p.symbol, qty: parseFloat(p.positionAmt), entry: parseFloat(p.entryPrice), pnlUsdt: parseFloat(p.unrealizedProfit), leverage: parseInt(p.leverage) }));
-  const totalUnrealizedUsdt = futuresPositions.reduce((s, p) => s + p.pnlUsdt, 0);
-  const totalUnrealizedBtc = btcPrice ? totalUnrealizedUsdt / btcPrice : 0;
+  log(`${accounts.length + 4}. Market funding rates...`);
+  const fundingRates = await getFundingRates(accountData);
 
-  // Detect bot start date from first income record
-  const sortedIncome = [...futuresIncome].sort((a, b) => parseInt(a.time) - parseInt(b.time));
-  const botStartTime = sortedIncome.length > 0 ? parseInt(sortedIncome[0].time) : START_TIME;
-  const botStartDate = new Date(botStartTime).toISOString().slice(0, 10);
-  console.log(`\n   Bot start detected: ${botStartDate}`);
+  return {
+    generatedAt: NOW, startTime: START_TIME, priceMap, markPrices, dailyPrices, hourlyPrices, assetPrices, fundingRates,
+    exposureHistory: loadExposureHistory(), balanceJournal: loadBalanceJournal(), syncFailures: SYNC_FAILURES, accounts: accountData
+  };
+}
 
-  // Separate deposits/withdrawals into pre-bot and during-bot
-  const depositsBeforeBot = depositDetails.filter(d => d.insertTime < botStartTime);
-  const depositsAfterBot = depositDetails.filter(d => d.insertTime >= botStartTime);
-  const withdrawalsBeforeBot = withdrawalDetails.filter(w => w.timestamp < botStartTime);
-  const withdrawalsAfterBot = withdrawalDetails.filter(w => w.timestamp >= botStartTime);
+const RAW_REQUIRED_FIELDS = ['generatedAt', 'startTime', 'priceMap', 'dailyPrices', 'accounts'];
+const RAW_ACCOUNT_FIELDS = [
+  'deposits', 'withdrawals', 'transfersToFutures', 'transfersFromFutures',
+  'futuresAccount', 'futuresBalances', 'spotBalances', 'futuresIncome'
+];
+
+function loadRawData(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  // single-account snapshots kept the account data at the top level
+  if (!raw.accounts && raw.futuresIncome) {
+    raw.accounts = [{ name: 'main', ...Object.fromEntries(RAW_ACCOUNT_FIELDS.map(k => [k, raw[k]])) }];
+  }
+  const missing = RAW_REQUIRED_FIELDS.filter(k => raw[k] === undefined);
+  for (const a of raw.accounts || []) missing.push(...RAW_ACCOUNT_FIELDS.filter(k => a[k] === undefined).map(k => `${a.name}.${k}`));
+  if (missing.length) throw new Error(`${file} is missing ${missing.join(', ')} — it was written by an older version; run once online to capture a complete snapshot`);
+  // optional data added after the first snapshot format
+  raw.hourlyPrices = raw.hourlyPrices || [];
+  raw.assetPrices = raw.assetPrices || {};
+  raw.fundingRates = raw.fundingRates || {};
+  raw.markPrices = raw.markPrices || {};
+  raw.exposureHistory = raw.exposureHistory || [];
+  raw.balanceJournal = raw.balanceJournal || [];
+  raw.syncFailures = raw.syncFailures || [];
+  for (const a of raw.accounts) {
+    a.subAccountTransfers = a.subAccountTransfers || [];
+    a.transfersToCoinm = a.transfersToCoinm || [];
+    a.transfersFromCoinm = a.transfersFromCoinm || [];
+    a.coinmAccount = a.coinmAccount || null;
+    a.coinmIncome = a.coinmIncome || [];
+    a.spotTrades = a.spotTrades || [];
+    a.positionRisk = a.positionRisk || [];
+    a.coinmPositionRisk = a.coinmPositionRisk || [];
+    a.accountSnapshots = a.accountSnapshots || [];
+  }
+  return raw;
+}
+
+function valueFlow(coin, amt, ts, prices) {
+  const bp = btcPriceAt(ts, prices);
+  const bv = toBtcAt(coin, amt, ts, prices);
+  let usdtVal;
+  if (coin === 'BTC') { usdtVal = amt * bp; }
+  else if (STABLECOINS.includes(coin)) { usdtVal = amt; }
+  else { usdtVal = bv * bp; }
+  return { btcValue: bv, btcPriceAtTime: bp, usdtValue: usdtVal };
+}
+
+// === Withdrawal categories ===
+// performance_fee: paid out of the bot's profit — excluded from capital, deducted for net P&L.
+// capital_return (the default) and other: money taken back, which reduces capital deployed.
+const WITHDRAWAL_CATEGORIES = ['performance_fee', 'capital_return', 'other'];
+const WITHDRAWAL_CATEGORY_LABELS = { performance_fee: 'Performance fee', capital_return: 'Capital return', other: 'Other' };
+
+// First rule whose every given condition matches wins; unmatched withdrawals are capital returns.
+function classifyWithdrawal(w, accountName) {
+  const amount = parseFloat(w.amount);
+  for (const [i, r] of OPTS.withdrawalRules.entries()) {
+    if (r.txIds && !r.txIds.includes(w.txId) && !r.txIds.includes(w.id)) continue;
+    if (r.address && r.address !== w.address) continue;
+    if (r.network && r.network !== w.network) continue;
+    if (r.memo !== undefined && r.memo !== (w.addressTag || '')) continue;
+    if (r.coin && r.coin !== w.coin) continue;
+    if (r.account && r.account !== accountName) continue;
+    if (r.minAmount !== undefined && amount < r.minAmount) continue;
+    if (r.maxAmount !== undefined && amount > r.maxAmount) continue;
+    if (r.amountPattern && !new RegExp(r.amountPattern).test(String(w.amount))) continue;
+    return { category: r.category, categoryRule: r.label || `rule ${i + 1}` };
+  }
+  return { category: 'capital_return', categoryRule: null };
+}
+
+// Spot fills valued in BTC with a weighted-average cost basis. A fill swaps one asset for another;
+// every non-BTC asset carries a BTC cost, so selling ETH — or USDT, when buying BTC — realizes
+// proceeds − average cost. Coins that arrived without a recorded buy (deposits, futures income)
+// have no basis: the uncovered part is taken at its market value at the time and realizes nothing.
+// Fees leave the account at their cost basis.
+function buildSpotFills(trades, prices) {
+  const inventory = {};
+  const holding = asset => inventory[asset] || (inventory[asset] = { qty: 0, costBtc: 0 });
+  // returns value − cost of `qty` of `asset` leaving the account for `valueBtc`
+  const dispose = (asset, qty, valueBtc) => {
+    if (asset === 'BTC' || !qty) return 0;
+    const h = holding(asset);
+    const covered = Math.min(qty, Math.max(h.qty, 0));
+    const avg = h.qty > 0 ? h.costBtc / h.qty : 0;
+    h.qty -= covered;
+    h.costBtc -= covered * avg;
+    return valueBtc - covered * avg - (qty - covered) * (valueBtc / qty);
+  };
+  const acquire = (asset, qty, costBtc) => {
+    if (asset === 'BTC') return;
+    const h = holding(asset);
+    h.qty += qty;
+    h.costBtc += costBtc;
+  };
+
+  const fills = [];
+  for (const t of [...trades].sort((a, b) => a.time - b.time || a.id - b.id)) {
+    const qty = parseFloat(t.qty), quoteQty = parseFloat(t.quoteQty);
+    const valueBtc = t.baseAsset === 'BTC' ? qty : t.quoteAsset === 'BTC' ? quoteQty : toBtcAt(t.quoteAsset, quoteQty, t.time, prices);
+    const [outAsset, outQty, inAsset, inQty] = t.isBuyer ? [t.quoteAsset, quoteQty, t.baseAsset, qty] : [t.baseAsset, qty, t.quoteAsset, quoteQty];
+    let realizedBtc = dispose(outAsset, outQty, valueBtc);
+    acquire(inAsset, inQty, valueBtc);
+    const fee = parseFloat(t.commission || 0);
+    const feeBtc = fee ? toBtcAt(t.commissionAsset, fee, t.time, prices) : 0;
+    if (fee) realizedBtc += dispose(t.commissionAsset, fee, feeBtc) - feeBtc;
+    fills.push({ symbol: t.symbol, time: t.time, isBuyer: t.isBuyer, valueBtc, feeBtc, realizedBtc });
+  }
+  return fills;
+}
+
+// Per-symbol totals of the fills inside [from, NOW].
+function summarizeSpotFills(fills, from) {
+  const bySymbol = {};
+  for (const f of fills) {
+    if (f.time < from || f.time > NOW) continue;
+    const key = `${f.account}:${f.symbol}`;
+    const s = bySymbol[key] || (bySymbol[key] = { account: f.account, symbol: f.symbol, trades: 0, buys: 0, sells: 0, volumeBtc: 0, feesBtc: 0, realizedBtc: 0 });
+    s.trades++;
+    if (f.isBuyer) s.buys++; else s.sells++;
+    s.volumeBtc += f.valueBtc;
+    s.feesBtc += f.feeBtc;
+    s.realizedBtc += f.realizedBtc;
+  }
+  return Object.values(bySymbol).sort((a, b) => b.volumeBtc - a.volumeBtc);
+}
+
+// Realized spot P&L per UTC day, in the same shape as buildIncomeTimeline() days.
+function buildSpotTimeline(fills) {
+  const days = {};
+  for (const f of fills) {
+    const day = Math.floor(f.time / 86400000) * 86400000;
+    (days[day] || (days[day] = { time: day, dailyBtc: 0 })).dailyBtc += f.realizedBtc;
+  }
+  return Object.values(days).sort((a, b) => a.time - b.time);
+}
+
+// Sub-account transfers expressed as deposits / withdrawals of the sub-account. A transfer with
+// the master is mirrored onto the master's ledger too, since the master's own history has no
+// record of it. Transfers with a sibling sub-account are reported by that sibling itself.
+function subAccountFlows(accounts) {
+  const byEmail = new Map(accounts.filter(a => a.email).map(a => [a.email, a]));
+  const masters = accounts.filter(a => !a.subAccount);
+  for (const a of accounts) { a.deposits = [...a.deposits]; a.withdrawals = [...a.withdrawals]; }
+  for (const a of accounts) {
+    for (const t of a.subAccountTransfers) {
+      const other = t.counterParty === 'master'
+        ? (byEmail.get(t.email) || (masters.length === 1 ? masters[0] : null))
+        : byEmail.get(t.email);
+      const base = { coin: t.asset, amount: t.qty, txId: `sub-transfer-${t.tranId}`, network: 'SUB-ACCOUNT', counterParty: t.counterParty, counterpartyEmail: t.email };
+      const incoming = t.type === 1;
+      if (incoming) a.deposits.push({ ...base, insertTime: t.time });
+      else a.withdrawals.push({ ...base, applyTime: new Date(t.time).toISOString() });
+      if (other && t.counterParty === 'master') {
+        if (incoming) other.withdrawals.push({ ...base, applyTime: new Date(t.time).toISOString() });
+        else other.deposits.push({ ...base, insertTime: t.time });
+      }
+    }
+  }
+}
+
+// Flags deposits / withdrawals that only moved money between two configured accounts. They stay
+// in each account's own ledger (for that account they are capital in or out) but are left out of
+// the consolidated view, where they would otherwise count as external money twice.
+function markInternalFlows(accounts) {
+  if (accounts.length < 2) return;
+  const depByTx = new Map();
+  const ownerOfAddress = new Map();
+  for (const a of accounts) for (const d of a.depositDetails) {
+    if (d.txId) depByTx.set(d.txId, d);
+    if (d.address) ownerOfAddress.set(`${d.coin}:${d.address}`, a);
+  }
+  const pair = (w, d) => { w.internal = d.internal = true; w.counterparty = d.account; d.counterparty = w.account; };
+  for (const a of accounts) for (const w of a.withdrawalDetails) {
+    const dep = w.txId && depByTx.get(w.txId);
+    if (dep && dep.account !== a.name) { pair(w, dep); continue; }
+    const owner = w.address && ownerOfAddress.get(`${w.coin}:${w.address}`);
+    if (!owner || owner === a) continue;
+    // sent to one of our own deposit addresses: pair with the closest unmatched credit there
+    const credit = owner.depositDetails
+      .filter(d => !d.internal && d.coin === w.coin && Math.abs(d.insertTime - w.timestamp) < 2 * 86400000)
+      .sort((x, y) => Math.abs(parseFloat(x.amount) - parseFloat(w.amount)) - Math.abs(parseFloat(y.amount) - parseFloat(w.amount)))[0];
+    if (credit) pair(w, credit);
+    else { w.internal = true; w.counterparty = owner.name; }
+  }
+  // sub-account transfers whose other side is one of our accounts
+  const emails = new Set(accounts.map(a => a.email).filter(Boolean));
+  const hasMaster = accounts.some(a => !a.subAccount);
+  for (const a of accounts) for (const f of [...a.depositDetails, ...a.withdrawalDetails]) {
+    if (f.network === 'SUB-ACCOUNT' && (emails.has(f.counterpartyEmail) || (f.counterParty === 'master' && hasMaster))) f.internal = true;
+  }
+}
+
+function valueAccount(acct, prices) {
+  const { priceMap } = prices;
+  const btcPrice = priceMap['BTCUSDT'];
+  const tag = r => ({ ...r, account: acct.name });
+
+  const depositDetails = acct.deposits.map(d => tag({ ...d, ...valueFlow(d.coin, parseFloat(d.amount), d.insertTime, prices) }));
+  const withdrawalDetails = acct.withdrawals.map(w => {
+    const wTime = utcTime(w.completeTime || w.applyTime);
+    return tag({ ...w, ...valueFlow(w.coin, parseFloat(w.amount), wTime, prices), ...classifyWithdrawal(w, acct.name), timestamp: wTime });
+  });
+
+  // Every USD-M wallet asset is valued, not just BTC and USDT: in Multi-Assets mode BNB, ETH, USDC,
+  // FDUSD, BFUSD... are collateral too. /fapi/v2/account has wallet and unrealized PnL per asset;
+  // /fapi/v2/balance is the fallback for snapshots whose account response lacks them.
+  const usdmRows = acct.futuresAccount.assets
+    ? acct.futuresAccount.assets.map(a => ({ asset: a.asset, wallet: parseFloat(a.walletBalance), unrealized: parseFloat(a.unrealizedProfit || 0) }))
+    : (acct.futuresBalances || []).map(b => ({ asset: b.asset, wallet: parseFloat(b.balance), unrealized: parseFloat(b.crossUnPnl ?? (b.asset === 'USDT' ? acct.futuresAccount.totalUnrealizedProfit : 0)) || 0 }));
+  const usdmAssets = usdmRows
+    .filter(a => a.wallet !== 0 || a.unrealized !== 0)
+    .map(a => ({ ...a, account: acct.name, valueBtc: toBtc(a.asset, a.wallet + a.unrealized, priceMap) }));
+  const usdmValueBtc = usdmAssets.reduce((s, a) => s + a.valueBtc, 0);
+  const multiAssetsMargin = acct.multiAssetsMargin ?? acct.futuresAccount.multiAssetsMargin ?? null;
+
+  // COIN-M wallets hold the margin coin itself; wallet + unrealized are both in that coin
+  const coinmAssets = (acct.coinmAccount?.assets || [])
+    .map(a => ({ asset: a.asset, wallet: parseFloat(a.walletBalance), unrealized: parseFloat(a.unrealizedProfit) }))
+    .filter(a => a.wallet !== 0 || a.unrealized !== 0)
+    .map(a => ({ ...a, valueBtc: toBtc(a.asset, a.wallet + a.unrealized, priceMap) }));
+  const coinmValueBtc = coinmAssets.reduce((s, a) => s + a.valueBtc, 0);
+  const coinmUnrealizedBtc = coinmAssets.reduce((s, a) => s + toBtc(a.asset, a.unrealized, priceMap), 0);
+  const totalFuturesValueBtc = usdmValueBtc + coinmValueBtc;
+  const spotAssets = acct.spotBalances.map(b => {
+    const amount = parseFloat(b.free) + parseFloat(b.locked);
+    return { asset: b.asset, amount, valueBtc: toBtc(b.asset, amount, priceMap) };
+  });
+  const spotBtc = spotAssets.reduce((s, b) => s + b.valueBtc, 0);
+  // BTC held outright (futures wallets and spot), the collateral leg of the net delta
+  const btcHeld = [...usdmAssets, ...coinmAssets].filter(a => a.asset === 'BTC').reduce((s, a) => s + a.wallet, 0)
+    + acct.spotBalances.filter(b => b.asset === 'BTC').reduce((s, b) => s + parseFloat(b.free) + parseFloat(b.locked), 0);
+
+  // Notional is signed (short < 0) and in USD. Without a snapshot mark price, a linear contract's
+  // mark is recovered from its unrealized PnL: pnl = qty × (mark − entry).
+  const usdmPositions = (acct.futuresAccount.positions || [])
+    .filter(p => parseFloat(p.positionAmt) !== 0)
+    .map(p => {
+      const qty = parseFloat(p.positionAmt), entry = parseFloat(p.entryPrice), pnlUsdt = parseFloat(p.unrealizedProfit);
+      const risk = positionRiskOf(acct.positionRisk, p);
+      const mark = prices.markPrices?.[p.symbol] || (risk && parseFloat(risk.markPrice)) || entry + pnlUsdt / qty;
+      const leverage = parseInt(p.leverage);
+      const isolated = risk ? risk.marginType === 'isolated' : Boolean(p.isolated);
+      const marginUsdt = isolated ? parseFloat((risk && risk.isolatedWallet) || p.isolatedWallet || 0)
+        : parseFloat(p.initialMargin) || Math.abs(qty * mark) / leverage;
+      return {
+        account: acct.name, market: 'USD-M', symbol: p.symbol, qty, entry, mark, notionalUsdt: qty * mark, pnlUsdt, leverage,
+        ...positionMargin(isolated, marginUsdt, pnlUsdt, risk, mark)
+      };
+    });
+  // COIN-M quantities are contracts of a fixed USD face value and PnL is in the margin coin (BTC for BTCUSD_PERP)
+  const coinmPositions = (acct.coinmAccount?.positions || [])
+    .filter(p => parseFloat(p.positionAmt) !== 0)
+    .map(p => {
+      const marginAsset = p.symbol.split('USD')[0];
+      const qty = parseFloat(p.positionAmt);
+      const pnlBtc = toBtc(marginAsset, parseFloat(p.unrealizedProfit), priceMap);
+      const risk = positionRiskOf(acct.coinmPositionRisk, p);
+      const mark = prices.markPrices?.[p.symbol] || (risk && parseFloat(risk.markPrice)) || null;
+      const notionalUsdt = qty * coinmContractUsd(p.symbol), leverage = parseInt(p.leverage);
+      const isolated = risk ? risk.marginType === 'isolated' : Boolean(p.isolated);
+      // isolated margin is held in the margin coin
+      const marginUsdt = isolated ? toBtc(marginAsset, parseFloat((risk && risk.isolatedWallet) || p.isolatedWallet || 0), priceMap) * btcPrice
+        : Math.abs(notionalUsdt) / leverage;
+      return {
+        account: acct.name, market: 'COIN-M', symbol: p.symbol, qty, entry: parseFloat(p.entryPrice), mark, notionalUsdt, pnlUsdt: pnlBtc * btcPrice, leverage,
+        ...positionMargin(isolated, marginUsdt, pnlBtc * btcPrice, risk, mark)
+      };
+    });
+  const futuresPositions = [...usdmPositions, ...coinmPositions];
+  const usdmUnrealizedBtc = btcPrice ? usdmPositions.reduce((s, p) => s + p.pnlUsdt, 0) / btcPrice : 0;
+  const market = m => r => ({ ...tag(r), market: m });
+  const valued = m => r => { const v = incomeValue(r, prices); return { ...tag(r), market: m, valueUsdt: v.usdt, valueBtc: v.btc, btcPriceAtTime: v.btcPrice }; };
+
+  return {
+    name: acct.name, email: acct.email, subAccount: acct.subAccount,
+    depositDetails, withdrawalDetails,
+    transfersToFutures: [...acct.transfersToFutures.map(market('USD-M')), ...acct.transfersToCoinm.map(market('COIN-M'))],
+    transfersFromFutures: [...acct.transfersFromFutures.map(market('USD-M')), ...acct.transfersFromCoinm.map(market('COIN-M'))],
+    futuresIncome: [...acct.futuresIncome.map(valued('USD-M')), ...acct.coinmIncome.map(valued('COIN-M'))],
+    futuresPositions,
+    spotFills: buildSpotFills(acct.spotTrades, prices).map(tag),
+    measuredBalances: measuredBalances(acct.accountSnapshots, prices),
+    usdmAssets, multiAssetsMargin, coinmAssets, spotAssets, totalFuturesValueBtc, spotBtc, btcHeld,
+    marginRisk: marginRisk(acct.futuresAccount, usdmPositions, multiAssetsMargin ? usdmAssets : [], prices),
+    markets: {
+      'USD-M': { valueBtc: usdmValueBtc, unrealizedBtc: usdmUnrealizedBtc, positions: usdmPositions.length },
+      'COIN-M': { valueBtc: coinmValueBtc, unrealizedBtc: coinmUnrealizedBtc, positions: coinmPositions.length }
+    },
+    totalBalanceBtc: totalFuturesValueBtc + spotBtc,
+    totalUnrealizedBtc: usdmUnrealizedBtc + coinmUnrealizedBtc
+  };
+}
+
+// === Margin & liquidation risk ===
+// Binance warns with a margin call at this margin ratio (maintenance ÷ margin balance) and
+// liquidates at 100%.
+const MARGIN_CALL_RATIO = 0.8;
+// Distance to liquidation (share of the mark price) below which a position is flagged.
+const LIQUIDATION_DANGER = [{ below: 0.1, level: 'danger', color: '#ff1744' }, { below: 0.25, level: 'warning', color: '#ff9100' }, { below: 0.5, level: 'watch', color: '#ffd740' }];
+
+// The /positionRisk row for a position (hedge mode has one per side).
+function positionRiskOf(rows, p) {
+  return rows.find(r => r.symbol === p.symbol && (r.positionSide || 'BOTH') === (p.positionSide || 'BOTH')) || null;
+}
+
+// Margin mode, margin used, ROE and liquidation distance of one position. Binance reports a
+// liquidation price of 0 when the position cannot be liquidated (e.g. fully covered by margin);
+// null means there was no /positionRisk data.
+function positionMargin(isolated, marginUsdt, pnlUsdt, risk, mark) {
+  const liquidationPrice = risk ? parseFloat(risk.liquidationPrice) || 0 : null;
+  const liqDistance = liquidationPrice && mark ? Math.abs(mark - liquidationPrice) / mark : null;
+  const danger = liqDistance === null ? null : LIQUIDATION_DANGER.find(d => liqDistance < d.below) || null;
+  return {
+    marginType: isolated ? 'isolated' : 'cross', marginUsdt, roe: marginUsdt ? pnlUsdt / marginUsdt : null,
+    liquidationPrice, liqDistance, danger: danger ? danger.level : null
+  };
+}
+
+// USD-M cross-margin state of one account, and the BTC move that takes the margin ratio to the
+// margin-call level and to liquidation. Every position and non-stable collateral asset is assumed
+// to move with BTC one for one, so margin balance changes by move × net delta and maintenance
+// margin by move × itself: the ratio reaches r when move = (balance − maint/r) ÷ (maint/r − delta).
+// Only one direction can get there; null when neither does within a 100% fall.
+function marginRisk(futuresAccount, positions, collateral, prices) {
+  if (futuresAccount.totalMarginBalance === undefined) return null;
+  const btcPrice = prices.priceMap['BTCUSDT'];
+  const marginBalanceUsdt = parseFloat(futuresAccount.totalMarginBalance);
+  const maintMarginUsdt = parseFloat(futuresAccount.totalMaintMargin || 0);
+  const deltaUsdt = positions.reduce((s, p) => s + p.notionalUsdt, 0)
+    + collateral.filter(a => !STABLECOINS.includes(a.asset)).reduce((s, a) => s + toBtc(a.asset, a.wallet, prices.priceMap) * btcPrice, 0);
+  const moveTo = ratio => {
+    const maint = maintMarginUsdt / ratio;
+    if (marginBalanceUsdt <= maint) return 0;
+    const move = (marginBalanceUsdt - maint) / (maint - deltaUsdt);
+    return isFinite(move) && move > -1 ? move : null;
+  };
+  return {
+    marginBalanceUsdt, maintMarginUsdt, availableUsdt: parseFloat(futuresAccount.availableBalance || 0), deltaUsdt,
+    marginRatio: marginBalanceUsdt > 0 ? maintMarginUsdt / marginBalanceUsdt : null,
+    marginCallMove: maintMarginUsdt ? moveTo(MARGIN_CALL_RATIO) : null,
+    liquidationMove: maintMarginUsdt ? moveTo(1) : null
+  };
+}
+
+// === Exposure ===
+// The strategy aims for ~50% of gross notional long and ~50% short.
+const EXPOSURE_TARGET_LONG_SHARE = 0.5;
+
+// Long/short exposure of the open positions at mark price, in BTC at today's price. Net delta is
+// the BTC held as collateral plus the net position notional: what the book gains or loses, in
+// BTC terms, per unit move of the whole market.
+function computeExposure(positions, btcHeld, equityBtc, btcPrice) {
+  const toBtcNow = usdt => btcPrice ? usdt / btcPrice : 0;
+  const longBtc = toBtcNow(positions.filter(p => p.notionalUsdt > 0).reduce((s, p) => s + p.notionalUsdt, 0));
+  const shortBtc = toBtcNow(-positions.filter(p => p.notionalUsdt < 0).reduce((s, p) => s + p.notionalUsdt, 0));
+  const grossBtc = longBtc + shortBtc;
+  return {
+    time: NOW, positions: positions.length,
+    longBtc, shortBtc, grossBtc, positionDeltaBtc: longBtc - shortBtc, btcHeld, netDeltaBtc: btcHeld + longBtc - shortBtc,
+    equityBtc, grossLeverage: equityBtc > 0 ? grossBtc / equityBtc : 0,
+    longShare: grossBtc ? longBtc / grossBtc : null
+  };
+}
+
+// Exposure is a snapshot of open positions, so its history only exists if we keep it: every
+// online run adds a point to store/exposure (keyed by snapshot time), and the report charts the drift.
+function loadExposureHistory() {
+  return Object.values(loadStore('exposure').records).sort((a, b) => a.time - b.time);
+}
+
+function recordExposure(point) {
+  const store = loadStore('exposure');
+  storeInsert(store, [point], p => p.time);
+  thinHistory(store);
+  saveStore('exposure', store);
+}
+
+// Every run adds a point, so a store like that would grow without end: points older than
+// HISTORY_FULL_DAYS are thinned to the last one of each UTC day.
+const HISTORY_FULL_DAYS = 30;
+
+function thinHistory(store) {
+  const cutoff = NOW - HISTORY_FULL_DAYS * 86400000;
+  const lastOfDay = {};
+  for (const r of Object.values(store.records)) {
+    const day = Math.floor(r.time / 86400000);
+    if (r.time < cutoff && (!lastOfDay[day] || r.time > lastOfDay[day].time)) lastOfDay[day] = r;
+  }
+  for (const [k, r] of Object.entries(store.records)) {
+    if (r.time < cutoff && lastOfDay[Math.floor(r.time / 86400000)] !== r) delete store.records[k];
+  }
+}
+
+// Measured end-of-day balance of one account from its Binance snapshots: spot totalAssetOfBtc plus
+// the USD-M margin balance (wallet + unrealized) of every futures asset, valued in BTC that day.
+// Days missing either side are dropped rather than under-counted. `holdings` are the wallet amounts
+// per asset (unrealized PnL excluded), for the reconciliation's price effect.
+function measuredBalances(snapshots, prices) {
+  const days = {};
+  for (const v of snapshots) {
+    const dayKey = Math.floor(v.updateTime / 86400000) * 86400000;
+    if (!days[dayKey]) days[dayKey] = { time: v.updateTime, spotBtc: null, futuresBtc: null, unrealizedBtc: 0, spotHoldings: {}, futuresHoldings: {} };
+    const d = days[dayKey];
+    d.time = Math.max(d.time, v.updateTime);
+    if (v.type === 'spot') {
+      d.spotBtc = parseFloat(v.data.totalAssetOfBtc);
+      for (const b of v.data.balances || []) d.spotHoldings[b.asset] = parseFloat(b.free) + parseFloat(b.locked);
+    } else if (v.type === 'futures') {
+      const assets = v.data.assets || [];
+      d.futuresBtc = assets.reduce((s, a) => s + toBtcAt(a.asset, parseFloat(a.marginBalance), v.updateTime, prices), 0);
+      d.unrealizedBtc = assets.reduce((s, a) => s + toBtcAt(a.asset, parseFloat(a.marginBalance) - parseFloat(a.walletBalance), v.updateTime, prices), 0);
+      for (const a of assets) d.futuresHoldings[a.asset] = parseFloat(a.walletBalance);
+    }
+  }
+  const hasFutures = snapshots.some(v => v.type === 'futures');
+  return Object.values(days)
+    .filter(d => d.spotBtc !== null && (d.futuresBtc !== null || !hasFutures))
+    .map(d => ({
+      time: d.time, spotBtc: d.spotBtc, futuresBtc: d.futuresBtc || 0, totalBtc: d.spotBtc + (d.futuresBtc || 0),
+      unrealizedBtc: d.unrealizedBtc, holdings: addHoldings({ ...d.spotHoldings }, d.futuresHoldings)
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+function addHoldings(into, from) {
+  for (const [asset, amount] of Object.entries(from)) into[asset] = (into[asset] || 0) + amount;
+  return into;
+}
+
+// Consolidated measured series: only days every account has a snapshot for, and nothing at all
+// if an account has none (its balance would silently be missing).
+function consolidateMeasured(accounts) {
+  if (!accounts.length || accounts.some(a => !a.measuredBalances.length)) return [];
+  const byDay = {};
+  for (const a of accounts) for (const m of a.measuredBalances) {
+    const dayKey = Math.floor(m.time / 86400000) * 86400000;
+    if (!byDay[dayKey]) byDay[dayKey] = { time: m.time, totalBtc: 0, unrealizedBtc: 0, holdings: {}, accounts: 0 };
+    byDay[dayKey].totalBtc += m.totalBtc;
+    byDay[dayKey].unrealizedBtc += m.unrealizedBtc;
+    addHoldings(byDay[dayKey].holdings, m.holdings);
+    byDay[dayKey].accounts++;
+  }
+  return Object.values(byDay).filter(d => d.accounts === accounts.length).map(d => ({ time: d.time, totalBtc: d.totalBtc, unrealizedBtc: d.unrealizedBtc, holdings: d.holdings })).sort((a, b) => a.time - b.time);
+}
+
+// === Balance journal ===
+// The income-based equity path misses unrealized swings, spot moves and fee withdrawals, so every
+// online run also journals the real balance in store/balances (keyed by snapshot time). Once the
+// journal covers JOURNAL_MIN_DAYS days, the equity curve, drawdown and Sharpe use it instead.
+const JOURNAL_MIN_DAYS = 14;
+
+function balanceSnapshot(accounts, btcPrice) {
+  const sum = f => accounts.reduce((s, a) => s + f(a), 0);
+  return {
+    time: NOW, btcPrice,
+    totalBalanceBtc: sum(a => a.totalBalanceBtc),
+    futuresWalletBtc: sum(a => a.totalFuturesValueBtc - a.totalUnrealizedBtc),
+    unrealizedBtc: sum(a => a.totalUnrealizedBtc),
+    spotBtc: sum(a => a.spotBtc),
+    accounts: accounts.map(a => ({ name: a.name, totalBalanceBtc: a.totalBalanceBtc, unrealizedBtc: a.totalUnrealizedBtc, spotBtc: a.spotBtc })),
+    assets: accounts.flatMap(a => [
+      ...a.usdmAssets.map(x => ({ account: a.name, wallet: 'USD-M', asset: x.asset, amount: x.wallet, unrealized: x.unrealized, valueBtc: x.valueBtc })),
+      ...a.coinmAssets.map(x => ({ account: a.name, wallet: 'COIN-M', asset: x.asset, amount: x.wallet, unrealized: x.unrealized, valueBtc: x.valueBtc })),
+      ...a.spotAssets.map(x => ({ account: a.name, wallet: 'Spot', asset: x.asset, amount: x.amount, unrealized: 0, valueBtc: x.valueBtc }))
+    ])
+  };
+}
+
+function loadBalanceJournal() {
+  return Object.values(loadStore('balances').records).sort((a, b) => a.time - b.time);
+}
+
+function recordBalanceSnapshot(snapshot) {
+  const store = loadStore('balances');
+  storeInsert(store, [snapshot], s => s.time);
+  // the timeline reads only the last snapshot of each day, so thinning older days loses nothing
+  thinHistory(store);
+  saveStore('balances', store);
+}
+
+// Daily P&L from the journal: the last snapshot of each UTC day, less the external deposits and
+// withdrawals made since the previous one. Same shape as buildIncomeTimeline(); `startBtc` is the
+// balance of the first snapshot, which has no P&L of its own.
+function buildJournalTimeline(journal, depositDetails, withdrawalDetails) {
+  const byDay = {};
+  for (const snap of journal) {
+    const dayKey = Math.floor(snap.time / 86400000) * 86400000;
+    if (!byDay[dayKey] || snap.time >= byDay[dayKey].time) byDay[dayKey] = snap;
+  }
+  const snaps = Object.values(byDay).sort((a, b) => a.time - b.time);
+  if (!snaps.length) return { startBtc: 0, startTime: null, days: [] };
+  const flowBetween = (t0, t1) =>
+    depositDetails.filter(d => d.insertTime > t0 && d.insertTime <= t1).reduce((s, d) => s + d.btcValue, 0)
+    - withdrawalDetails.filter(w => w.timestamp > t0 && w.timestamp <= t1).reduce((s, w) => s + w.btcValue, 0);
+  let cum = 0;
+  const days = snaps.slice(1).map((snap, i) => {
+    const dailyBtc = snap.totalBalanceBtc - snaps[i].totalBalanceBtc - flowBetween(snaps[i].time, snap.time);
+    cum += dailyBtc;
+    return { time: Math.floor(snap.time / 86400000) * 86400000, dailyBtc, cumulativeBtc: cum, balanceBtc: snap.totalBalanceBtc };
+  });
+  return { startBtc: snaps[0].totalBalanceBtc, startTime: snaps[0].time, days };
+}
+
+// === Investor units ===
+// Pooled capital accounted like a fund. At bot start a unit is worth 1 BTC and the pool's start
+// balance is split into units by each investor's startShare. A later deposit buys units at the NAV
+// per unit of that moment and a withdrawal redeems them; the investor ledger in the config says
+// whose flow is whose. Unmatched flows and unshared start units belong to "unassigned". Performance
+// fees are paid by the pool, so they lower the NAV instead of redeeming anyone's units. Equity is
+// rolled forward from settled P&L and flows; unrealized P&L is only known now, at the last point.
+const UNASSIGNED_INVESTOR = 'unassigned';
+const UNIT_DUST = 1e-12;
+
+// First ledger rule whose every given condition matches wins, as for withdrawal rules.
+function matchInvestor(flow, type) {
+  const amount = parseFloat(flow.amount);
+  for (const [i, r] of OPTS.investors.ledger.entries()) {
+    if (r.type && r.type !== type) continue;
+    if (r.txIds && !r.txIds.includes(flow.txId) && !r.txIds.includes(flow.id)) continue;
+    if (r.address && r.address !== flow.address) continue;
+    if (r.network && r.network !== flow.network) continue;
+    if (r.coin && r.coin !== flow.coin) continue;
+    if (r.account && r.account !== flow.account) continue;
+    if (r.minAmount !== undefined && amount < r.minAmount) continue;
+    if (r.maxAmount !== undefined && amount > r.maxAmount) continue;
+    return { investor: r.investor, rule: r.label || `rule ${i + 1}` };
+  }
+  return { investor: UNASSIGNED_INVESTOR, rule: null };
+}
+
+// Settled P&L and external flows since bot start in time order, and the equity at bot start rolled
+// back from the balance now. Performance fees carry `fee` instead of `flow`: the pool pays them.
+function poolEvents({ futuresIncome, spotFills, depositDetails, withdrawalDetails, totalBalanceBtc, totalUnrealizedBtc, botStartTime }) {
+  const inRange = t => t >= botStartTime && t <= NOW;
+  const events = [
+    ...futuresIncome.filter(i => SYMBOL_INCOME_KINDS[i.incomeType] && inRange(parseInt(i.time))).map(i => ({ time: parseInt(i.time), deltaBtc: i.valueBtc })),
+    ...spotFills.filter(f => inRange(f.time)).map(f => ({ time: f.time, deltaBtc: f.realizedBtc })),
+    ...depositDetails.filter(d => inRange(d.insertTime)).map(d => ({ time: d.insertTime, deltaBtc: d.btcValue, flow: d, kind: 'subscription' })),
+    ...withdrawalDetails.filter(w => inRange(w.timestamp)).map(w => ({ time: w.timestamp, deltaBtc: -w.btcValue, ...(w.category === 'performance_fee' ? { fee: w } : { flow: w, kind: 'redemption' }) }))
+  ].sort((a, b) => a.time - b.time);
+  return { events, startEquityBtc: totalBalanceBtc - totalUnrealizedBtc - events.reduce((s, e) => s + e.deltaBtc, 0) };
+}
+
+// Replays poolEvents(). Returns the NAV path (one point per UTC midnight and per flow, then now),
+// every unit movement, and each investor's position now. An investor's time-weighted return chains
+// the NAV over the stretches they held units.
+function buildUnitLedger({ events, startEquityBtc }, { totalUnrealizedBtc, botStartTime, btcPrice, prices }) {
+  const holders = new Map([...OPTS.investors.members, { name: UNASSIGNED_INVESTOR, email: null, startShare: 0 }].map(m => [m.name, {
+    name: m.name, email: m.email, units: 0, contributedBtc: 0, redeemedBtc: 0, growth: 1, navIn: null, movements: []
+  }]));
+  let equity = 0, units = 0;
+  const nav = () => units > UNIT_DUST ? equity / units : 1;
+  const movements = [];
+  const move = (name, time, kind, btc, flow = null, rule = null) => {
+    const h = holders.get(name), navNow = nav(), u = btc / navNow;
+    const held = h.units > UNIT_DUST;
+    h.units += u; units += u; equity += btc;
+    if (btc >= 0) h.contributedBtc += btc; else h.redeemedBtc -= btc;
+    // a holding stretch opens when units arrive and closes when they are all redeemed
+    if (!held && h.units > UNIT_DUST) h.navIn = navNow;
+    if (held && h.units <= UNIT_DUST) { h.growth *= navNow / h.navIn; h.navIn = null; }
+    const m = {
+      time, investor: name, kind, btcValue: btc, nav: navNow, units: u, unitsAfter: h.units,
+      coin: flow ? flow.coin : 'BTC', amount: flow ? parseFloat(flow.amount) : btc, usdtValue: flow ? flow.usdtValue * Math.sign(btc) : btc * btcPriceAt(time, prices),
+      account: flow ? flow.account : null, ref: flow ? flow.txId || flow.id || null : null, rule
+    };
+    h.movements.push(m); movements.push(m);
+  };
+
+  if (startEquityBtc > UNIT_DUST) {
+    const shared = OPTS.investors.members.reduce((s, m) => s + m.startShare, 0);
+    for (const m of OPTS.investors.members) if (m.startShare > 0) move(m.name, botStartTime, 'start', startEquityBtc * m.startShare);
+    if (1 - shared > UNIT_DUST) move(UNASSIGNED_INVESTOR, botStartTime, 'start', startEquityBtc * (1 - shared));
+  }
+  equity = startEquityBtc;
+  const points = [{ time: botStartTime, nav: nav(), units, equityBtc: equity }];
+  let midnight = Math.floor(botStartTime / 86400000) * 86400000 + 86400000;
+  const pointsUntil = t => { for (; midnight <= t; midnight += 86400000) points.push({ time: midnight, nav: nav(), units, equityBtc: equity }); };
+  for (const e of events) {
+    pointsUntil(e.time);
+    if (!e.flow) { equity += e.deltaBtc; continue; }
+    const { investor, rule } = matchInvestor(e.flow, e.kind === 'subscription' ? 'deposit' : 'withdrawal');
+    move(investor, e.time, e.kind, e.deltaBtc, e.flow, rule);
+    points.push({ time: e.time, nav: nav(), units, equityBtc: equity });
+  }
+  pointsUntil(NOW);
+  equity += totalUnrealizedBtc;
+  const navBtc = nav();
+  points.push({ time: NOW, nav: navBtc, units, equityBtc: equity });
+
+  const investors = [...holders.values()].filter(h => h.movements.length).map(h => {
+    const valueBtc = h.units * navBtc;
+    const growth = h.navIn === null ? h.growth : h.growth * navBtc / h.navIn;
+    return {
+      name: h.name, email: h.email, units: h.units, share: units > UNIT_DUST ? h.units / units : 0,
+      valueBtc, valueUsdt: valueBtc * btcPrice, contributedBtc: h.contributedBtc, redeemedBtc: h.redeemedBtc,
+      pnlBtc: valueBtc + h.redeemedBtc - h.contributedBtc, twr: growth - 1,
+      since: h.movements[0].time, overdrawn: h.units < -UNIT_DUST, movements: h.movements
+    };
+  });
+  return { startTime: botStartTime, startEquityBtc, navBtc, navUsdt: navBtc * btcPrice, units, equityBtc: equity, points, movements, investors };
+}
+
+// === Performance fee engine ===
+// What the performance fee should have been. The pool's equity is replayed gross of the fees
+// actually paid, and at the end of every month or quarter (UTC) the fee is `rate` times the equity
+// above the high-water mark — raised by the hurdle, an annual rate pro rata over the period. Fees
+// owed come out of the replayed equity. The mark is the highest equity after fees at any period end;
+// without highWaterMark it is the equity at the start of each period. Deposits raise the mark by
+// their value; withdrawals lower it in proportion to the equity they take out. In USD the mark
+// and the equity are measured in dollars, so BTC price moves count as performance.
+const FEE_PERIODS = { monthly: 1, quarterly: 3 };
+const FEE_CURRENCIES = ['BTC', 'USD'];
+
+function feePeriodKey(ts, period) {
+  const d = new Date(ts), m = d.getUTCMonth();
+  return period === 'monthly' ? `${d.getUTCFullYear()}-${String(m + 1).padStart(2, '0')}` : `${d.getUTCFullYear()}-Q${Math.floor(m / 3) + 1}`;
+}
+
+function feePeriodEnd(ts, period) {
+  const d = new Date(ts), months = FEE_PERIODS[period];
+  return Date.UTC(d.getUTCFullYear(), Math.floor(d.getUTCMonth() / months) * months + months, 1);
+}
+
+// One row per crystallized period and a last, accrued row for the period still running, each with
+// the fee withdrawals actually paid in it and the running owed-minus-paid balance.
+function buildFeeSchedule({ events, startEquityBtc }, { totalUnrealizedBtc, botStartTime, prices }) {
+  const { rate, period, hurdle, highWaterMark, currency } = OPTS.performanceFee;
+  const inUsd = currency === 'USD';
+  const price = t => btcPriceAt(t, prices);
+  let grossBtc = startEquityBtc, owedBtc = 0;
+  const equity = t => inUsd ? (grossBtc - owedBtc) * price(t) : grossBtc - owedBtc;
+  let mark = equity(botStartTime), hwm = mark, start = botStartTime, end = feePeriodEnd(botStartTime, period);
+  let paid = [];
+  const rows = [];
+  const close = (t, crystallized) => {
+    const value = equity(t);
+    const threshold = (highWaterMark ? hwm : mark) * (1 + hurdle) ** ((t - start) / YEAR_MS);
+    const fee = rate * Math.max(0, value - threshold);
+    const feeBtc = inUsd ? fee / price(t) : fee;
+    const paidBtc = paid.reduce((s, w) => s + w.btcValue, 0);
+    rows.push({
+      period: feePeriodKey(start, period), start, end: t, crystallized, equity: value, hwm: highWaterMark ? hwm : mark, threshold,
+      fee, feeBtc, feeUsd: feeBtc * price(t), paidBtc, paidUsd: paid.reduce((s, w) => s + w.usdtValue, 0), payments: paid.length
+    });
+    paid = [];
+    if (!crystallized) return;
+    owedBtc += feeBtc;
+    mark = equity(t);
+    if (mark > hwm) hwm = mark;
+    start = t;
+    end = feePeriodEnd(t, period);
+  };
+  for (const e of events) {
+    while (end <= e.time) close(end, true);
+    if (e.fee) { paid.push(e.fee); continue; }
+    if (e.flow) {
+      const value = inUsd ? e.flow.usdtValue : e.flow.btcValue;
+      if (e.deltaBtc >= 0) { hwm += value; mark += value; } else {
+        const before = equity(e.time);
+        const kept = before > 0 ? Math.max(0, 1 - value / before) : 0;
+        hwm *= kept; mark *= kept;
+      }
+    }
+    grossBtc += e.deltaBtc;
+  }
+  while (end <= NOW) close(end, true);
+  grossBtc += totalUnrealizedBtc;
+  if (NOW > start) close(NOW, false);
+
+  let balanceBtc = 0;
+  for (const r of rows) { balanceBtc += (r.crystallized ? r.feeBtc : 0) - r.paidBtc; r.unpaidBtc = balanceBtc; }
+  const accrued = rows.length && !rows[rows.length - 1].crystallized ? rows[rows.length - 1] : null;
+  const paidBtc = rows.reduce((s, r) => s + r.paidBtc, 0);
+  return {
+    ...OPTS.performanceFee, rows, hwm: highWaterMark ? hwm : mark, owedBtc, paidBtc, unpaidBtc: owedBtc - paidBtc,
+    accruedBtc: accrued ? accrued.feeBtc : 0, accruedUsd: accrued ? accrued.feeUsd : 0
+  };
+}
+
+// === Reconciliation ===
+// A month's residual is highlighted when it exceeds this share of the opening balance.
+const RECON_RESIDUAL_PCT = 0.005;
+const RECON_PARTS = [
+  ['realizedBtc', 'Realized PnL'], ['fundingBtc', 'Funding'], ['commissionBtc', 'Commissions'],
+  ['unrealizedChangeBtc', 'Δ Unrealized'], ['spotBtc', 'Spot P&amp;L'], ['priceEffectBtc', 'BTC price on non-BTC'],
+  ['depositsBtc', 'Deposits'], ['withdrawalsBtc', 'Withdrawals'], ['feesBtc', 'Performance fees']
+];
+
+// Wallet amounts per asset in a journal entry (unrealized PnL excluded).
+function snapshotHoldings(snap) {
+  const holdings = {};
+  for (const a of snap.assets || []) holdings[a.asset] = (holdings[a.asset] || 0) + a.amount;
+  return holdings;
+}
+
+// Month-by-month bridge between measured balances. `points` ({ time, totalBalanceBtc, unrealizedBtc,
+// holdings }) are cut at the last point of each UTC month; the change in total BTC balance between
+// two cuts is split into income, unrealized, spot, price effect and external flows, and whatever is
+// left is the unexplained residual. Non-BTC wallet amounts are revalued at the average of the
+// opening and closing holdings.
+function buildReconciliation(points, { income, spotFills, depositDetails, withdrawalDetails, prices }) {
+  const monthOf = t => new Date(t).toISOString().slice(0, 7);
+  const cuts = [];
+  for (const p of [...points].sort((a, b) => a.time - b.time)) {
+    if (cuts.length > 1 && monthOf(cuts[cuts.length - 1].time) === monthOf(p.time)) cuts[cuts.length - 1] = p;
+    else cuts.push(p);
+  }
+  return cuts.slice(1).map((p1, i) => {
+    const p0 = cuts[i];
+    const within = t => t > p0.time && t <= p1.time;
+    const incomeBtc = type => income.filter(r => r.incomeType === type && within(parseInt(r.time))).reduce((s, r) => s + r.valueBtc, 0);
+    const withdrawn = withdrawalDetails.filter(w => within(w.timestamp));
+    let priceEffectBtc = 0;
+    for (const asset of new Set([...Object.keys(p0.holdings), ...Object.keys(p1.holdings)])) {
+      if (asset === 'BTC') continue;
+      const amount = ((p0.holdings[asset] || 0) + (p1.holdings[asset] || 0)) / 2;
+      priceEffectBtc += toBtcAt(asset, amount, p1.time, prices) - toBtcAt(asset, amount, p0.time, prices);
+    }
+    const row = {
+      month: monthOf(p1.time), from: p0.time, to: p1.time, openingBtc: p0.totalBalanceBtc, closingBtc: p1.totalBalanceBtc,
+      realizedBtc: incomeBtc('REALIZED_PNL'), fundingBtc: incomeBtc('FUNDING_FEE'), commissionBtc: incomeBtc('COMMISSION'),
+      unrealizedChangeBtc: p1.unrealizedBtc - p0.unrealizedBtc,
+      spotBtc: spotFills.filter(f => within(f.time)).reduce((s, f) => s + f.realizedBtc, 0),
+      priceEffectBtc,
+      depositsBtc: depositDetails.filter(d => within(d.insertTime)).reduce((s, d) => s + d.btcValue, 0),
+      withdrawalsBtc: -withdrawn.filter(w => w.category !== 'performance_fee').reduce((s, w) => s + w.btcValue, 0),
+      feesBtc: -withdrawn.filter(w => w.category === 'performance_fee').reduce((s, w) => s + w.btcValue, 0)
+    };
+    row.residualBtc = row.closingBtc - row.openingBtc - RECON_PARTS.reduce((s, [k]) => s + row[k], 0);
+    row.flagged = Math.abs(row.residualBtc) > RECON_RESIDUAL_PCT * Math.abs(row.openingBtc);
+    return row;
+  });
+}
+
+// All months as one bridge, for the waterfall and the table's total row.
+function totalReconciliation(rows) {
+  if (!rows.length) return null;
+  const total = { month: 'Total', from: rows[0].from, to: rows[rows.length - 1].to, openingBtc: rows[0].openingBtc, closingBtc: rows[rows.length - 1].closingBtc };
+  for (const k of [...RECON_PARTS.map(([k]) => k), 'residualBtc']) total[k] = rows.reduce((s, r) => s + r[k], 0);
+  total.flagged = Math.abs(total.residualBtc) > RECON_RESIDUAL_PCT * Math.abs(total.openingBtc);
+  return total;
+}
+
+// Balance-based capital for one ledger (an account or the consolidated book).
+//
+// identity: balance_now = balance_start + settled_pnl_during + spot_pnl_during + unrealized_now + (deposits - withdrawals)
+// therefore: balance_start = balance_now - settled_pnl_during - spot_pnl_during - unrealized_now - deposits + withdrawals
+// (assumes unrealized PnL on open positions at bot start was 0, which is true if bot
+// opened all current positions during the bot period)
+// Performance-fee withdrawals are paid out of P&L, so they do not reduce capital deployed:
+// gross P&L = balance_now + fees − capital, net P&L = gross − fees.
+function computeCapital({ totalBalanceBtc, totalUnrealizedBtc, incomeTimeline, spotFills = [], depositDetails, withdrawalDetails, botStartTime }) {
+  const postBotDepositsBtc = depositDetails.filter(d => d.insertTime >= botStartTime).reduce((s, d) => s + d.btcValue, 0);
+  const postBotWithdrawalsBtc = withdrawalDetails.filter(w => w.timestamp >= botStartTime).reduce((s, w) => s + w.btcValue, 0);
+  const settledPnlDuringBotBtc = incomeTimeline
+    .filter(d => d.time >= botStartTime)
+    .reduce((s, d) => s + d.dailyBtc, 0);
+  const spotPnlDuringBotBtc = spotFills
+    .filter(f => f.time >= botStartTime && f.time <= NOW)
+    .reduce((s, f) => s + f.realizedBtc, 0);
+  const initialBalanceAtBotStartBtc =
+    totalBalanceBtc - settledPnlDuringBotBtc - spotPnlDuringBotBtc - totalUnrealizedBtc - postBotDepositsBtc + postBotWithdrawalsBtc;
+  const postBotFeesBtc = withdrawalDetails
+    .filter(w => w.timestamp >= botStartTime && w.category === 'performance_fee')
+    .reduce((s, w) => s + w.btcValue, 0);
+  const totalCapitalDeployedBtc = initialBalanceAtBotStartBtc + postBotDepositsBtc - (postBotWithdrawalsBtc - postBotFeesBtc);
+  const robotPnlBtc = totalBalanceBtc + postBotFeesBtc - totalCapitalDeployedBtc;
+  const robotPnlNetBtc = robotPnlBtc - postBotFeesBtc;
+  const roi = pnl => totalCapitalDeployedBtc > 0 ? pnl / totalCapitalDeployedBtc : 0;
+  return {
+    postBotDepositsBtc, postBotWithdrawalsBtc, postBotFeesBtc, settledPnlDuringBotBtc, spotPnlDuringBotBtc, initialBalanceAtBotStartBtc,
+    totalCapitalDeployedBtc, robotPnlBtc, roiBtc: roi(robotPnlBtc), robotPnlNetBtc, roiNetBtc: roi(robotPnlNetBtc)
+  };
+}
+
+// Runs the analytics + HTML pipeline over a raw snapshot. Makes no network calls.
+function buildReport(raw) {
+  const { priceMap, dailyPrices } = raw;
+  const btcCandles = raw.hourlyPrices.length ? raw.hourlyPrices : dailyPrices;
+  const prices = { priceMap, btcCandles, assetPrices: raw.assetPrices, markPrices: raw.markPrices };
+  const btcPrice = priceMap['BTCUSDT'];
+  const multi = raw.accounts.length > 1;
+
+  const rawAccounts = raw.accounts.map(a => ({ ...a }));
+  subAccountFlows(rawAccounts);
+  const accounts = rawAccounts.map(a => valueAccount(a, prices));
+  markInternalFlows(accounts);
+
+  for (const a of accounts) {
+    log(multi ? `Account "${a.name}":` : 'Balances:');
+    for (const d of a.depositDetails) log(`   deposit ${d.coin}: ${d.amount} → ${d.btcValue.toFixed(8)} BTC ($${d.usdtValue.toFixed(2)}) (BTC price: $${d.btcPriceAtTime.toFixed(0)})${d.internal ? ` [internal ← ${d.counterparty || 'own account'}]` : ''}`);
+    for (const w of a.withdrawalDetails) log(`   withdrawal ${w.coin}: ${w.amount} → ${w.btcValue.toFixed(8)} BTC ($${w.usdtValue.toFixed(2)}) (${w.completeTime || w.applyTime})${w.internal ? ` [internal → ${w.counterparty || 'own account'}]` : ''}`);
+    for (const f of a.usdmAssets) log(`   Futures ${f.asset}: wallet ${f.wallet.toFixed(8)}, uPnl ${f.unrealized.toFixed(8)} → ${f.valueBtc.toFixed(8)} BTC`);
+    log(`   Futures total: ${a.markets['USD-M'].valueBtc.toFixed(8)} BTC (${a.multiAssetsMargin === null ? 'margin mode unknown' : a.multiAssetsMargin ? 'Multi-Assets mode' : 'Single-Asset mode'})`);
+    for (const c of a.coinmAssets) log(`   COIN-M ${c.asset}: wallet ${c.wallet.toFixed(8)}, uPnl ${c.unrealized.toFixed(8)}`);
+    if (a.coinmAssets.length) log(`   COIN-M total: ${a.markets['COIN-M'].valueBtc.toFixed(8)} BTC`);
+    log(`   Spot: ${a.spotBtc.toFixed(8)} BTC`);
+  }
+
+  // Consolidated book: every account's balances and income, external flows only.
+  const depositDetails = accounts.flatMap(a => a.depositDetails).filter(d => !d.internal);
+  const withdrawalDetails = accounts.flatMap(a => a.withdrawalDetails).filter(w => !w.internal);
+  const internalFlows = [
+    ...accounts.flatMap(a => a.depositDetails).filter(d => d.internal).map(d => ({ ...d, dir: 'in', timestamp: d.insertTime })),
+    ...accounts.flatMap(a => a.withdrawalDetails).filter(w => w.internal).map(w => ({ ...w, dir: 'out' }))
+  ];
+  const deposits = depositDetails, withdrawals = withdrawalDetails;
+  const futuresIncome = accounts.flatMap(a => a.futuresIncome);
+  const futuresPositions = accounts.flatMap(a => a.futuresPositions);
+  const transfersToFutures = accounts.flatMap(a => a.transfersToFutures);
+  const transfersFromFutures = accounts.flatMap(a => a.transfersFromFutures);
+  const totalFuturesValueBtc = accounts.reduce((s, a) => s + a.totalFuturesValueBtc, 0);
+  const spotBtc = accounts.reduce((s, a) => s + a.spotBtc, 0);
+  const totalBalanceBtc = totalFuturesValueBtc + spotBtc;
+  const totalUnrealizedBtc = accounts.reduce((s, a) => s + a.totalUnrealizedBtc, 0);
+  const exposure = computeExposure(futuresPositions, accounts.reduce((s, a) => s + a.btcHeld, 0), totalBalanceBtc, btcPrice);
+  const exposureHistory = [...raw.exposureHistory.filter(p => p.time < NOW), exposure];
+  const totalDepositsBtc = depositDetails.reduce((s, d) => s + d.btcValue, 0);
+  const totalWithdrawalsBtc = withdrawalDetails.reduce((s, w) => s + w.btcValue, 0);
+  log(`   ${withdrawals.length} external withdrawals = ${totalWithdrawalsBtc.toFixed(8)} BTC${internalFlows.length ? `, ${internalFlows.length} internal transfer legs excluded` : ''}`);
+  log(`   Total: ${totalBalanceBtc.toFixed(8)} BTC`);
+  const marginAccounts = accounts.filter(a => a.marginRisk).map(a => ({ name: a.name, ...a.marginRisk }));
+  const fmtMove = m => m === null ? 'n/a' : `${m >= 0 ? '+' : ''}${(m * 100).toFixed(1)}%`;
+  for (const m of marginAccounts) log(`   Margin${multi ? ` (${m.name})` : ''}: ratio ${m.marginRatio === null ? 'n/a' : (m.marginRatio * 100).toFixed(2) + '%'}, BTC move to margin call ${fmtMove(m.marginCallMove)}, to liquidation ${fmtMove(m.liquidationMove)}`);
+  const nearLiquidation = futuresPositions.filter(p => p.danger === 'danger');
+  if (nearLiquidation.length) log(`   ${nearLiquidation.length} position(s) within ${LIQUIDATION_DANGER[0].below * 100}% of liquidation: ${nearLiquidation.map(p => p.symbol).join(', ')}`);
+  log(`   Exposure: long ${exposure.longBtc.toFixed(8)} / short ${exposure.shortBtc.toFixed(8)} BTC${exposure.longShare === null ? '' : ` (${(exposure.longShare * 100).toFixed(1)}% long)`}, gross leverage ${exposure.grossLeverage.toFixed(2)}x, net delta ${exposure.netDeltaBtc.toFixed(8)} BTC incl. ${exposure.btcHeld.toFixed(8)} BTC held`);
+
+  log('Income by type...');
+  const incomeByType = {};
+  for (const inc of futuresIncome) { const t = inc.incomeType; incomeByType[t] = (incomeByType[t] || 0) + inc.valueUsdt; }
+  for (const [t, v] of Object.entries(incomeByType)) log(`   ${t}: ${v.toFixed(2)} USDT = ${(v / btcPrice).toFixed(8)} BTC`);
+  log(`   (incl. ${futuresIncome.filter(i => i.market === 'COIN-M').length} COIN-M records, valued in USDT at the time)`);
+
+  // Detect bot start date from first income record
+  const sortedIncome = [...futuresIncome].sort((a, b) => parseInt(a.time) - parseInt(b.time));
+  const detectedBotStart = sortedIncome.length > 0 ? parseInt(sortedIncome[0].time) : START_TIME;
+  const botStartTime = OPTS.botStart ?? detectedBotStart;
+  const botStartDate = new Date(botStartTime).toISOString().slice(0, 10);
+  log(OPTS.botStart === null ? `\n   Bot start detected: ${botStartDate}` : `\n   Bot start (from --bot-start): ${botStartDate}`);
+
+  // Separate deposits/withdrawals into pre-bot and during-bot
+  const depositsBeforeBot = depositDetails.filter(d => d.insertTime < botStartTime);
+  const depositsAfterBot = depositDetails.filter(d => d.insertTime >= botStartTime);
+  const withdrawalsBeforeBot = withdrawalDetails.filter(w => w.timestamp < botStartTime);
+  const withdrawalsAfterBot = withdrawalDetails.filter(w => w.timestamp >= botStartTime);
 
   const preBotDepositsBtc = depositsBeforeBot.reduce((s, d) => s + d.btcValue, 0);
   const preBotWithdrawalsBtc = withdrawalsBeforeBot.reduce((s, w) => s + w.btcValue, 0);
 
-  const postBotDepositsBtc = depositsAfterBot.reduce((s, d) => s + d.btcValue, 0);
-  const postBotWithdrawalsBtc = withdrawalsAfterBot.reduce((s, w) => s + w.btcValue, 0);
-
   // Build income timeline FIRST so we can compute settled PnL during bot period
-  console.log('\n9. Building analytics...');
-  const incomeTimeline = buildIncomeTimeline(futuresIncome, dailyPrices, btcPrice);
-  const weeklyPnl = buildWeeklyPnl(futuresIncome, dailyPrices, btcPrice);
-  const monthlyPnl = buildMonthlyPnl(futuresIncome, dailyPrices, btcPrice);
+  log('\nBuilding analytics...');
+  const incomeTimeline = buildIncomeTimeline(futuresIncome);
+  const weeklyPnl = buildWeeklyPnl(futuresIncome);
+  const monthlyPnl = buildMonthlyPnl(futuresIncome);
+  const symbolDaily = buildSymbolDaily(futuresIncome);
+  const spotFills = accounts.flatMap(a => a.spotFills);
+  const spotTimeline = buildSpotTimeline(spotFills);
+  const spotTrades = summarizeSpotFills(spotFills, START_TIME);
+  if (spotFills.length) log(`   ${spotFills.length.toLocaleString()} spot fills; ${spotTrades.reduce((s, t) => s + t.trades, 0)} in the period on ${spotTrades.length} symbols, realized ${spotTrades.reduce((s, t) => s + t.realizedBtc, 0).toFixed(8)} BTC`);
 
   // === BALANCE-BASED INITIAL CAPITAL (matches treasurer methodology) ===
   // Instead of summing historical cash flows (which includes pre-bot personal trading
   // churn and test deposits/withdrawals from 2024-2025), compute the actual account
   // balance at bot start by working backward from current total balance.
-  //
-  // identity: balance_now = balance_start + settled_pnl_during + unrealized_now + (deposits - withdrawals)
-  // therefore: balance_start = balance_now - settled_pnl_during - unrealized_now - deposits + withdrawals
-  // (assumes unrealized PnL on open positions at bot start was 0, which is true if bot
-  // opened all current positions during the bot period)
-  const settledPnlDuringBotBtc = incomeTimeline
-    .filter(d => d.time >= botStartTime)
-    .reduce((s, d) => s + d.dailyBtc, 0);
-  const initialBalanceAtBotStartBtc =
-    totalBalanceBtc - settledPnlDuringBotBtc - totalUnrealizedBtc - postBotDepositsBtc + postBotWithdrawalsBtc;
-
-  // Use balance-based methodology for initial capital
+  const {
+    postBotDepositsBtc, postBotWithdrawalsBtc, postBotFeesBtc, settledPnlDuringBotBtc, spotPnlDuringBotBtc, initialBalanceAtBotStartBtc,
+    totalCapitalDeployedBtc, robotPnlBtc, roiBtc, robotPnlNetBtc, roiNetBtc
+  } = computeCapital({ totalBalanceBtc, totalUnrealizedBtc, incomeTimeline, spotFills, depositDetails, withdrawalDetails, botStartTime });
   const initialCapitalBtc = initialBalanceAtBotStartBtc;
-  const totalCapitalDeployedBtc = initialCapitalBtc + postBotDepositsBtc - postBotWithdrawalsBtc;
   const netExternalFlowBtc = totalDepositsBtc - totalWithdrawalsBtc;
-  const robotPnlBtc = totalBalanceBtc - totalCapitalDeployedBtc;
-  const roiBtc = totalCapitalDeployedBtc > 0 ? robotPnlBtc / totalCapitalDeployedBtc : 0;
 
   // Cash-flow accounting (legacy / sanity check)
   const cashFlowInitialBtc = preBotDepositsBtc - preBotWithdrawalsBtc;
@@ -1390,32 +3243,159 @@ async function main() {
 
   const botDays = Math.round((NOW - botStartTime) / 86400000);
 
-  console.log('\n=== RESULTS (balance-based methodology) ===');
-  console.log(`Bot running: ${botDays} days (since ${botStartDate})`);
-  console.log(`Initial balance at bot start: ${initialBalanceAtBotStartBtc.toFixed(8)} BTC`);
-  console.log(`  (= current ${totalBalanceBtc.toFixed(8)} - settled PnL ${settledPnlDuringBotBtc.toFixed(8)} - unrealized ${totalUnrealizedBtc.toFixed(8)} - deposits ${postBotDepositsBtc.toFixed(8)} + withdrawals ${postBotWithdrawalsBtc.toFixed(8)})`);
-  console.log(`Deposits during bot: ${depositsAfterBot.length} = +${postBotDepositsBtc.toFixed(8)} BTC`);
-  console.log(`Withdrawals during bot: ${withdrawalsAfterBot.length} = -${postBotWithdrawalsBtc.toFixed(8)} BTC`);
-  console.log(`Total capital deployed: ${totalCapitalDeployedBtc.toFixed(8)} BTC`);
-  console.log(`Current portfolio:   ${totalBalanceBtc.toFixed(8)} BTC`);
-  console.log(`Robot P&L:   ${robotPnlBtc >= 0 ? '+' : ''}${robotPnlBtc.toFixed(8)} BTC`);
-  console.log(`ROI (BTC):   ${(roiBtc * 100).toFixed(2)}%`);
-  console.log(`\n[Legacy cash-flow methodology for comparison:]`);
-  console.log(`  Pre-bot net cash flow: ${cashFlowInitialBtc.toFixed(8)} BTC (${depositsBeforeBot.length} dep - ${withdrawalsBeforeBot.length} wd)`);
-  console.log(`  Cash-flow capital deployed: ${cashFlowCapitalBtc.toFixed(8)} BTC`);
-  console.log(`  Cash-flow Robot P&L: ${cashFlowPnlBtc.toFixed(8)} BTC`);
-  console.log(`  Difference (pre-bot personal trading PnL): ${(initialBalanceAtBotStartBtc - cashFlowInitialBtc).toFixed(8)} BTC`);
+  const marketSplit = ['USD-M', 'COIN-M'].map(m => {
+    const inc = futuresIncome.filter(i => i.market === m);
+    const sumBtc = type => inc.filter(i => i.incomeType === type).reduce((s, i) => s + i.valueBtc, 0);
+    return {
+      market: m,
+      valueBtc: accounts.reduce((s, a) => s + a.markets[m].valueBtc, 0),
+      unrealizedBtc: accounts.reduce((s, a) => s + a.markets[m].unrealizedBtc, 0),
+      positions: accounts.reduce((s, a) => s + a.markets[m].positions, 0),
+      records: inc.length,
+      realizedBtc: sumBtc('REALIZED_PNL'), fundingBtc: sumBtc('FUNDING_FEE'), commissionBtc: sumBtc('COMMISSION'),
+      netBtc: inc.reduce((s, i) => s + i.valueBtc, 0)
+    };
+  });
+  const [usdm, coinm] = marketSplit;
+  if (coinm.valueBtc || coinm.records) log(`   USD-M: ${usdm.valueBtc.toFixed(8)} BTC, ${usdm.records} income records; COIN-M: ${coinm.valueBtc.toFixed(8)} BTC, ${coinm.records} income records`);
+
+  // Per-account view: each account's own flows, internal transfers included.
+  const accountBreakdown = accounts.map(a => {
+    const timeline = buildIncomeTimeline(a.futuresIncome);
+    return {
+      name: a.name, subAccount: a.subAccount,
+      totalBalanceBtc: a.totalBalanceBtc, totalUnrealizedBtc: a.totalUnrealizedBtc,
+      openPositions: a.futuresPositions.length,
+      incomeTimeline: timeline,
+      monthlyPnl: buildMonthlyPnl(a.futuresIncome),
+      weeklyPnl: buildWeeklyPnl(a.futuresIncome),
+      depositDetails: a.depositDetails, withdrawalDetails: a.withdrawalDetails,
+      spotTimeline: buildSpotTimeline(a.spotFills),
+      symbolDaily: buildSymbolDaily(a.futuresIncome),
+      ...computeCapital({ totalBalanceBtc: a.totalBalanceBtc, totalUnrealizedBtc: a.totalUnrealizedBtc, incomeTimeline: timeline, spotFills: a.spotFills, depositDetails: a.depositDetails, withdrawalDetails: a.withdrawalDetails, botStartTime })
+    };
+  });
+
+  const feeWithdrawals = withdrawalDetails.filter(w => w.category === 'performance_fee');
+  log('\n=== RESULTS (balance-based methodology) ===');
+  log(`Bot running: ${botDays} days (since ${botStartDate})`);
+  log(`Initial balance at bot start: ${initialBalanceAtBotStartBtc.toFixed(8)} BTC`);
+  log(`  (= current ${totalBalanceBtc.toFixed(8)} - settled PnL ${settledPnlDuringBotBtc.toFixed(8)} - spot PnL ${spotPnlDuringBotBtc.toFixed(8)} - unrealized ${totalUnrealizedBtc.toFixed(8)} - deposits ${postBotDepositsBtc.toFixed(8)} + withdrawals ${postBotWithdrawalsBtc.toFixed(8)})`);
+  log(`Deposits during bot: ${depositsAfterBot.length} = +${postBotDepositsBtc.toFixed(8)} BTC`);
+  log(`Withdrawals during bot: ${withdrawalsAfterBot.length} = -${postBotWithdrawalsBtc.toFixed(8)} BTC`);
+  log(`Total capital deployed: ${totalCapitalDeployedBtc.toFixed(8)} BTC`);
+  log(`Current portfolio:   ${totalBalanceBtc.toFixed(8)} BTC`);
+  log(`Robot P&L:   ${robotPnlBtc >= 0 ? '+' : ''}${robotPnlBtc.toFixed(8)} BTC`);
+  log(`ROI (BTC):   ${(roiBtc * 100).toFixed(2)}%`);
+  if (feeWithdrawals.length) {
+    log(`Performance fees: ${feeWithdrawals.length} withdrawals, -${postBotFeesBtc.toFixed(8)} BTC since bot start`);
+    log(`Robot P&L net of fees: ${robotPnlNetBtc >= 0 ? '+' : ''}${robotPnlNetBtc.toFixed(8)} BTC, ROI ${(roiNetBtc * 100).toFixed(2)}%`);
+  }
+  if (multi) for (const a of accountBreakdown) log(`  ${a.name}: ${a.totalBalanceBtc.toFixed(8)} BTC, P&L ${a.robotPnlBtc >= 0 ? '+' : ''}${a.robotPnlBtc.toFixed(8)} BTC, ROI ${(a.roiBtc * 100).toFixed(2)}%`);
+  log(`\n[Legacy cash-flow methodology for comparison:]`);
+  log(`  Pre-bot net cash flow: ${cashFlowInitialBtc.toFixed(8)} BTC (${depositsBeforeBot.length} dep - ${withdrawalsBeforeBot.length} wd)`);
+  log(`  Cash-flow capital deployed: ${cashFlowCapitalBtc.toFixed(8)} BTC`);
+  log(`  Cash-flow Robot P&L: ${cashFlowPnlBtc.toFixed(8)} BTC`);
+  log(`  Difference (pre-bot personal trading PnL): ${(initialBalanceAtBotStartBtc - cashFlowInitialBtc).toFixed(8)} BTC`);
+
+  const pool = OPTS.investors || OPTS.performanceFee ? poolEvents({ futuresIncome, spotFills, depositDetails, withdrawalDetails, totalBalanceBtc, totalUnrealizedBtc, botStartTime }) : null;
+  const unitLedger = OPTS.investors ? buildUnitLedger(pool, { totalUnrealizedBtc, botStartTime, btcPrice, prices }) : null;
+  const feeSchedule = OPTS.performanceFee ? buildFeeSchedule(pool, { totalUnrealizedBtc, botStartTime, prices }) : null;
+  if (unitLedger) {
+    log(`\nInvestor units: NAV ${unitLedger.navBtc.toFixed(8)} BTC per unit ($${unitLedger.navUsdt.toFixed(2)}), ${unitLedger.units.toFixed(8)} units outstanding`);
+    for (const i of unitLedger.investors) log(`   ${i.name}: ${i.units.toFixed(8)} units (${(i.share * 100).toFixed(2)}%) = ${i.valueBtc.toFixed(8)} BTC, P&L ${i.pnlBtc >= 0 ? '+' : ''}${i.pnlBtc.toFixed(8)} BTC, TWR ${(i.twr * 100).toFixed(2)}%${i.overdrawn ? ' ! redeemed more units than held' : ''}`);
+  }
+  if (feeSchedule) {
+    const f = feeSchedule, cur = v => f.currency === 'USD' ? `$${v.toFixed(2)}` : `${v.toFixed(8)} BTC`;
+    log(`\nPerformance fee (${(f.rate * 100).toFixed(1)}% ${f.period}${f.hurdle ? `, ${(f.hurdle * 100).toFixed(1)}% hurdle` : ''}, ${f.highWaterMark ? 'high-water mark' : 'no high-water mark'}, in ${f.currency}):`);
+    log(`   owed ${f.owedBtc.toFixed(8)} BTC over ${f.rows.filter(r => r.crystallized).length} period(s), paid ${f.paidBtc.toFixed(8)} BTC, ${f.unpaidBtc >= 0 ? 'unpaid' : 'overpaid'} ${Math.abs(f.unpaidBtc).toFixed(8)} BTC; accrued this period ${f.accruedBtc.toFixed(8)} BTC; mark ${cur(f.hwm)}`);
+  }
+
+  const fundingCarry = buildFundingCarry(futuresIncome, raw.fundingRates);
+  const fundingIntervals = buildFundingIntervals(futuresIncome);
+  const fundingRuns = negativeFundingRuns(fundingIntervals);
+  if (fundingCarry.symbols.length) {
+    log(`\nFunding: ${fundingCarry.receivedBtc.toFixed(8)} BTC ($${fundingCarry.receivedUsdt.toFixed(2)}) on ${fundingCarry.symbols.length} symbols, ${fundingIntervals.length} intervals, ${fundingRuns.length} negative stretches`);
+    if (fundingCarry.captureRatio !== null) log(`   effective carry ${(fundingCarry.carryApr * 100).toFixed(2)}% APR; market rate at our size implies $${fundingCarry.impliedUsdt.toFixed(2)} (${(fundingCarry.captureRatio * 100).toFixed(1)}% captured)`);
+    else log('   no market funding rates in the snapshot; carry vs. market not available');
+  }
+
+  // Real-balance equity path, once the journal is long enough; the income reconstruction over the
+  // same days is kept for comparison. Binance's daily snapshots backfill the days before the first
+  // journal entry, so the measured path can reach back to bot start.
+  const snapshot = balanceSnapshot(accounts, btcPrice);
+  const runJournal = [...raw.balanceJournal.filter(j => j.time < NOW), snapshot];
+  const measured = consolidateMeasured(accounts);
+  const backfill = measured.filter(m => m.time < runJournal[0].time).map(m => ({ time: m.time, totalBalanceBtc: m.totalBtc, unrealizedBtc: m.unrealizedBtc, holdings: m.holdings }));
+  const journal = buildJournalTimeline([...backfill, ...runJournal], depositDetails, withdrawalDetails);
+  journal.backfillDays = new Set(backfill.map(m => Math.floor(m.time / 86400000))).size;
+  let balanceJournal = null;
+  if (journal.days.length >= JOURNAL_MIN_DAYS) {
+    const firstDay = journal.days[0].time;
+    let cum = 0;
+    const reconstructed = incomeTimeline.filter(d => d.time >= firstDay).map(d => { cum += d.dailyBtc; return { ...d, cumulativeBtc: cum }; });
+    balanceJournal = {
+      ...journal, totalBtc: journal.startBtc + journal.days[journal.days.length - 1].cumulativeBtc,
+      reconstructed: { timeline: reconstructed, totalBtc: journal.startBtc + cum }
+    };
+    log(`\nBalance journal: ${journal.days.length} days${journal.backfillDays ? ` (backfilled from ${journal.backfillDays} Binance daily snapshots)` : ''} since ${new Date(journal.startTime).toISOString().slice(0, 10)}; P&L from balances ${balanceJournal.totalBtc - journal.startBtc >= 0 ? '+' : ''}${(balanceJournal.totalBtc - journal.startBtc).toFixed(8)} BTC vs. ${cum >= 0 ? '+' : ''}${cum.toFixed(8)} BTC reconstructed from income`);
+  } else {
+    log(`\nBalance journal: ${journal.days.length} of ${JOURNAL_MIN_DAYS} days needed; equity curve reconstructed from income`);
+  }
+  const measuredDrawdown = balanceJournal ? maxDrawdown(balanceJournal.days, balanceJournal.totalBtc) : null;
+  // where the equity path stands now (real balances when available), for alerting
+  const equityPath = balanceJournal ? { timeline: balanceJournal.days, totalBtc: balanceJournal.totalBtc } : { timeline: incomeTimeline, totalBtc: totalBalanceBtc };
+  let drawdown = null, lastDay = null;
+  if (equityPath.timeline.length) {
+    const { points } = equityPoints(equityPath.timeline, equityPath.totalBtc);
+    const last = points[points.length - 1], worst = maxDrawdown(equityPath.timeline, equityPath.totalBtc);
+    const peak = last.equity - last.dd;
+    drawdown = { currentBtc: last.dd, currentPct: peak > 0 ? last.dd / peak : 0, maxBtc: worst.btc, maxPct: worst.pct, source: balanceJournal ? 'balances' : 'income' };
+    const day = equityPath.timeline[equityPath.timeline.length - 1];
+    lastDay = { date: new Date(day.time).toISOString().slice(0, 10), pnlBtc: day.dailyBtc };
+  }
+  if (measuredDrawdown) log(`   measured max drawdown ${measuredDrawdown.btc.toFixed(8)} BTC (${(measuredDrawdown.pct * 100).toFixed(2)}%) on ${new Date(measuredDrawdown.time).toISOString().slice(0, 10)}`);
+
+  // The backward-derived start balance checked against what Binance recorded at the end of the day
+  // before bot start (the last snapshot before it, if no more than two days old).
+  const startSnap = measured.filter(m => m.time < botStartTime && botStartTime - m.time <= 2 * 86400000).pop() || null;
+  const startCheck = startSnap ? {
+    time: startSnap.time, measuredBtc: startSnap.totalBtc,
+    discrepancyBtc: initialBalanceAtBotStartBtc - startSnap.totalBtc,
+    discrepancyPct: startSnap.totalBtc ? (initialBalanceAtBotStartBtc - startSnap.totalBtc) / startSnap.totalBtc : 0
+  } : null;
+  if (startCheck) log(`   start balance check: derived ${initialBalanceAtBotStartBtc.toFixed(8)} BTC vs. Binance snapshot ${startCheck.measuredBtc.toFixed(8)} BTC on ${new Date(startCheck.time).toISOString().slice(0, 10)} (${startCheck.discrepancyBtc >= 0 ? '+' : ''}${startCheck.discrepancyBtc.toFixed(8)} BTC)`);
+  else if (measured.length) log('   start balance check: no Binance snapshot within two days before bot start');
+
+  // Where the income reconstruction and the measured balances part ways, month by month.
+  const reconciliation = buildReconciliation([...backfill, ...runJournal.map(j => ({ ...j, holdings: snapshotHoldings(j) }))], {
+    income: futuresIncome, spotFills, depositDetails, withdrawalDetails, prices
+  });
+  const reconciliationTotal = totalReconciliation(reconciliation);
+  if (reconciliationTotal) {
+    log(`\nReconciliation (${reconciliation.length} months, unexplained above ${(RECON_RESIDUAL_PCT * 100).toFixed(1)}% of the opening balance flagged):`);
+    for (const r of [...reconciliation, reconciliationTotal]) log(`   ${r.month}: ${r.openingBtc.toFixed(8)} → ${r.closingBtc.toFixed(8)} BTC, unexplained ${r.residualBtc >= 0 ? '+' : ''}${r.residualBtc.toFixed(8)} BTC${r.flagged ? ' !' : ''}`);
+  } else {
+    log('\nReconciliation: needs balances from at least two days (journal or Binance snapshots)');
+  }
+
+  const symbols = summarizeSymbols(symbolDaily, botStartTime);
+  if (symbols.length) {
+    log(`\nBy symbol since bot start (${symbols.length} symbols):`);
+    const top = symbols.length > 6 ? [...symbols.slice(0, 3), ...symbols.slice(-3)] : symbols;
+    for (const r of top) log(`   ${r.symbol}: ${r.netBtc >= 0 ? '+' : ''}${r.netBtc.toFixed(8)} BTC (realized ${r.realizedBtc.toFixed(8)}, funding ${r.fundingBtc.toFixed(8)}, commission ${r.commissionBtc.toFixed(8)}, ${r.trades} trades)`);
+  }
 
   const forecast = computeForecastData(monthlyPnl, totalBalanceBtc, netExternalFlowBtc);
-  console.log(`   ${weeklyPnl.length} weeks, ${monthlyPnl.length} months`);
-  console.log(`   Avg monthly PNL: ${forecast.avgMonthlyPnlBtc.toFixed(8)} BTC`);
-  console.log(`   StdDev: ${forecast.stdDev.toFixed(8)} BTC`);
-  console.log(`   Trend: ${forecast.trendDirection} (slope: ${forecast.trend.slope.toFixed(10)})`);
+  log(`   ${weeklyPnl.length} weeks, ${monthlyPnl.length} months`);
+  log(`   Avg monthly PNL: ${forecast.avgMonthlyPnlBtc.toFixed(8)} BTC`);
+  log(`   StdDev: ${forecast.stdDev.toFixed(8)} BTC`);
+  log(`   Trend: ${forecast.trendDirection} (slope: ${forecast.trend.slope.toFixed(10)})`);
 
-  console.log('\n10. Generating report...');
+  log('\nGenerating report...');
   const html = generateHTML({
     deposits, withdrawals, depositDetails, withdrawalDetails,
-    spotTrades: [], futuresIncome, incomeByType, priceMap, dailyPrices,
+    spotTrades, futuresIncome, incomeByType, priceMap, dailyPrices,
     transfersToFutures, transfersFromFutures,
     totalBalanceBtc, totalDepositsBtc, totalWithdrawalsBtc,
     netExternalFlowBtc, robotPnlBtc, roiBtc,
@@ -1425,14 +3405,1777 @@ async function main() {
     initialCapitalBtc, preBotDepositsBtc, preBotWithdrawalsBtc,
     postBotDepositsBtc, postBotWithdrawalsBtc, totalCapitalDeployedBtc,
     depositsBeforeBot, depositsAfterBot, withdrawalsBeforeBot, withdrawalsAfterBot,
-    initialBalanceAtBotStartBtc, settledPnlDuringBotBtc,
-    cashFlowInitialBtc, cashFlowCapitalBtc, cashFlowPnlBtc
+    initialBalanceAtBotStartBtc, settledPnlDuringBotBtc, spotPnlDuringBotBtc, spotTimeline,
+    postBotFeesBtc, robotPnlNetBtc, roiNetBtc, feeWithdrawals,
+    cashFlowInitialBtc, cashFlowCapitalBtc, cashFlowPnlBtc,
+    accountBreakdown, internalFlows, marketSplit, symbolDaily, fundingCarry, fundingIntervals, fundingRuns, exposure, exposureHistory, balanceJournal,
+    marginAccounts, measuredDrawdown, startCheck, coinmHeld: accounts.some(a => a.coinmAssets.length), reconciliation, reconciliationTotal,
+    futuresWallet: accounts.flatMap(a => a.usdmAssets).sort((a, b) => b.valueBtc - a.valueBtc),
+    marginModes: accounts.map(a => ({ name: a.name, multiAssetsMargin: a.multiAssetsMargin })), unitLedger, feeSchedule,
+    carryRates: carryDailyRates(raw.fundingRates[CARRY_SYMBOL] || [])
   });
-  fs.writeFileSync(path.join(__dirname, 'report.html'), html, 'utf-8');
-  fs.mkdirSync(path.join(__dirname, 'report-data'), { recursive: true });
-  fs.writeFileSync(path.join(__dirname, 'report-data', 'raw-data.json'),
-    JSON.stringify({ deposits, withdrawals, futuresIncome, futuresPositions, incomeByType, monthlyPnl, weeklyPnl, forecast, transfersToFutures, transfersFromFutures }, null, 2), 'utf-8');
-  console.log('   Done! report.html saved\n');
+  const summary = {
+    generatedAt: new Date(NOW).toISOString(), since: new Date(START_TIME).toISOString().slice(0, 10),
+    botStartDate, botDays, totalBalanceBtc, totalFuturesValueBtc, spotBtc, totalUnrealizedBtc,
+    initialBalanceAtBotStartBtc, postBotDepositsBtc, postBotWithdrawalsBtc, totalCapitalDeployedBtc,
+    robotPnlBtc, robotPnlRealizedBtc: robotPnlBtc - totalUnrealizedBtc, roiBtc,
+    performanceFeesBtc: postBotFeesBtc, robotPnlNetBtc, roiNetBtc,
+    settledPnlDuringBotBtc, spotPnlDuringBotBtc, avgMonthlyPnlBtc: forecast.avgMonthlyPnlBtc, trendDirection: forecast.trendDirection,
+    btcPrice, incomeRecords: futuresIncome.length,
+    markets: marketSplit,
+    exposure,
+    margin: {
+      accounts: marginAccounts,
+      positions: futuresPositions.filter(p => p.liqDistance !== null).sort((a, b) => a.liqDistance - b.liqDistance).map(p => ({
+        account: p.account, market: p.market, symbol: p.symbol, marginType: p.marginType, mark: p.mark, liquidationPrice: p.liquidationPrice, liqDistance: p.liqDistance, danger: p.danger
+      }))
+    },
+    balanceJournal: {
+      snapshots: runJournal.length, binanceSnapshotDays: journal.backfillDays, days: journal.days.length, inUse: balanceJournal !== null,
+      maxDrawdownBtc: measuredDrawdown ? measuredDrawdown.btc : null, maxDrawdownPct: measuredDrawdown ? measuredDrawdown.pct : null
+    },
+    drawdown, lastDay, syncFailures: raw.syncFailures,
+    startBalanceCheck: startCheck,
+    reconciliation: reconciliationTotal ? { months: reconciliation, total: reconciliationTotal } : null,
+    symbols,
+    investors: unitLedger ? {
+      navBtc: unitLedger.navBtc, navUsdt: unitLedger.navUsdt, units: unitLedger.units,
+      members: unitLedger.investors.map(({ movements, email, ...i }) => i)
+    } : null,
+    performanceFeeSchedule: feeSchedule ? {
+      rate: feeSchedule.rate, period: feeSchedule.period, hurdle: feeSchedule.hurdle, highWaterMark: feeSchedule.highWaterMark, currency: feeSchedule.currency,
+      mark: feeSchedule.hwm, owedBtc: feeSchedule.owedBtc, paidBtc: feeSchedule.paidBtc, unpaidBtc: feeSchedule.unpaidBtc,
+      accruedBtc: feeSchedule.accruedBtc, accruedUsd: feeSchedule.accruedUsd
+    } : null,
+    funding: { ...fundingCarry, intervals: fundingIntervals.length, negativeIntervals: fundingIntervals.filter(iv => iv.btc < 0).length, negativeRuns: fundingRuns },
+    marginModes: Object.fromEntries(accounts.map(a => [a.name, a.multiAssetsMargin === null ? null : a.multiAssetsMargin ? 'multi-asset' : 'single-asset'])),
+    accounts: accountBreakdown.map(a => ({
+      name: a.name, totalBalanceBtc: a.totalBalanceBtc, totalUnrealizedBtc: a.totalUnrealizedBtc,
+      totalCapitalDeployedBtc: a.totalCapitalDeployedBtc, robotPnlBtc: a.robotPnlBtc, roiBtc: a.roiBtc,
+      performanceFeesBtc: a.postBotFeesBtc, robotPnlNetBtc: a.robotPnlNetBtc, roiNetBtc: a.roiNetBtc
+    }))
+  };
+  // what the page's RAW object carries, for periodMetrics() behind the `serve` API
+  const view = (a, currentBtc, unrealizedBtc) => ({
+    currentBtc, unrealizedBtc, incomeTimeline: a.incomeTimeline, spotTimeline: a.spotTimeline,
+    depositDetails: a.depositDetails, withdrawalDetails: a.withdrawalDetails, monthlyPnl: a.monthlyPnl, weeklyPnl: a.weeklyPnl
+  });
+  const series = {
+    ...view({ incomeTimeline, spotTimeline, depositDetails, withdrawalDetails, monthlyPnl, weeklyPnl }, totalBalanceBtc, totalUnrealizedBtc),
+    now: NOW, botStartTime, btcPrice,
+    journal: balanceJournal ? balanceJournal.days.map(d => ({ time: d.time, dailyBtc: d.dailyBtc, equityBtc: balanceJournal.startBtc + d.cumulativeBtc })) : [],
+    accounts: multi ? accountBreakdown.map(a => ({ name: a.name, ...view(a, a.totalBalanceBtc, a.totalUnrealizedBtc) })) : []
+  };
+  // Spot <-> futures wallet moves valued at their time, for the export's transfers sheet
+  const walletTransfers = [...transfersToFutures.map(t => ({ ...t, dir: 'to-futures' })), ...transfersFromFutures.map(t => ({ ...t, dir: 'from-futures' }))]
+    .map(t => ({ ...t, ...valueFlow(t.asset, parseFloat(t.amount), t.timestamp, prices) }));
+  return {
+    html, summary, balanceSnapshot: snapshot, depositDetails, withdrawalDetails, futuresPositions, incomeByType, monthlyPnl, weeklyPnl, forecast, series,
+    futuresIncome, walletTransfers, internalFlows, prices, unitLedger, feeSchedule,
+    spotTradeHistory: raw.accounts.flatMap(a => a.spotTrades.map(t => ({ ...t, account: a.name })))
+  };
+}
+
+// === Alerts ===
+// Threshold rules on the computed metrics, sent through the channels configured under "alerts".
+// State lives in store/alerts.json: a condition is notified when it starts and again every
+// `repeatHours` while it lasts; one-off events (a new flow, a day's loss) are notified once.
+const ALERT_RULE_KEYS = ['drawdownPct', 'dailyLossBtc', 'negativeRoi', 'unrealizedBelowBtc', 'flows', 'syncFailures'];
+const ALERT_CHANNEL_REQUIRED = { webhook: ['url'], telegram: ['chatId'], smtp: ['host', 'from', 'to'], file: ['path'], stdout: [] };
+const DEFAULT_ALERT_REPEAT_HOURS = 24;
+const ALERT_TIMEOUT_MS = 15000;
+// Flows and daily losses older than this are no longer alerted on, so their records can go.
+const ALERT_EVENT_WINDOW_MS = 30 * 86400000;
+const TELEGRAM_API = 'https://api.telegram.org';
+
+// `since` keeps the first evaluation from reporting every deposit and withdrawal in the history.
+// One-off alerts carry the `time` of their event; the others are conditions and have none.
+function evaluateAlerts(summary, { depositDetails, withdrawalDetails }, syncFailures, rules, since) {
+  const fired = [];
+  const add = (key, rule, message, time = null) => fired.push({ key, rule, message, oneOff: time !== null, time });
+  const btc = v => `${v >= 0 ? '+' : ''}${v.toFixed(8)} BTC`;
+  const { drawdown, lastDay } = summary;
+  if (rules.drawdownPct !== undefined && drawdown && -drawdown.currentPct * 100 > rules.drawdownPct) {
+    add('drawdown', 'drawdownPct', `Drawdown ${(-drawdown.currentPct * 100).toFixed(2)}% from peak (${btc(drawdown.currentBtc)}), limit ${rules.drawdownPct}%`);
+  }
+  const lastDayTime = lastDay ? Date.parse(`${lastDay.date}T00:00:00Z`) : null;
+  if (rules.dailyLossBtc !== undefined && lastDay && lastDayTime >= NOW - ALERT_EVENT_WINDOW_MS && -lastDay.pnlBtc > rules.dailyLossBtc) {
+    add(`dailyLoss:${lastDay.date}`, 'dailyLossBtc', `Daily P&L ${lastDay.date}: ${btc(lastDay.pnlBtc)}, limit -${rules.dailyLossBtc} BTC`, lastDayTime);
+  }
+  if (rules.negativeRoi && summary.roiBtc < 0) {
+    add('negativeRoi', 'negativeRoi', `ROI is negative: ${(summary.roiBtc * 100).toFixed(2)}% (${btc(summary.robotPnlBtc)})`);
+  }
+  if (rules.unrealizedBelowBtc !== undefined && summary.totalUnrealizedBtc < rules.unrealizedBelowBtc) {
+    add('unrealized', 'unrealizedBelowBtc', `Unrealized PnL ${btc(summary.totalUnrealizedBtc)}, below ${rules.unrealizedBelowBtc} BTC`);
+  }
+  if (rules.flows) {
+    const minBtc = rules.flows.minBtc || 0;
+    const where = f => OPTS.accounts.length > 1 ? ` on ${f.account}` : '';
+    for (const d of depositDetails) {
+      if (d.insertTime < since || d.btcValue < minBtc) continue;
+      add(`deposit:${d.txId || d.id}`, 'flows', `New deposit${where(d)}: ${d.amount} ${d.coin} (${d.btcValue.toFixed(8)} BTC) at ${new Date(d.insertTime).toISOString().slice(0, 16).replace('T', ' ')} UTC`, d.insertTime);
+    }
+    // withdrawals matched by a withdrawalRules entry are expected (performance fees and the like)
+    for (const w of withdrawalDetails) {
+      if (w.timestamp < since || w.btcValue < minBtc || w.categoryRule) continue;
+      add(`withdrawal:${w.txId || w.id}`, 'flows', `Unclassified withdrawal${where(w)}: ${w.amount} ${w.coin} (${w.btcValue.toFixed(8)} BTC) at ${new Date(w.timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`, w.timestamp);
+    }
+  }
+  if (rules.syncFailures) {
+    for (const store of new Set(syncFailures.map(f => f.store))) {
+      const failed = syncFailures.filter(f => f.store === store);
+      add(`sync:${store}`, 'syncFailures', `Sync of ${store} failed for ${failed.length} window(s) (${failed[failed.length - 1].error}); the next run retries them`);
+    }
+  }
+  return fired;
+}
+
+function alertMessage(alerts, test = false) {
+  const subject = test ? 'myStoicTracker: test alert' : `myStoicTracker: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`;
+  const text = `${alerts.map(a => `- ${a.message}`).join('\n')}\n\n${new Date(NOW).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  return { subject, text, alerts };
 }
 
-main().catch(err => { console.error('Fatal:', err); process.exit(1); });
+function postJson(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const data = JSON.stringify(body);
+    const req = (u.protocol === 'http:' ? http : https).request(u, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers }
+    }, res => {
+      let d = '';
+      res.on('data', c => d += c);
+      res.on('end', () => res.statusCode >= 200 && res.statusCode < 300 ? resolve(d) : reject(new Error(`HTTP ${res.statusCode} ${d.slice(0, 200)}`)));
+    });
+    req.on('error', reject);
+    const t = setTimeout(() => { req.destroy(); reject(new Error(`${u.host} request timeout`)); }, ALERT_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(t));
+    req.end(data);
+  });
+}
+
+// Reads SMTP replies off a socket; each call to the returned function resolves with the next
+// complete (possibly multi-line) reply as { code, text }.
+function smtpReplies(socket) {
+  let buf = '', lines = [], failure = null;
+  const replies = [], waiting = [];
+  const flush = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, i).replace(/\r$/, '');
+      buf = buf.slice(i + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') { replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join('\n') }); lines = []; }
+    }
+    flush();
+  });
+  socket.on('error', err => { failure = err; flush(); });
+  socket.on('close', () => { failure = failure || new Error('SMTP connection closed'); flush(); });
+  return () => new Promise((resolve, reject) => { waiting.push({ resolve, reject }); flush(); });
+}
+
+// Minimal SMTP client: implicit TLS (`secure`) or STARTTLS when the server offers it, AUTH PLAIN
+// when credentials are configured, one plain-text message.
+async function smtpSend(ch, { subject, text }) {
+  const port = ch.port || (ch.secure ? 465 : 587);
+  let socket = ch.secure ? tls.connect({ host: ch.host, port, servername: ch.host }) : net.connect({ host: ch.host, port });
+  const timer = setTimeout(() => socket.destroy(new Error(`${ch.host}:${port} SMTP timeout`)), ALERT_TIMEOUT_MS);
+  let reply = smtpReplies(socket);
+  const command = async (line, ...codes) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const r = await reply();
+    if (!codes.includes(r.code)) throw new Error(`SMTP ${line === null ? 'greeting' : line.split(/[ :]/)[0]}: ${r.code} ${r.text}`);
+    return r;
+  };
+  try {
+    await command(null, 220);
+    let ehlo = await command(`EHLO ${os.hostname()}`, 250);
+    if (!ch.secure && ch.starttls !== false && /^STARTTLS$/mi.test(ehlo.text)) {
+      await command('STARTTLS', 220);
+      socket.removeAllListeners('data').removeAllListeners('error').removeAllListeners('close');
+      socket = tls.connect({ socket, servername: ch.host });
+      await once(socket, 'secureConnect');
+      reply = smtpReplies(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, 250);
+    }
+    const user = ch.userEnv && process.env[ch.userEnv], pass = ch.passEnv && process.env[ch.passEnv];
+    if (user) await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 235);
+    const to = [].concat(ch.to);
+    await command(`MAIL FROM:<${ch.from}>`, 250);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, 250, 251);
+    await command('DATA', 354);
+    const encoded = /^[\x20-\x7e]*$/.test(subject) ? subject : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`;
+    const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    await command([
+      `From: ${ch.from}`, `To: ${to.join(', ')}`, `Subject: ${encoded}`, `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0', 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 8bit', '', body, '.'
+    ].join('\r\n'), 250);
+    await command('QUIT', 221);
+  } finally {
+    clearTimeout(timer);
+    socket.destroy();
+  }
+}
+
+const ALERT_SENDERS = {
+  webhook: (ch, msg) => postJson(ch.url, { subject: msg.subject, text: msg.text, alerts: msg.alerts, generatedAt: new Date(NOW).toISOString() }, ch.headers),
+  telegram: (ch, msg) => {
+    const token = process.env[ch.botTokenEnv];
+    if (!token) throw new Error(`${ch.botTokenEnv} is not set`);
+    return postJson(`${ch.apiBase || TELEGRAM_API}/bot${token}/sendMessage`, { chat_id: ch.chatId, text: `${msg.subject}\n\n${msg.text}` });
+  },
+  smtp: smtpSend,
+  file: (ch, msg) => {
+    fs.mkdirSync(path.dirname(ch.path), { recursive: true });
+    fs.appendFileSync(ch.path, JSON.stringify({ time: new Date(NOW).toISOString(), subject: msg.subject, alerts: msg.alerts }) + '\n', 'utf-8');
+  },
+  stdout: (ch, msg) => { (OPTS.json ? process.stderr : process.stdout).write(`${msg.subject}\n${msg.text}\n`); }
+};
+
+// Sends through every channel; a failing channel is logged and does not stop the others.
+// Returns the number of channels that delivered.
+async function notifyAll(channels, msg) {
+  let delivered = 0;
+  for (const ch of channels) {
+    try {
+      await ALERT_SENDERS[ch.type](ch, msg);
+      delivered++;
+      log(`   alert sent via ${ch.name}`);
+    } catch (err) {
+      log(`   alert via ${ch.name} failed: ${err.message}`);
+    }
+  }
+  return delivered;
+}
+
+// Sends what is due and updates the stored state. Conditions no longer firing are cleared unless
+// `partial` (a run that failed before the metrics existed); one-off records are dropped once their
+// event is out of ALERT_EVENT_WINDOW_MS and cannot fire again (records from before `time` was kept
+// go by when they were first sent, which is never earlier).
+async function dispatchAlerts(state, fired, partial = false) {
+  const { channels, repeatHours } = OPTS.alerts;
+  for (const [key, prev] of Object.entries(state.records)) {
+    if (prev.oneOff && (prev.time ?? prev.firstTime) < NOW - ALERT_EVENT_WINDOW_MS) delete state.records[key];
+  }
+  const due = fired.filter(a => {
+    const prev = state.records[a.key];
+    return !prev || (!a.oneOff && NOW - prev.lastSent >= repeatHours * 3600000);
+  });
+  if (!partial) {
+    for (const [key, prev] of Object.entries(state.records)) {
+      if (prev.oneOff || fired.some(a => a.key === key)) continue;
+      log(`   alert cleared: ${prev.message}`);
+      delete state.records[key];
+    }
+  }
+  log(`   ${fired.length} alert(s) firing, ${due.length} to send`);
+  if (due.length && await notifyAll(channels, alertMessage(due))) {
+    for (const a of due) state.records[a.key] = { ...a, firstTime: state.records[a.key] ? state.records[a.key].firstTime : NOW, lastSent: NOW };
+  }
+  state.cursor = NOW;
+  saveStore('alerts', state);
+}
+
+async function checkAlerts(report) {
+  if (!OPTS.alerts) return;
+  log('\nAlerts...');
+  const state = loadStore('alerts');
+  // flows before `from` are never alerted on: the first check, or the event window's start
+  state.from = Math.max(state.from ?? NOW, NOW - ALERT_EVENT_WINDOW_MS);
+  const fired = evaluateAlerts(report.summary, report, report.summary.syncFailures, OPTS.alerts.rules, state.from);
+  await dispatchAlerts(state, fired);
+}
+
+// === Daemon ===
+// `daemon` re-runs the report on a schedule. Every good run is archived as
+// <dataDir>/archive/report-<time>.html + raw-data-<time>.json (the newest DEFAULT_ARCHIVE_KEEP or
+// --keep kept) and copied to the report path; every run, good or failed, is a line in run-log.jsonl.
+const DEFAULT_ARCHIVE_KEEP = 30;
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day of month', 1, 31], ['month', 1, 12], ['day of week', 0, 7]];
+
+// "90s" is not accepted: anything shorter than a minute would hammer the API.
+function parseInterval(value) {
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(m|h|d)$/);
+  const ms = m ? parseFloat(m[1]) * { m: 60000, h: 3600000, d: 86400000 }[m[2]] : NaN;
+  if (!(ms >= 60000)) throw new Error(`--every: expected a duration like 30m, 6h or 1d (at least 1m), got "${value}"`);
+  return ms;
+}
+
+// Five-field cron expression (minute hour day-of-month month day-of-week), evaluated in UTC, with
+// *, lists, ranges and steps. As in cron, a restricted day of month and day of week match either.
+function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`--cron: expected 5 fields (minute hour day month weekday), got "${expr}"`);
+  const sets = parts.map((part, i) => {
+    const [name, lo, hi] = CRON_FIELDS[i];
+    const set = new Set();
+    for (const item of part.split(',')) {
+      const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`--cron: cannot parse ${name} "${item}"`);
+      const from = m[1] ? lo : parseInt(m[2]);
+      const to = m[1] ? hi : m[3] !== undefined ? parseInt(m[3]) : m[4] ? hi : from;
+      const step = m[4] ? parseInt(m[4]) : 1;
+      if (from < lo || to > hi || from > to || step < 1) throw new Error(`--cron: ${name} "${item}" is outside ${lo}-${hi}`);
+      for (let v = from; v <= to; v += step) set.add(i === 4 && v === 7 ? 0 : v);
+    }
+    return set;
+  });
+  return { expr, minute: sets[0], hour: sets[1], dom: sets[2], month: sets[3], dow: sets[4], domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function nextCronTime(cron, after) {
+  const t = new Date(Math.floor(after / 60000) * 60000 + 60000);
+  const dayMatches = () => {
+    const dom = cron.dom.has(t.getUTCDate()), dow = cron.dow.has(t.getUTCDay());
+    return cron.domAny || cron.dowAny ? dom && dow : dom || dow;
+  };
+  // whole days, then hours, then minutes are skipped at a time: a few thousand steps at most
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.month.has(t.getUTCMonth() + 1) || !dayMatches()) {
+      t.setUTCHours(24, 0, 0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t.getTime();
+    }
+  }
+  throw new Error(`--cron "${cron.expr}" never fires`);
+}
+
+function appendRunLog(entry) {
+  fs.mkdirSync(OPTS.dataDir, { recursive: true });
+  fs.appendFileSync(path.join(OPTS.dataDir, 'run-log.jsonl'), JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+// Drops all but the newest `keep` archived runs (a report and its raw data go together).
+function pruneArchive(dir, keep) {
+  const stamps = fs.readdirSync(dir).map(f => f.match(/^report-(.+)\.html$/)).filter(Boolean).map(m => m[1]).sort();
+  for (const stamp of stamps.slice(0, Math.max(0, stamps.length - keep))) {
+    for (const f of [`report-${stamp}.html`, `raw-data-${stamp}.json`]) fs.rmSync(path.join(dir, f), { force: true });
+    log(`   archive: removed ${stamp}`);
+  }
+}
+
+// A run holds <dataDir>/run.lock (its pid) so that a daemon, a `serve` refresh and a `report` on the
+// same data directory never sync the store at the same time. A lock left behind by a dead process is taken over.
+function acquireRunLock() {
+  const file = path.join(OPTS.dataDir, 'run.lock');
+  const alive = pid => { try { process.kill(pid, 0); return true; } catch (err) { return err.code === 'EPERM'; } };
+  fs.mkdirSync(OPTS.dataDir, { recursive: true });
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+      return () => fs.rmSync(file, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    let pid = NaN;
+    try { pid = parseInt(fs.readFileSync(file, 'utf-8')); } catch {}
+    if (pid > 0 && alive(pid)) throw new Error(`another run (pid ${pid}) is using ${OPTS.dataDir}`);
+    fs.rmSync(file, { force: true });
+  }
+  throw new Error(`cannot take ${file}`);
+}
+
+// One scheduled run (or a refresh asked for through `serve`). Errors end up in the run log instead of
+// stopping the caller; report.html and raw-data.json are only replaced once the new report has been built.
+async function archivedRun(cli, keep) {
+  const started = Date.now();
+  const entry = { start: new Date(started).toISOString(), end: null, durationMs: null, status: 'failed' };
+  let result = null, unlock = null;
+  SYNC_FAILURES.length = 0;
+  try {
+    // again each run, so that NOW moves on to this run
+    applyOptions(cli);
+    unlock = acquireRunLock();
+    const { raw, report } = await produceReport(cli);
+    recordExposure(report.summary.exposure);
+    recordBalanceSnapshot(report.balanceSnapshot);
+    const stamp = new Date(NOW).toISOString().slice(0, 19).replace(/:/g, '-') + 'Z';
+    const dir = path.join(OPTS.dataDir, 'archive');
+    const json = rawDataJson(raw, report);
+    writeFileAtomic(path.join(dir, `raw-data-${stamp}.json`), json);
+    writeFileAtomic(path.join(dir, `report-${stamp}.html`), report.html);
+    writeFileAtomic(path.join(OPTS.dataDir, 'raw-data.json'), json);
+    writeReport(report);
+    result = report;
+    // the new report is out, so from here on a failure only makes the run partial
+    const warnings = [];
+    for (const [step, run] of [['alerts', () => checkAlerts(report)], ['archive pruning', () => pruneArchive(dir, keep)]]) {
+      try {
+        await run();
+      } catch (err) {
+        warnings.push(`${step}: ${err.message}`);
+        log(`   ${step} failed: ${err.message}`);
+      }
+    }
+    Object.assign(entry, {
+      status: SYNC_FAILURES.length || warnings.length ? 'partial' : 'ok',
+      report: path.relative(OPTS.dataDir, path.join(dir, `report-${stamp}.html`)),
+      counts: {
+        accounts: raw.accounts.length,
+        incomeRecords: report.summary.incomeRecords,
+        deposits: report.depositDetails.length, withdrawals: report.withdrawalDetails.length,
+        spotFills: raw.accounts.reduce((n, a) => n + a.spotTrades.length, 0),
+        positions: report.futuresPositions.length
+      },
+      syncFailures: SYNC_FAILURES.length ? SYNC_FAILURES.map(f => `${f.store}: ${f.error}`) : undefined,
+      warnings: warnings.length ? warnings : undefined,
+      totalBalanceBtc: report.summary.totalBalanceBtc
+    });
+  } catch (err) {
+    entry.error = err.message;
+    log(`Run failed: ${err.message}; ${path.relative(process.cwd(), OPTS.out) || OPTS.out} left as it was`);
+  } finally {
+    if (unlock) unlock();
+  }
+  entry.end = new Date().toISOString();
+  entry.durationMs = Date.now() - started;
+  appendRunLog(entry);
+  return { entry, report: result };
+}
+
+// === Export ===
+// `export` writes the report's ledgers as CSV files and as one XLSX workbook with a sheet per ledger.
+// Columns are typed: `time` is a UTC date-time, `day` a UTC date, `number` a plain decimal (no
+// thousands separators or exponents) and `text` anything else; an empty cell means "does not apply".
+const EXPORT_FORMATS = ['csv', 'xlsx', 'both'];
+const EXPORT_WORKBOOK = 'mystoic-export.xlsx';
+
+const byTime = (rows, t) => [...rows].sort((a, b) => t(a) - t(b));
+const toNumber = v => v === null || v === undefined || v === '' ? null : parseFloat(v);
+
+// Scalar summary metrics under dotted names (drawdown.maxPct...); the lists have sheets of their own
+// or stay in raw-data.json.
+function flattenSummary(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([k, v]) => {
+    if (Array.isArray(v)) return [];
+    if (v && typeof v === 'object') return flattenSummary(v, `${prefix}${k}.`);
+    return [{ metric: prefix + k, value: v }];
+  });
+}
+
+// name, rows(report) oldest first, columns as [header, type, value(row)]
+const EXPORT_SHEETS = [
+  {
+    name: 'summary', title: 'Summary',
+    rows: report => flattenSummary(report.summary),
+    // numbers stay numbers, everything else is text
+    columns: [['metric', 'text', r => r.metric], ['value', 'auto', r => r.value]]
+  },
+  {
+    name: 'deposits', title: 'Deposits',
+    rows: report => byTime(report.depositDetails, d => d.insertTime),
+    columns: [
+      ['time_utc', 'time', d => d.insertTime], ['account', 'text', d => d.account], ['coin', 'text', d => d.coin],
+      ['amount', 'number', d => toNumber(d.amount)], ['network', 'text', d => d.network], ['tx_id', 'text', d => d.txId],
+      ['btc_price_usdt', 'number', d => d.btcPriceAtTime], ['value_btc', 'number', d => d.btcValue], ['value_usdt', 'number', d => d.usdtValue]
+    ]
+  },
+  {
+    name: 'withdrawals', title: 'Withdrawals',
+    rows: report => byTime(report.withdrawalDetails, w => w.timestamp),
+    columns: [
+      ['time_utc', 'time', w => w.timestamp], ['account', 'text', w => w.account], ['coin', 'text', w => w.coin],
+      ['amount', 'number', w => toNumber(w.amount)], ['network_fee', 'number', w => toNumber(w.transactionFee)], ['network', 'text', w => w.network],
+      ['address', 'text', w => w.address], ['tx_id', 'text', w => w.txId], ['category', 'text', w => w.category], ['category_rule', 'text', w => w.categoryRule],
+      ['btc_price_usdt', 'number', w => w.btcPriceAtTime], ['value_btc', 'number', w => w.btcValue], ['value_usdt', 'number', w => w.usdtValue]
+    ]
+  },
+  {
+    // spot <-> futures wallet moves and transfers between the configured accounts
+    name: 'transfers', title: 'Internal transfers',
+    rows: report => byTime([
+      ...report.walletTransfers.map(t => ({ ...t, kind: t.dir === 'to-futures' ? 'spot-to-futures' : 'futures-to-spot', coin: t.asset, id: t.tranId })),
+      ...report.internalFlows.map(f => ({ ...f, kind: f.dir === 'in' ? 'account-deposit' : 'account-withdrawal', market: null, id: f.txId || f.id }))
+    ], t => t.timestamp),
+    columns: [
+      ['time_utc', 'time', t => t.timestamp], ['account', 'text', t => t.account], ['kind', 'text', t => t.kind], ['market', 'text', t => t.market],
+      ['counterparty', 'text', t => t.counterparty], ['coin', 'text', t => t.coin], ['amount', 'number', t => toNumber(t.amount)], ['id', 'text', t => t.id],
+      ['btc_price_usdt', 'number', t => t.btcPriceAtTime], ['value_btc', 'number', t => t.btcValue], ['value_usdt', 'number', t => t.usdtValue]
+    ]
+  },
+  {
+    name: 'income', title: 'Income',
+    rows: report => byTime(report.futuresIncome, i => parseInt(i.time)),
+    columns: [
+      ['time_utc', 'time', i => parseInt(i.time)], ['account', 'text', i => i.account], ['market', 'text', i => i.market], ['symbol', 'text', i => i.symbol],
+      ['type', 'text', i => i.incomeType], ['asset', 'text', i => i.asset || 'USDT'], ['amount', 'number', i => toNumber(i.income)], ['tran_id', 'text', i => i.tranId],
+      ['btc_price_usdt', 'number', i => i.btcPriceAtTime], ['value_usdt', 'number', i => i.valueUsdt], ['value_btc', 'number', i => i.valueBtc]
+    ]
+  },
+  {
+    name: 'daily_pnl', title: 'Daily P&L',
+    rows: report => report.series.incomeTimeline,
+    columns: [['day_utc', 'day', d => d.time], ['pnl_btc', 'number', d => d.dailyBtc], ['cumulative_btc', 'number', d => d.cumulativeBtc]]
+  },
+  {
+    name: 'weekly_pnl', title: 'Weekly P&L',
+    rows: report => report.weeklyPnl,
+    columns: [['week_start_utc', 'day', w => w.time], ['pnl_btc', 'number', w => w.pnlBtc], ['pnl_usdt', 'number', w => w.pnlUsdt]]
+  },
+  {
+    name: 'monthly_pnl', title: 'Monthly P&L',
+    rows: report => report.monthlyPnl,
+    columns: [['month', 'text', m => m.key], ['pnl_btc', 'number', m => m.pnlBtc], ['pnl_usdt', 'number', m => m.pnlUsdt]]
+  },
+  {
+    name: 'positions', title: 'Open positions',
+    rows: report => report.futuresPositions,
+    columns: [
+      ['account', 'text', p => p.account], ['market', 'text', p => p.market], ['symbol', 'text', p => p.symbol], ['qty', 'number', p => p.qty],
+      ['entry_price', 'number', p => p.entry], ['mark_price', 'number', p => p.mark], ['notional_usdt', 'number', p => p.notionalUsdt],
+      ['unrealized_pnl_usdt', 'number', p => p.pnlUsdt], ['leverage', 'number', p => p.leverage], ['margin_type', 'text', p => p.marginType],
+      ['margin_usdt', 'number', p => p.marginUsdt], ['roe', 'number', p => p.roe],
+      // 0: no liquidation price (fully covered); empty: not known
+      ['liquidation_price', 'number', p => p.liquidationPrice], ['liquidation_distance', 'number', p => p.liqDistance], ['danger', 'text', p => p.danger]
+    ]
+  }
+];
+
+const isBlank = v => v === null || v === undefined || (typeof v === 'number' && !isFinite(v));
+const isNumberCell = (type, v) => typeof v === 'number' && (type === 'number' || type === 'auto');
+
+// 1e-7 -> "0.0000001": spreadsheets read exponents, people and some importers do not
+function plainNumber(v) {
+  const s = String(v);
+  const m = s.match(/^-?\d(?:\.(\d+))?e-(\d+)$/);
+  return m ? v.toFixed(Math.min(100, (m[1] || '').length + parseInt(m[2]))) : s;
+}
+
+function csvValue(type, v) {
+  if (isBlank(v)) return '';
+  if (type === 'time') return new Date(v).toISOString().slice(0, 19).replace('T', ' ');
+  if (type === 'day') return new Date(v).toISOString().slice(0, 10);
+  if (isNumberCell(type, v)) return plainNumber(v);
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function sheetCsv(sheet, rows) {
+  return [sheet.columns.map(c => c[0]), ...rows.map(r => sheet.columns.map(([, type, get]) => csvValue(type, get(r))))]
+    .map(cells => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+// --- XLSX: the SpreadsheetML parts of a workbook with inline strings, zipped below ---
+const xmlEscape = s => s.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c])).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+const XLSX_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+// cell styles (cellXfs below): 1 bold header, 2 date-time, 3 date
+const XLSX_STYLES = `${XML_HEAD}<styleSheet xmlns="${XLSX_NS}"><numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd"/></numFmts>` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>';
+
+const xlsxColumn = i => (i >= 26 ? xlsxColumn(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + (i % 26));
+
+function xlsxCell(ref, type, v, style = 0) {
+  if (isBlank(v)) return '';
+  // spreadsheet dates count days from 1899-12-30; 25569 of them up to 1970-01-01
+  if (type === 'time' || type === 'day') return `<c r="${ref}" s="${type === 'time' ? 2 : 3}"><v>${v / 86400000 + 25569}</v></c>`;
+  if (isNumberCell(type, v)) return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${v}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlEscape(String(v))}</t></is></c>`;
+}
+
+function sheetXml(sheet, rows) {
+  const header = `<row r="1">${sheet.columns.map(([name], i) => xlsxCell(`${xlsxColumn(i)}1`, 'text', name, 1)).join('')}</row>`;
+  const body = rows.map((r, n) => `<row r="${n + 2}">${sheet.columns.map(([, type, get], i) => xlsxCell(`${xlsxColumn(i)}${n + 2}`, type, get(r))).join('')}</row>`).join('');
+  return `${XML_HEAD}<worksheet xmlns="${XLSX_NS}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols><col min="1" max="${sheet.columns.length}" width="20" customWidth="1"/></cols><sheetData>${header}${body}</sheetData></worksheet>`;
+}
+
+function workbookFiles(sheets) {
+  const ct = t => `application/vnd.openxmlformats-officedocument.spreadsheetml.${t}+xml`;
+  return [
+    ['[Content_Types].xml', `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="${ct('sheet.main')}"/><Override PartName="/xl/styles.xml" ContentType="${ct('styles')}"/>` +
+      sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${ct('worksheet')}"/>`).join('') + '</Types>'],
+    ['_rels/.rels', `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${XLSX_REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ['xl/workbook.xml', `${XML_HEAD}<workbook xmlns="${XLSX_NS}" xmlns:r="${XLSX_REL_NS}"><sheets>${sheets.map((s, i) => `<sheet name="${xmlEscape(s.title)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`],
+    ['xl/_rels/workbook.xml.rels', `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${XLSX_REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${XLSX_REL_NS}/styles" Target="styles.xml"/></Relationships>`],
+    ['xl/styles.xml', XLSX_STYLES],
+    ...sheets.map((s, i) => [`xl/worksheets/sheet${i + 1}.xml`, s.xml])
+  ];
+}
+
+// --- ZIP: deflated entries, no zip64 (an export stays far below 4 GB) ---
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zipArchive(files, time) {
+  const d = new Date(time);
+  const dosTime = (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1);
+  const dosDate = ((d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate();
+  const local = [], central = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const nameBuf = Buffer.from(name, 'utf-8'), data = Buffer.from(content, 'utf-8');
+    const packed = zlib.deflateRawSync(data);
+    // version 2.0, UTF-8 names, deflate
+    const fields = [[20, 2], [0x0800, 2], [8, 2], [dosTime, 2], [dosDate, 2], [crc32(data), 4], [packed.length, 4], [data.length, 4], [nameBuf.length, 2], [0, 2]];
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0);
+    let p = 4;
+    for (const [v, n] of fields) { n === 2 ? head.writeUInt16LE(v, p) : head.writeUInt32LE(v, p); p += n; }
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    head.copy(entry, 6, 4, 30);
+    entry.writeUInt32LE(offset, 42); // comment, disk and attribute fields stay zero
+    local.push(head, nameBuf, packed);
+    central.push(entry, nameBuf);
+    offset += head.length + nameBuf.length + packed.length;
+  }
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, dir, end]);
+}
+
+// Writes the chosen formats into dir; returns the paths written.
+function writeExport(report, dir, format) {
+  const sheets = EXPORT_SHEETS.map(s => ({ ...s, data: s.rows(report) }));
+  const written = [];
+  if (format !== 'xlsx') {
+    for (const s of sheets) {
+      const file = path.join(dir, `${s.name}.csv`);
+      writeFileAtomic(file, sheetCsv(s, s.data));
+      written.push(file);
+    }
+  }
+  if (format !== 'csv') {
+    const file = path.join(dir, EXPORT_WORKBOOK);
+    writeFileAtomic(file, zipArchive(workbookFiles(sheets.map(s => ({ title: s.title, xml: sheetXml(s, s.data) }))), NOW));
+    written.push(file);
+  }
+  for (const s of sheets) log(`   ${s.name}: ${s.data.length} rows`);
+  return written;
+}
+
+// === Tax lots ===
+// `tax` matches every disposal of a coin against the lots it was acquired in (FIFO, LIFO or HIFO) and
+// reports realized gains per UTC calendar year, in USD (USDT prices) and in BTC. Stablecoins count
+// as dollars, so only the other coins (BTC included) have lots. Deposits open a lot at their value on
+// arrival, and withdrawals other than performance fees move lots out without a gain. Futures P&L,
+// funding and commissions are classified as income, losses and fees rather than disposals, unless
+// they are paid in a coin (COIN-M, BNB fees), which also opens or consumes its lots.
+const TAX_METHODS = ['fifo', 'lifo', 'hifo'];
+const TAX_LONG_TERM_DAYS = 365;
+const TAX_INCOME_CLASSES = { REALIZED_PNL: 'trading', FUNDING_FEE: 'funding', COMMISSION: 'fee' };
+const TAX_DUST = 1e-12;
+
+// Lot pools per coin. take() hands out lot slices in the method's order; a shortfall comes back as a
+// slice without a lot (acquired before the snapshot's history, so its cost basis is unknown).
+function lotPools(method) {
+  const pools = {};
+  const pick = lots => {
+    if (method === 'fifo') return 0;
+    if (method === 'lifo') return lots.length - 1;
+    let best = 0;
+    for (let i = 1; i < lots.length; i++) if (lots[i].costUsd / lots[i].qty > lots[best].costUsd / lots[best].qty) best = i;
+    return best;
+  };
+  return {
+    add(asset, lot) {
+      if (lot.qty > TAX_DUST) (pools[asset] || (pools[asset] = [])).push(lot);
+    },
+    take(asset, qty) {
+      const lots = pools[asset] || [];
+      const slices = [];
+      let left = qty;
+      while (left > TAX_DUST && lots.length) {
+        const i = pick(lots), lot = lots[i];
+        const q = Math.min(left, lot.qty), share = q / lot.qty;
+        slices.push({ qty: q, time: lot.time, costUsd: lot.costUsd * share, costBtc: lot.costBtc * share });
+        lot.qty -= q; lot.costUsd -= lot.costUsd * share; lot.costBtc -= lot.costBtc * share;
+        if (lot.qty <= TAX_DUST) lots.splice(i, 1);
+        left -= q;
+      }
+      if (left > TAX_DUST) slices.push({ qty: left, time: null, costUsd: 0, costBtc: 0 });
+      return slices;
+    },
+    holdings: () => Object.fromEntries(Object.entries(pools).map(([asset, lots]) => [asset, lots.reduce((s, l) => s + l.qty, 0)]).filter(([, q]) => q > TAX_DUST))
+  };
+}
+
+// The report's flows, spot trades and futures income replayed in time order through the lot pools.
+// Returns the disposals (one row per lot slice) and the classified futures income.
+function buildTaxLedger(report, method) {
+  const { prices } = report;
+  const pools = lotPools(method);
+  const disposals = [], income = [];
+  const skipped = {};
+  const value = (coin, qty, time) => { const v = valueFlow(coin, qty, time, prices); return { usd: v.usdtValue, btc: v.btcValue }; };
+  const acquire = (asset, qty, time, v) => {
+    if (!STABLECOINS.includes(asset)) pools.add(asset, { qty, time, costUsd: v.usd, costBtc: v.btc });
+  };
+  const dispose = (asset, qty, time, v, kind, account, ref) => {
+    if (STABLECOINS.includes(asset) || qty <= TAX_DUST) return;
+    for (const sl of pools.take(asset, qty)) {
+      const share = sl.qty / qty;
+      const proceedsUsd = v.usd * share, proceedsBtc = v.btc * share;
+      const days = sl.time === null ? null : Math.floor((time - sl.time) / 86400000);
+      disposals.push({
+        asset, qty: sl.qty, acquired: sl.time, disposed: time, kind, account, ref,
+        proceedsUsd, costUsd: sl.costUsd, gainUsd: proceedsUsd - sl.costUsd,
+        // BTC measured in BTC never gains
+        proceedsBtc, costBtc: asset === 'BTC' ? proceedsBtc : sl.costBtc, gainBtc: asset === 'BTC' ? 0 : proceedsBtc - sl.costBtc,
+        holdingDays: days, term: days === null ? null : days > TAX_LONG_TERM_DAYS ? 'long' : 'short', missingBasis: sl.time === null
+      });
+    }
+  };
+
+  const events = [
+    ...report.depositDetails.map(d => ({ time: d.insertTime, run: () => acquire(d.coin, parseFloat(d.amount), d.insertTime, { usd: d.usdtValue, btc: d.btcValue }) })),
+    ...report.withdrawalDetails.map(w => ({
+      time: w.timestamp,
+      run: () => {
+        const amount = parseFloat(w.amount), fee = parseFloat(w.transactionFee || 0);
+        if (w.category === 'performance_fee') dispose(w.coin, amount, w.timestamp, { usd: w.usdtValue, btc: w.btcValue }, 'performance-fee', w.account, w.txId);
+        else if (!STABLECOINS.includes(w.coin)) pools.take(w.coin, amount);
+        if (fee) dispose(w.coin, fee, w.timestamp, value(w.coin, fee, w.timestamp), 'fee', w.account, w.txId);
+      }
+    })),
+    ...report.spotTradeHistory.map(t => ({
+      time: t.time,
+      run: () => {
+        const qty = parseFloat(t.qty), quoteQty = parseFloat(t.quoteQty), fee = parseFloat(t.commission || 0);
+        // a fee in the quote coin is part of the price: paid on top of a buy, kept back from a sale's proceeds
+        // (a stablecoin leaves no lot behind to carry it, so it has to go into the trade's values)
+        const quoteFee = fee && t.commissionAsset === t.quoteAsset ? fee : 0;
+        const price = t.isBuyer ? quoteQty + quoteFee : quoteQty - quoteFee;
+        const btc = t.baseAsset === 'BTC' ? qty : t.quoteAsset === 'BTC' ? price : toBtcAt(t.quoteAsset, price, t.time, prices);
+        const usd = STABLECOINS.includes(t.quoteAsset) ? price : STABLECOINS.includes(t.baseAsset) ? qty : btc * btcPriceAt(t.time, prices);
+        const [outAsset, outQty, inAsset, inQty] = t.isBuyer ? [t.quoteAsset, quoteQty, t.baseAsset, qty] : [t.baseAsset, qty, t.quoteAsset, quoteQty];
+        // a fee in either traded coin is part of the trade (less received or more sent); in a third coin it is a disposal of its own
+        dispose(outAsset, outQty + (fee && t.commissionAsset === outAsset ? fee : 0), t.time, { usd, btc }, 'trade', t.account, `${t.symbol} #${t.id}`);
+        acquire(inAsset, inQty - (fee && t.commissionAsset === inAsset ? fee : 0), t.time, { usd, btc });
+        if (fee && t.commissionAsset !== outAsset && t.commissionAsset !== inAsset) {
+          const v = value(t.commissionAsset, fee, t.time);
+          dispose(t.commissionAsset, fee, t.time, v, 'fee', t.account, `${t.symbol} #${t.id}`);
+          income.push({ time: t.time, account: t.account, market: 'spot', symbol: t.symbol, type: 'SPOT_COMMISSION', cls: 'fee', asset: t.commissionAsset, amount: -fee, usd: -v.usd, btc: -v.btc, ref: String(t.id) });
+        }
+      }
+    })),
+    ...report.futuresIncome.map(i => ({
+      time: parseInt(i.time),
+      run: () => {
+        const cls = TAX_INCOME_CLASSES[i.incomeType];
+        if (!cls) { skipped[i.incomeType] = (skipped[i.incomeType] || 0) + 1; return; }
+        const time = parseInt(i.time), amount = parseFloat(i.income), asset = i.asset || 'USDT';
+        const v = { usd: Math.abs(i.valueUsdt), btc: Math.abs(i.valueBtc) };
+        if (amount > 0) acquire(asset, amount, time, v);
+        else dispose(asset, -amount, time, v, 'futures', i.account, `${i.symbol || i.incomeType} ${i.tranId}`);
+        income.push({ time, account: i.account, market: i.market, symbol: i.symbol, type: i.incomeType, cls, asset, amount, usd: i.valueUsdt, btc: i.valueBtc, ref: String(i.tranId) });
+      }
+    }))
+  ];
+  // stable order: flows, then trades, then income within the same millisecond
+  events.forEach((e, i) => { e.seq = i; });
+  for (const e of events.sort((a, b) => a.time - b.time || a.seq - b.seq)) e.run();
+  return { method, disposals, income, skipped, holdings: pools.holdings() };
+}
+
+const utcYear = ts => new Date(ts).getUTCFullYear();
+
+function taxYearSummary(ledger, year) {
+  const ds = ledger.disposals.filter(d => utcYear(d.disposed) === year);
+  const inc = ledger.income.filter(i => utcYear(i.time) === year);
+  const sum = (rows, f) => rows.reduce((s, r) => s + f(r), 0);
+  const part = (cls, sign) => inc.filter(i => i.cls === cls && Math.sign(i.usd) === sign);
+  return {
+    year, method: ledger.method, disposals: ds.length, missingBasis: ds.filter(d => d.missingBasis).length,
+    proceedsUsd: sum(ds, d => d.proceedsUsd), costUsd: sum(ds, d => d.costUsd), gainUsd: sum(ds, d => d.gainUsd),
+    shortTermGainUsd: sum(ds.filter(d => d.term !== 'long'), d => d.gainUsd), longTermGainUsd: sum(ds.filter(d => d.term === 'long'), d => d.gainUsd),
+    proceedsBtc: sum(ds, d => d.proceedsBtc), costBtc: sum(ds, d => d.costBtc), gainBtc: sum(ds, d => d.gainBtc),
+    income: {
+      tradingGainsUsd: sum(part('trading', 1), i => i.usd), tradingLossesUsd: sum(part('trading', -1), i => i.usd),
+      fundingIncomeUsd: sum(part('funding', 1), i => i.usd), fundingExpenseUsd: sum(part('funding', -1), i => i.usd),
+      feesUsd: sum(inc.filter(i => i.cls === 'fee'), i => i.usd),
+      netUsd: sum(inc, i => i.usd), netBtc: sum(inc, i => i.btc)
+    }
+  };
+}
+
+const taxTime = ts => new Date(ts).toISOString().slice(0, 19).replace('T', ' ');
+// USD cells to the cent and BTC cells to the satoshi, so the files hold no float noise.
+const cents = v => typeof v === 'number' ? +v.toFixed(2) : v;
+const sats = v => typeof v === 'number' ? +v.toFixed(8) : v;
+const usDate = ts => { const d = new Date(ts); return `${String(d.getUTCMonth() + 1).padStart(2, '0')}/${String(d.getUTCDate()).padStart(2, '0')}/${d.getUTCFullYear()}`; };
+
+// Files per tax year: [file name, columns, rows(ledger, year)], written with sheetCsv(). The koinly and
+// turbotax layouts follow the Koinly universal CSV and the TurboTax crypto CSV import formats.
+const TAX_FILES = [
+  {
+    file: (year, method) => `gains-${year}-${method}.csv`,
+    rows: (ledger, year) => ledger.disposals.filter(d => utcYear(d.disposed) === year),
+    columns: [
+      ['disposed_utc', 'time', d => d.disposed], ['acquired_utc', 'time', d => d.acquired], ['asset', 'text', d => d.asset], ['qty', 'number', d => d.qty],
+      ['kind', 'text', d => d.kind], ['account', 'text', d => d.account], ['ref', 'text', d => d.ref],
+      ['proceeds_usd', 'number', d => cents(d.proceedsUsd)], ['cost_usd', 'number', d => cents(d.costUsd)], ['gain_usd', 'number', d => cents(d.gainUsd)],
+      ['proceeds_btc', 'number', d => sats(d.proceedsBtc)], ['cost_btc', 'number', d => sats(d.costBtc)], ['gain_btc', 'number', d => sats(d.gainBtc)],
+      ['holding_days', 'number', d => d.holdingDays], ['term', 'text', d => d.term], ['missing_basis', 'text', d => d.missingBasis ? 'yes' : '']
+    ]
+  },
+  {
+    file: year => `income-${year}.csv`,
+    rows: (ledger, year) => ledger.income.filter(i => utcYear(i.time) === year),
+    columns: [
+      ['time_utc', 'time', i => i.time], ['account', 'text', i => i.account], ['market', 'text', i => i.market], ['symbol', 'text', i => i.symbol],
+      ['type', 'text', i => i.type], ['class', 'text', i => i.cls === 'fee' ? 'fee' : i.usd >= 0 ? `${i.cls} income` : `${i.cls} loss`],
+      ['asset', 'text', i => i.asset], ['amount', 'number', i => i.amount], ['value_usd', 'number', i => cents(i.usd)], ['value_btc', 'number', i => sats(i.btc)], ['ref', 'text', i => i.ref]
+    ]
+  },
+  {
+    file: year => `koinly-${year}.csv`,
+    rows: (ledger, year, report) => koinlyRows(report).filter(r => utcYear(r.time) === year),
+    columns: [
+      ['Date', 'text', r => `${taxTime(r.time)} UTC`], ['Sent Amount', 'number', r => r.sentQty], ['Sent Currency', 'text', r => r.sent],
+      ['Received Amount', 'number', r => r.receivedQty], ['Received Currency', 'text', r => r.received],
+      ['Fee Amount', 'number', r => r.feeQty], ['Fee Currency', 'text', r => r.fee],
+      ['Net Worth Amount', 'number', r => cents(r.usd)], ['Net Worth Currency', 'text', r => r.usd === null ? null : 'USD'],
+      ['Label', 'text', r => r.label], ['Description', 'text', r => r.description], ['TxHash', 'text', r => r.txHash]
+    ]
+  },
+  {
+    file: (year, method) => `turbotax-${year}-${method}.csv`,
+    rows: (ledger, year) => ledger.disposals.filter(d => utcYear(d.disposed) === year),
+    columns: [
+      ['Currency Name', 'text', d => d.asset], ['Purchase Date', 'text', d => d.acquired === null ? null : usDate(d.acquired)],
+      ['Cost Basis', 'number', d => cents(d.costUsd)], ['Date sold', 'text', d => usDate(d.disposed)], ['Proceeds', 'number', d => cents(d.proceedsUsd)]
+    ]
+  }
+];
+
+// Every transaction in the Koinly universal layout: the tool does its own lot matching, so this one
+// does not depend on --method. Koinly pairs deposits and withdrawals with the user's other wallets.
+function koinlyRows(report) {
+  const rows = [];
+  for (const d of report.depositDetails) {
+    rows.push({ time: d.insertTime, receivedQty: parseFloat(d.amount), received: d.coin, usd: d.usdtValue, description: `Binance deposit (${d.account})`, txHash: d.txId });
+  }
+  for (const w of report.withdrawalDetails) {
+    const fee = parseFloat(w.transactionFee || 0);
+    rows.push({
+      time: w.timestamp, sentQty: parseFloat(w.amount), sent: w.coin, feeQty: fee || null, fee: fee ? w.coin : null, usd: w.usdtValue,
+      label: w.category === 'performance_fee' ? 'cost' : null, description: `Binance withdrawal (${w.account}${w.categoryRule ? `, ${w.categoryRule}` : ''})`, txHash: w.txId
+    });
+  }
+  for (const t of report.spotTradeHistory) {
+    const [sent, sentQty, received, receivedQty] = t.isBuyer ? [t.quoteAsset, t.quoteQty, t.baseAsset, t.qty] : [t.baseAsset, t.qty, t.quoteAsset, t.quoteQty];
+    const fee = parseFloat(t.commission || 0);
+    rows.push({
+      time: t.time, sentQty: parseFloat(sentQty), sent, receivedQty: parseFloat(receivedQty), received, feeQty: fee || null, fee: fee ? t.commissionAsset : null,
+      usd: null, description: `Binance spot ${t.symbol} #${t.id} (${t.account})`
+    });
+  }
+  for (const i of report.futuresIncome) {
+    const cls = TAX_INCOME_CLASSES[i.incomeType];
+    if (!cls) continue;
+    const amount = parseFloat(i.income), asset = i.asset || 'USDT';
+    const label = cls === 'fee' ? 'cost' : cls === 'funding' && amount < 0 ? 'margin fee' : 'realized gain';
+    rows.push({
+      time: parseInt(i.time), ...(amount >= 0 ? { receivedQty: amount, received: asset } : { sentQty: -amount, sent: asset }),
+      usd: Math.abs(i.valueUsdt), label, description: `Binance ${i.market} ${i.incomeType} ${i.symbol || ''} (${i.account})`.replace(/ +\(/, ' ('), txHash: String(i.tranId)
+    });
+  }
+  return byTime(rows, r => r.time);
+}
+
+function writeTaxFiles(report, ledger, years, dir) {
+  const written = [];
+  for (const year of years) {
+    for (const f of TAX_FILES) {
+      const file = path.join(dir, f.file(year, ledger.method));
+      writeFileAtomic(file, sheetCsv(f, f.rows(ledger, year, report)));
+      written.push(file);
+    }
+  }
+  return written;
+}
+
+// === Investor statements ===
+// `statements` writes one HTML statement per investor for a period: opening and closing units at
+// the NAV of the day, the movements in between, P&L and the time-weighted return. The period ends at
+// the snapshot (or --until) and starts at --since, or at bot start when that is later.
+
+function navAt(points, t) {
+  let nav = points[0].nav;
+  for (const p of points) { if (p.time > t) break; nav = p.nav; }
+  return nav;
+}
+
+function investorStatement(ledger, investor, from, to) {
+  const before = investor.movements.filter(m => m.time < from);
+  const movements = investor.movements.filter(m => m.time >= from && m.time <= to);
+  const openingUnits = before.length ? before[before.length - 1].unitsAfter : 0;
+  const closingUnits = movements.length ? movements[movements.length - 1].unitsAfter : openingUnits;
+  const openingNav = navAt(ledger.points, from), closingNav = navAt(ledger.points, to);
+  let growth = 1, units = openingUnits, navIn = openingUnits > UNIT_DUST ? openingNav : null, held = navIn !== null;
+  for (const m of movements) {
+    const had = units > UNIT_DUST;
+    units = m.unitsAfter;
+    if (!had && units > UNIT_DUST) { navIn = m.nav; held = true; }
+    if (had && units <= UNIT_DUST) { growth *= m.nav / navIn; navIn = null; }
+  }
+  if (navIn !== null) growth *= closingNav / navIn;
+  const flowBtc = movements.reduce((s, m) => s + m.btcValue, 0);
+  const opening = { units: openingUnits, nav: openingNav, valueBtc: openingUnits * openingNav };
+  const closing = { units: closingUnits, nav: closingNav, valueBtc: closingUnits * closingNav };
+  return {
+    investor: investor.name, email: investor.email, from, to, opening, closing, movements,
+    subscribedBtc: movements.filter(m => m.btcValue > 0).reduce((s, m) => s + m.btcValue, 0),
+    redeemedBtc: -movements.filter(m => m.btcValue < 0).reduce((s, m) => s + m.btcValue, 0),
+    pnlBtc: closing.valueBtc - opening.valueBtc - flowBtc, twr: held ? growth - 1 : null,
+    share: ledger.units > UNIT_DUST ? closingUnits / ledger.units : 0
+  };
+}
+
+function statementHtml(st, btcPrice) {
+  const day = ts => new Date(ts).toISOString().slice(0, 10);
+  const btc = v => `${v < 0 ? '-' : ''}${Math.abs(v).toFixed(8)}`;
+  const usd = v => `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+  const row = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+  const kinds = { start: 'Start allocation', subscription: 'Subscription', redemption: 'Redemption' };
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><title>Statement ${st.investor} ${day(st.from)} – ${day(st.to)}</title>
+<style>body{font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#1f2328;max-width:820px;margin:32px auto;padding:0 16px}h1{font-size:20px;margin-bottom:4px}
+.sub{color:#656d76;font-size:13px;margin-bottom:24px}table{border-collapse:collapse;width:100%;margin-bottom:24px;font-size:13px}th,td{padding:6px 8px;border-bottom:1px solid #d0d7de;text-align:right}
+th:first-child,td:first-child{text-align:left}.summary th{text-align:left;font-weight:400;color:#656d76;width:50%}.note{color:#656d76;font-size:11px}</style></head>
+<body>
+<h1>Investor statement — ${st.investor}</h1>
+<div class="sub">${day(st.from)} to ${day(st.to)} (UTC)${st.email ? ` · ${xmlEscape(st.email)}` : ''}</div>
+<table class="summary">
+${row('Opening units', btc(st.opening.units))}
+${row(`NAV per unit on ${day(st.from)}`, `${btc(st.opening.nav)} BTC`)}
+${row('Opening value', `${btc(st.opening.valueBtc)} BTC`)}
+${row('Subscriptions', `${btc(st.subscribedBtc)} BTC`)}
+${row('Redemptions', `${btc(st.redeemedBtc)} BTC`)}
+${row('P&amp;L', `${st.pnlBtc >= 0 ? '+' : ''}${btc(st.pnlBtc)} BTC`)}
+${row('Time-weighted return', st.twr === null ? '—' : `${(st.twr * 100).toFixed(2)}%`)}
+${row('Closing units', btc(st.closing.units))}
+${row(`NAV per unit on ${day(st.to)}`, `${btc(st.closing.nav)} BTC`)}
+${row('Closing value', `${btc(st.closing.valueBtc)} BTC (${usd(st.closing.valueBtc * btcPrice)} at $${btcPrice.toFixed(0)} per BTC)`)}
+${row('Share of the pool', `${(st.share * 100).toFixed(2)}%`)}
+</table>
+${st.movements.length ? `<table><thead><tr><th>Date</th><th>Movement</th><th>Asset</th><th>Amount</th><th>BTC value</th><th>USD at the time</th><th>NAV</th><th>Units</th><th>Units after</th></tr></thead>
+<tbody>${st.movements.map(m => `<tr><td>${day(m.time)}</td><td>${kinds[m.kind]}</td><td>${m.coin}</td><td>${Math.abs(m.amount).toFixed(m.coin === 'BTC' ? 8 : 2)}</td><td>${btc(m.btcValue)}</td><td>${usd(m.usdtValue)}</td><td>${btc(m.nav)}</td><td>${m.units >= 0 ? '+' : ''}${btc(m.units)}</td><td>${btc(m.unitsAfter)}</td></tr>`).join('')}</tbody></table>` : '<p>No subscriptions or redemptions in this period.</p>'}
+<p class="note">Units are valued at the pool's net asset value per unit, in BTC; 1 unit was worth 1 BTC at bot start. Subscriptions buy units and redemptions sell them at the NAV of their time. Performance fees are paid by the pool and are reflected in the NAV. The closing NAV includes unrealized P&amp;L on open positions.</p>
+</body></html>
+`;
+}
+
+// === Local server ===
+// `serve` keeps the latest report in memory and answers on http://127.0.0.1:<port>: the report page
+// at /, its figures as JSON under /api/ for any from/to period, and POST /api/refresh for a new run
+// (archived like a daemon run). There is no authentication: keep it on localhost.
+const DEFAULT_SERVE_PORT = 8377;
+const DEFAULT_SERVE_HOST = '127.0.0.1';
+const FORECAST_MAX_MONTHS = 120;
+
+// masterRecalc() from the report page, server-side: the same figures for the period fromMs..toMs of
+// one view (series itself for the whole book, or one of series.accounts). Keep the two in step. The
+// page's period always ends at the snapshot; an earlier toMs rolls the closing balance back by the P&L
+// and flows after it, as the start balance is rolled back, and drops unrealized P&L (unknown for past days).
+function periodMetrics(series, view, fromMs, toMs) {
+  const sum = (rows, f) => rows.reduce((s, r) => s + f(r), 0);
+  const inPeriod = t => t >= fromMs && t <= toMs;
+  const after = t => t > toMs;
+  const ended = toMs < series.now;
+  const balanceBtc = ended
+    ? view.currentBtc - view.unrealizedBtc
+      - sum(view.incomeTimeline.filter(d => after(d.time)), d => d.dailyBtc) - sum(view.spotTimeline.filter(d => after(d.time)), d => d.dailyBtc)
+      - sum(view.depositDetails.filter(d => after(d.insertTime)), d => d.btcValue) + sum(view.withdrawalDetails.filter(w => after(w.timestamp)), w => w.btcValue)
+    : view.currentBtc;
+  const unrealizedBtc = ended ? 0 : view.unrealizedBtc;
+
+  const daily = view.incomeTimeline.filter(d => inPeriod(d.time));
+  const realizedPnlBtc = sum(daily, d => d.dailyBtc);
+  const spotPnlBtc = sum(view.spotTimeline.filter(d => inPeriod(d.time)), d => d.dailyBtc);
+  const depsBefore = view.depositDetails.filter(d => d.insertTime < fromMs);
+  const depsIn = view.depositDetails.filter(d => inPeriod(d.insertTime));
+  const wdBefore = view.withdrawalDetails.filter(w => w.timestamp < fromMs);
+  const wdIn = view.withdrawalDetails.filter(w => inPeriod(w.timestamp));
+  const feesIn = wdIn.filter(w => w.category === 'performance_fee');
+  const btc = r => r.btcValue, usdt = r => r.usdtValue;
+
+  const cashFlowStartBtc = sum(depsBefore, btc) - sum(wdBefore, btc);
+  const depBtc = sum(depsIn, btc), depUsdt = sum(depsIn, usdt);
+  const wdBtc = sum(wdIn, btc), wdUsdt = sum(wdIn, usdt);
+  const feeBtc = sum(feesIn, btc), feeUsdt = sum(feesIn, usdt);
+
+  // balance-based start: balance_end - settled P&L - spot P&L - unrealized - deposits + withdrawals
+  const startBalanceBtc = balanceBtc - realizedPnlBtc - spotPnlBtc - unrealizedBtc - depBtc + wdBtc;
+  const capitalDeployedBtc = startBalanceBtc + depBtc - (wdBtc - feeBtc);
+  const robotPnlBtc = balanceBtc + feeBtc - capitalDeployedBtc;
+  const ratio = v => capitalDeployedBtc > 0 ? v / capitalDeployedBtc : 0;
+
+  const mVals = view.monthlyPnl.filter(m => inPeriod(m.time)).map(m => m.pnlBtc);
+  const avgMonthlyPnlBtc = mVals.length ? mVals.reduce((a, b) => a + b, 0) / mVals.length : 0;
+  const monthlyStdDevBtc = Math.sqrt(mVals.length ? mVals.reduce((s, v) => s + (v - avgMonthlyPnlBtc) ** 2, 0) / mVals.length : 0);
+  const slope = linearRegression(mVals).slope;
+
+  // real balances (consolidated journal) when they cover enough of the period, else the income reconstruction
+  const jDays = view === series ? series.journal.filter(d => inPeriod(d.time)) : [];
+  const useJournal = jDays.length >= JOURNAL_MIN_DAYS;
+  let cum = 0;
+  const riskTimeline = useJournal
+    ? jDays.map(d => ({ time: d.time, dailyBtc: d.dailyBtc, cumulativeBtc: d.equityBtc - (jDays[0].equityBtc - jDays[0].dailyBtc) }))
+    : daily.map(d => { cum += d.dailyBtc; return { time: d.time, dailyBtc: d.dailyBtc, cumulativeBtc: cum }; });
+
+  return {
+    days: Math.round((Math.min(toMs, series.now) - fromMs) / 86400000),
+    balanceBtc, unrealizedBtc, startBalanceBtc, cashFlowStartBtc, preBotPersonalPnlBtc: startBalanceBtc - cashFlowStartBtc,
+    deposits: { count: depsIn.length, btc: depBtc, usdt: depUsdt },
+    withdrawals: { count: wdIn.length - feesIn.length, btc: wdBtc - feeBtc, usdt: wdUsdt - feeUsdt },
+    performanceFees: { count: feesIn.length, btc: feeBtc, usdt: feeUsdt },
+    capitalDeployedBtc,
+    // start balance at the current BTC price, flows at their own (an approximation, as on the page)
+    capitalDeployedUsdt: startBalanceBtc * series.btcPrice + depUsdt - (wdUsdt - feeUsdt),
+    robotPnlBtc, roiBtc: ratio(robotPnlBtc),
+    robotPnlNetBtc: robotPnlBtc - feeBtc, roiNetBtc: ratio(robotPnlBtc - feeBtc),
+    robotPnlRealizedBtc: robotPnlBtc - unrealizedBtc, roiRealizedBtc: ratio(robotPnlBtc - unrealizedBtc),
+    realizedPnlBtc, spotPnlBtc, tradingDays: daily.length,
+    avgMonthlyPnlBtc, monthlyStdDevBtc, avgMonthlyRoi: ratio(avgMonthlyPnlBtc),
+    trendDirection: slope > 0.00001 ? 'improving' : slope < -0.00001 ? 'declining' : 'flat',
+    risk: {
+      source: useJournal ? 'journal' : 'income', journalDays: jDays.length,
+      ...computeRiskMetrics(riskTimeline, useJournal ? jDays[jDays.length - 1].equityBtc : balanceBtc)
+    }
+  };
+}
+
+// recalcForecast() from the page: `months` of the period's average monthly P&L, and of it plus and
+// minus one standard deviation, linear and compounded.
+function forecastScenarios(m, months, btcPrice) {
+  const base = m.balanceBtc;
+  const moRoi = base > 0 ? m.avgMonthlyPnlBtc / base : 0;
+  const moRoiSd = base > 0 ? m.monthlyStdDevBtc / base : 0;
+  return [['optimistic', 1], ['average', 0], ['pessimistic', -1]].map(([scenario, k]) => {
+    const linPnl = m.avgMonthlyPnlBtc + k * m.monthlyStdDevBtc, monthlyRoi = moRoi + k * moRoiSd;
+    let linearBtc = base, compoundBtc = base;
+    for (let i = 0; i < months; i++) { linearBtc += linPnl; compoundBtc *= 1 + monthlyRoi; }
+    return {
+      scenario, monthlyRoi, totalRoi: base > 0 ? (compoundBtc - base) / base : 0, annualRoi: Math.pow(1 + monthlyRoi, 12) - 1,
+      compoundBtc, compoundPnlBtc: compoundBtc - base, compoundUsd: compoundBtc * btcPrice,
+      linearBtc, compoundBonusBtc: compoundBtc - linearBtc
+    };
+  });
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// from / to / account of an API request. `from` is the start of a UTC day, like the page's start date
+// (default: bot start); `to` takes in its whole day (default: the snapshot time).
+function periodQuery(series, params) {
+  const day = name => {
+    const v = params.get(name);
+    if (v === null || v === '') return null;
+    const ts = /^\d{4}-\d{2}-\d{2}$/.test(v) ? Date.parse(`${v}T00:00:00Z`) : NaN;
+    if (isNaN(ts)) throw httpError(400, `${name}: expected YYYY-MM-DD, got "${v}"`);
+    return ts;
+  };
+  const from = day('from'), to = day('to');
+  const fromMs = from !== null ? from : Math.floor(series.botStartTime / 86400000) * 86400000;
+  const toMs = to !== null ? Math.min(to + 86400000 - 1, series.now) : series.now;
+  if (fromMs > toMs) throw httpError(400, 'from: must not be after to (or the snapshot)');
+  const account = params.get('account') || null;
+  const view = account ? series.accounts.find(a => a.name === account) : series;
+  if (!view) {
+    throw httpError(404, series.accounts.length ? `account: no account "${account}" (${series.accounts.map(a => a.name).join(', ')})` : 'account: the report has a single account');
+  }
+  return { fromMs, toMs, account, view };
+}
+
+const isoDay = ts => new Date(ts).toISOString().slice(0, 10);
+
+// GET /api/<name>?from=YYYY-MM-DD&to=YYYY-MM-DD&account=<name>
+const API_ROUTES = {
+  summary: (report, q) => {
+    const { risk, ...metrics } = periodMetrics(report.series, q.view, q.fromMs, q.toMs);
+    return { generatedAt: report.summary.generatedAt, btcPrice: report.series.btcPrice, ...metrics };
+  },
+  daily: (report, q) => {
+    let cum = 0;
+    const inPeriod = d => d.time >= q.fromMs && d.time <= q.toMs;
+    return {
+      days: q.view.incomeTimeline.filter(inPeriod).map(d => { cum += d.dailyBtc; return { date: isoDay(d.time), pnlBtc: d.dailyBtc, cumulativeBtc: cum }; }),
+      spot: q.view.spotTimeline.filter(inPeriod).map(d => ({ date: isoDay(d.time), pnlBtc: d.dailyBtc })),
+      balances: q.view === report.series ? report.series.journal.filter(inPeriod).map(d => ({ date: isoDay(d.time), pnlBtc: d.dailyBtc, balanceBtc: d.equityBtc })) : []
+    };
+  },
+  monthly: (report, q) => ({
+    months: q.view.monthlyPnl.filter(m => m.time >= q.fromMs && m.time <= q.toMs).map(m => ({ month: m.key, pnlBtc: m.pnlBtc, pnlUsdt: m.pnlUsdt }))
+  }),
+  weekly: (report, q) => ({
+    weeks: q.view.weeklyPnl.filter(w => w.time >= q.fromMs && w.time <= q.toMs).map(w => ({ weekStart: isoDay(w.time), pnlBtc: w.pnlBtc, pnlUsdt: w.pnlUsdt }))
+  }),
+  flows: (report, q) => ({
+    deposits: q.view.depositDetails.filter(d => d.insertTime >= q.fromMs && d.insertTime <= q.toMs),
+    withdrawals: q.view.withdrawalDetails.filter(w => w.timestamp >= q.fromMs && w.timestamp <= q.toMs)
+  }),
+  // open positions are as of the snapshot; from / to do not apply
+  positions: (report, q) => ({
+    positions: q.account ? report.futuresPositions.filter(p => p.account === q.account) : report.futuresPositions
+  }),
+  forecast: (report, q, params) => {
+    const months = params.has('months') ? Number(params.get('months')) : 12;
+    if (!(Number.isInteger(months) && months >= 1 && months <= FORECAST_MAX_MONTHS)) throw httpError(400, `months: expected 1-${FORECAST_MAX_MONTHS}, got "${params.get('months')}"`);
+    const btcPrice = params.has('btcPrice') ? Number(params.get('btcPrice')) : report.series.btcPrice;
+    if (!(btcPrice > 0)) throw httpError(400, `btcPrice: expected a positive number, got "${params.get('btcPrice')}"`);
+    const m = periodMetrics(report.series, q.view, q.fromMs, q.toMs);
+    return {
+      months, btcPrice, balanceBtc: m.balanceBtc, avgMonthlyPnlBtc: m.avgMonthlyPnlBtc, monthlyStdDevBtc: m.monthlyStdDevBtc,
+      scenarios: forecastScenarios(m, months, btcPrice)
+    };
+  },
+  risk: (report, q) => periodMetrics(report.series, q.view, q.fromMs, q.toMs).risk
+};
+
+// A HEAD request gets the status and headers its GET would, and no body.
+function send(req, res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Content-Length': Buffer.byteLength(body), 'Cache-Control': 'no-store' });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+const sendJson = (req, res, status, body) => send(req, res, status, 'application/json', JSON.stringify(body, null, 2) + '\n');
+
+// A page on another site can still reach a server on localhost: through DNS rebinding (its own
+// domain re-pointed at 127.0.0.1) or with a plain form POST, which needs no CORS preflight. So the
+// Host header has to name this machine (localhost, the --host address or any IP literal; a rebound
+// domain name is none of these), and a refresh has to be a JSON POST, which a form cannot send.
+function allowedHost(hostHeader, boundHost) {
+  let name;
+  try {
+    name = new URL(`http://${hostHeader}`).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  return name === 'localhost' || name === boundHost || net.isIP(name) !== 0;
+}
+
+function handleRequest(state, startRefresh, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (!allowedHost(req.headers.host || '', state.host)) throw httpError(403, `host not allowed: ${req.headers.host || '(none)'}`);
+    if (url.pathname === '/api/refresh') {
+      if (req.method === 'POST') {
+        if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) throw httpError(415, 'send the refresh with Content-Type: application/json');
+        if (state.refreshing) return sendJson(req, res, 409, { error: 'a refresh is already running', refreshing: state.refreshing });
+        startRefresh();
+        return sendJson(req, res, 202, { refreshing: state.refreshing });
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, 'use GET for the refresh status, POST to start one');
+      return sendJson(req, res, 200, { refreshing: state.refreshing, last: state.lastRefresh });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, `${req.method} is not supported here`);
+    if (url.pathname === '/api' || url.pathname === '/api/') {
+      return sendJson(req, res, 200, { endpoints: [...Object.keys(API_ROUTES).map(k => `/api/${k}`), '/api/refresh'], params: ['from', 'to', 'account'] });
+    }
+    const route = url.pathname === '/' ? 'page' : url.pathname.startsWith('/api/') ? url.pathname.slice(5) : null;
+    if (route !== 'page' && !Object.hasOwn(API_ROUTES, route)) throw httpError(404, `not found: ${url.pathname} (endpoints are listed at /api)`);
+    if (!state.report) throw httpError(503, state.refreshing ? 'no report yet; the first refresh is running' : 'no report yet; POST /api/refresh to build one');
+    if (route === 'page') return send(req, res, 200, 'text/html', state.report.html);
+    const q = periodQuery(state.report.series, url.searchParams);
+    sendJson(req, res, 200, { from: isoDay(q.fromMs), to: isoDay(q.toMs), account: q.account, ...API_ROUTES[route](state.report, q, url.searchParams) });
+  } catch (err) {
+    if (!err.status) log(`${req.method} ${req.url}: ${err.stack}`);
+    sendJson(req, res, err.status || 500, { error: err.message });
+  }
+}
+
+// === CLI ===
+const USAGE = `Usage: node analyze.js [command] [options]
+
+Commands:
+  report                 fetch from Binance and build the report (default)
+  rebuild <raw.json>     rebuild the report from a saved raw-data.json, no network
+  daemon                 re-run the report on a schedule (--every or --cron), archiving every good run
+  serve [raw.json]       serve the report and a JSON API for any period on localhost (see README)
+  export [raw.json]      write the ledgers as CSV files and an XLSX workbook, no network
+  tax [raw.json]         realized gains per tax year (--method fifo|lifo|hifo, --year) and tax-tool CSVs
+  statements [raw.json]  per-investor statements from the unit ledger (config "investors"), no network
+  test-alerts [raw.json] send a test alert through every configured channel; with a snapshot,
+                         send the alerts its metrics would fire (alert state is not touched)
+  help                   show this message
+
+Options:
+  --since <YYYY-MM-DD>   start of the analysed period (default: ${DEFAULT_PERIOD_DAYS} days before --until)
+  --until <YYYY-MM-DD>   last day of the analysed period, included in full (default: now)
+  --bot-start <date>     bot start date; default is the first futures-income record
+  --lookback <days>      history for deposits, withdrawals, transfers and prices (default: ${DEFAULT_LOOKBACK_DAYS}; widened to cover --since)
+  --out <file>           report path (default: report.html next to analyze.js)
+  --data-dir <dir>       raw data and local store (default: report-data next to analyze.js)
+  --config <file>        JSON config file (default: ./mystoic.config.json if present)
+  --quiet                no progress output
+  --json                 print the summary metrics as JSON on stdout
+  --every <duration>     daemon: run now and then every 30m, 6h, 1d...
+  --cron "<m h d M w>"   daemon: run at the times of a cron expression (UTC) instead
+  --keep <n>             daemon, serve: archived runs to keep (default: ${DEFAULT_ARCHIVE_KEEP})
+  --port <n>             serve: port to listen on (default: ${DEFAULT_SERVE_PORT})
+  --host <addr>          serve: address to listen on (default: ${DEFAULT_SERVE_HOST})
+  --export-dir <dir>     export, tax, statements: where the files go (default: <data-dir>/export, /tax or /statements)
+  --format <f>           export: csv, xlsx or both (default: both)
+  --method <m>           tax: cost-basis method, fifo, lifo or hifo (default: fifo)
+  --year <yyyy>          tax: only this calendar year (default: every year in the snapshot)
+  -h, --help             show this message
+
+Config file keys mirror the long options in camelCase (since, until, botStart, lookback, out, dataDir,
+quiet, json, every, cron, keep, port, host, exportDir, format, method, year); flags on the command line win over the file. Several Binance accounts are configured
+with an "accounts" list in the config file (see README); without it the single account from
+BINANCE_API_KEY / BINANCE_API_SECRET is used. Extra spot symbols ("spotSymbols"), withdrawal
+classification rules ("withdrawalRules"), alert rules and channels ("alerts"), investors ("investors")
+and the fee terms checked against fees paid ("performanceFee") are config-only as well.`;
+
+const CLI_OPTIONS = {
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'bot-start': { type: 'string' },
+  lookback: { type: 'string' },
+  out: { type: 'string' },
+  'data-dir': { type: 'string' },
+  config: { type: 'string' },
+  quiet: { type: 'boolean' },
+  json: { type: 'boolean' },
+  'from-raw': { type: 'string' },
+  every: { type: 'string' },
+  cron: { type: 'string' },
+  keep: { type: 'string' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  'export-dir': { type: 'string' },
+  format: { type: 'string' },
+  method: { type: 'string' },
+  year: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// A bare YYYY-MM-DD is a UTC day: its start, or with `endOfDay` its last millisecond, so that
+// --until 2026-06-30 takes in the 30th like the API's `to`.
+function parseDateOpt(name, value, endOfDay = false) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const ts = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(ts)) throw new Error(`--${name}: cannot parse date "${value}" (expected YYYY-MM-DD)`);
+  return dateOnly && endOfDay ? ts + 86400000 - 1 : ts;
+}
+
+function loadConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`config file not found: ${file}`);
+    return {};
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  // relative paths in the config are relative to the config file, not to the cwd
+  const dir = path.dirname(path.resolve(file));
+  for (const k of ['out', 'dataDir', 'exportDir']) if (typeof config[k] === 'string') config[k] = path.resolve(dir, config[k]);
+  for (const ch of (config.alerts && config.alerts.channels) || []) if (ch.type === 'file' && typeof ch.path === 'string') ch.path = path.resolve(dir, ch.path);
+  return config;
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+  const command = values.help ? 'help' : values['from-raw'] ? 'rebuild' : (positionals[0] || 'report');
+  const args = values['from-raw'] ? [values['from-raw']] : positionals.slice(1);
+  const configFile = values.config || 'mystoic.config.json';
+  const config = loadConfigFile(configFile, Boolean(values.config));
+  const pick = (flag, key) => values[flag] !== undefined ? values[flag] : config[key];
+  return {
+    command, args, config,
+    since: pick('since', 'since'),
+    until: pick('until', 'until'),
+    botStart: pick('bot-start', 'botStart'),
+    lookback: pick('lookback', 'lookback'),
+    out: values.out !== undefined ? path.resolve(values.out) : config.out,
+    dataDir: values['data-dir'] !== undefined ? path.resolve(values['data-dir']) : config.dataDir,
+    quiet: Boolean(pick('quiet', 'quiet')),
+    json: Boolean(pick('json', 'json')),
+    every: pick('every', 'every'),
+    cron: pick('cron', 'cron'),
+    keep: pick('keep', 'keep'),
+    port: pick('port', 'port'),
+    host: pick('host', 'host'),
+    exportDir: values['export-dir'] !== undefined ? path.resolve(values['export-dir']) : config.exportDir,
+    format: pick('format', 'format'),
+    method: pick('method', 'method'),
+    year: pick('year', 'year')
+  };
+}
+
+// Account list from the config file. API keys stay in the environment (.env); the config only names
+// the variables, so it can be committed or shared without leaking credentials.
+function resolveAccountSpecs(config) {
+  if (!Array.isArray(config.accounts) || !config.accounts.length) {
+    return [{ name: 'main', apiKeyEnv: 'BINANCE_API_KEY', apiSecretEnv: 'BINANCE_API_SECRET', email: null, subAccount: false, spotSymbols: config.spotSymbols || [] }];
+  }
+  const seen = new Set();
+  return config.accounts.map((a, i) => {
+    const name = a.name || `account${i + 1}`;
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`accounts[${i}].name "${name}": use letters, digits, '.', '_' or '-' only`);
+    if (seen.has(name)) throw new Error(`accounts: duplicate name "${name}"`);
+    seen.add(name);
+    if (!a.apiKeyEnv || !a.apiSecretEnv) throw new Error(`account "${name}": apiKeyEnv and apiSecretEnv are required`);
+    return {
+      name, apiKeyEnv: a.apiKeyEnv, apiSecretEnv: a.apiSecretEnv, email: a.email || null, subAccount: Boolean(a.subAccount),
+      spotSymbols: [...(config.spotSymbols || []), ...(a.spotSymbols || [])]
+    };
+  });
+}
+
+// Withdrawal classification rules from the config (see classifyWithdrawal()).
+const WITHDRAWAL_RULE_KEYS = ['category', 'label', 'address', 'network', 'memo', 'coin', 'account', 'minAmount', 'maxAmount', 'amountPattern', 'txIds'];
+
+function resolveWithdrawalRules(config) {
+  const rules = config.withdrawalRules || [];
+  if (!Array.isArray(rules)) throw new Error('withdrawalRules: expected a list of rules');
+  return rules.map((r, i) => {
+    const where = `withdrawalRules[${i}]`;
+    if (!WITHDRAWAL_CATEGORIES.includes(r.category)) throw new Error(`${where}.category: expected one of ${WITHDRAWAL_CATEGORIES.join(', ')}, got "${r.category}"`);
+    const unknown = Object.keys(r).filter(k => !WITHDRAWAL_RULE_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${where}: unknown key(s) ${unknown.join(', ')}`);
+    if (Object.keys(r).every(k => k === 'category' || k === 'label')) throw new Error(`${where}: needs at least one condition`);
+    if (r.txIds !== undefined && !Array.isArray(r.txIds)) throw new Error(`${where}.txIds: expected a list`);
+    for (const k of ['minAmount', 'maxAmount']) if (r[k] !== undefined && typeof r[k] !== 'number') throw new Error(`${where}.${k}: expected a number`);
+    if (r.amountPattern !== undefined) {
+      try { new RegExp(r.amountPattern); } catch (err) { throw new Error(`${where}.amountPattern: ${err.message}`); }
+    }
+    return r;
+  });
+}
+
+// Investors and the ledger saying whose deposits and withdrawals are whose (see buildUnitLedger()).
+const INVESTOR_LEDGER_KEYS = ['investor', 'label', 'type', 'txIds', 'address', 'network', 'coin', 'account', 'minAmount', 'maxAmount'];
+const INVESTOR_FLOW_TYPES = ['deposit', 'withdrawal'];
+
+function resolveInvestors(config) {
+  const inv = config.investors;
+  if (inv === undefined) return null;
+  if (!inv || !Array.isArray(inv.members) || !inv.members.length) throw new Error('investors.members: expected a non-empty list');
+  const names = new Set();
+  const members = inv.members.map((m, i) => {
+    const where = `investors.members[${i}]`;
+    if (typeof m.name !== 'string' || !/^[\w.-]+$/.test(m.name)) throw new Error(`${where}.name: use letters, digits, '.', '_' or '-' only`);
+    if (m.name === UNASSIGNED_INVESTOR) throw new Error(`${where}.name: "${UNASSIGNED_INVESTOR}" is reserved for flows no rule matches`);
+    if (names.has(m.name)) throw new Error(`investors.members: duplicate name "${m.name}"`);
+    names.add(m.name);
+    const startShare = m.startShare !== undefined ? m.startShare : 0;
+    if (typeof startShare !== 'number' || startShare < 0 || startShare > 1) throw new Error(`${where}.startShare: expected a number from 0 to 1`);
+    return { name: m.name, email: m.email || null, startShare };
+  });
+  if (members.reduce((s, m) => s + m.startShare, 0) > 1 + 1e-9) throw new Error('investors.members: start shares add up to more than 1');
+  const ledger = inv.ledger || [];
+  if (!Array.isArray(ledger)) throw new Error('investors.ledger: expected a list of rules');
+  return {
+    members,
+    ledger: ledger.map((r, i) => {
+      const where = `investors.ledger[${i}]`;
+      if (!names.has(r.investor)) throw new Error(`${where}.investor: expected one of ${[...names].join(', ')}, got "${r.investor}"`);
+      const unknown = Object.keys(r).filter(k => !INVESTOR_LEDGER_KEYS.includes(k));
+      if (unknown.length) throw new Error(`${where}: unknown key(s) ${unknown.join(', ')}`);
+      if (Object.keys(r).every(k => k === 'investor' || k === 'label' || k === 'type')) throw new Error(`${where}: needs at least one condition`);
+      if (r.type !== undefined && !INVESTOR_FLOW_TYPES.includes(r.type)) throw new Error(`${where}.type: expected one of ${INVESTOR_FLOW_TYPES.join(', ')}, got "${r.type}"`);
+      if (r.txIds !== undefined && !Array.isArray(r.txIds)) throw new Error(`${where}.txIds: expected a list`);
+      for (const k of ['minAmount', 'maxAmount']) if (r[k] !== undefined && typeof r[k] !== 'number') throw new Error(`${where}.${k}: expected a number`);
+      return r;
+    })
+  };
+}
+
+// Fee terms for buildFeeSchedule(), or null when the config has none.
+const PERFORMANCE_FEE_KEYS = ['rate', 'period', 'hurdle', 'highWaterMark', 'currency'];
+
+function resolvePerformanceFee(config) {
+  const f = config.performanceFee;
+  if (f === undefined) return null;
+  if (!f || typeof f !== 'object') throw new Error('performanceFee: expected an object with at least "rate"');
+  const unknown = Object.keys(f).filter(k => !PERFORMANCE_FEE_KEYS.includes(k));
+  if (unknown.length) throw new Error(`performanceFee: unknown key(s) ${unknown.join(', ')}`);
+  if (typeof f.rate !== 'number' || !(f.rate > 0 && f.rate < 1)) throw new Error('performanceFee.rate: expected a fraction between 0 and 1, e.g. 0.2 for 20%');
+  const terms = { rate: f.rate, period: f.period || 'monthly', hurdle: f.hurdle !== undefined ? f.hurdle : 0, highWaterMark: f.highWaterMark !== false, currency: f.currency || 'BTC' };
+  if (!FEE_PERIODS[terms.period]) throw new Error(`performanceFee.period: expected one of ${Object.keys(FEE_PERIODS).join(', ')}, got "${terms.period}"`);
+  if (typeof terms.hurdle !== 'number' || terms.hurdle < 0) throw new Error('performanceFee.hurdle: expected an annual rate like 0.05, or 0 for none');
+  if (f.highWaterMark !== undefined && typeof f.highWaterMark !== 'boolean') throw new Error('performanceFee.highWaterMark: expected true or false');
+  if (!FEE_CURRENCIES.includes(terms.currency)) throw new Error(`performanceFee.currency: expected one of ${FEE_CURRENCIES.join(', ')}, got "${terms.currency}"`);
+  return terms;
+}
+
+// Alert rules and channels from the config (see evaluateAlerts() and ALERT_SENDERS). Secrets stay in
+// the environment: the Telegram token and SMTP credentials are named by botTokenEnv, userEnv, passEnv.
+function resolveAlerts(config) {
+  const a = config.alerts;
+  if (a === undefined) return null;
+  if (!a || typeof a !== 'object') throw new Error('alerts: expected an object with "rules" and "channels"');
+  const rules = a.rules || {};
+  const unknown = Object.keys(rules).filter(k => !ALERT_RULE_KEYS.includes(k));
+  if (unknown.length) throw new Error(`alerts.rules: unknown key(s) ${unknown.join(', ')}`);
+  for (const k of ['drawdownPct', 'dailyLossBtc', 'unrealizedBelowBtc']) if (rules[k] !== undefined && typeof rules[k] !== 'number') throw new Error(`alerts.rules.${k}: expected a number`);
+  for (const k of ['negativeRoi', 'syncFailures']) if (rules[k] !== undefined && typeof rules[k] !== 'boolean') throw new Error(`alerts.rules.${k}: expected true or false`);
+  if (rules.flows !== undefined && typeof rules.flows !== 'boolean' && !(rules.flows && typeof rules.flows.minBtc === 'number')) {
+    throw new Error('alerts.rules.flows: expected true, false or { "minBtc": <number> }');
+  }
+  if (!Array.isArray(a.channels) || !a.channels.length) throw new Error('alerts.channels: expected a non-empty list');
+  const channels = a.channels.map((ch, i) => {
+    const where = `alerts.channels[${i}]`;
+    const required = ALERT_CHANNEL_REQUIRED[ch.type];
+    if (!required) throw new Error(`${where}.type: expected one of ${Object.keys(ALERT_CHANNEL_REQUIRED).join(', ')}, got "${ch.type}"`);
+    for (const k of required) if (ch[k] === undefined) throw new Error(`${where}: "${k}" is required for ${ch.type}`);
+    return { ...ch, name: ch.name || `${ch.type} #${i + 1}`, botTokenEnv: ch.botTokenEnv || 'TELEGRAM_BOT_TOKEN' };
+  });
+  const repeatHours = a.repeatHours !== undefined ? a.repeatHours : DEFAULT_ALERT_REPEAT_HOURS;
+  if (typeof repeatHours !== 'number' || repeatHours < 0) throw new Error('alerts.repeatHours: expected a number of hours');
+  return { rules, channels, repeatHours };
+}
+
+// Sets OPTS, NOW and START_TIME from parsed CLI options. `bounds` (from a raw snapshot) caps the
+// window to what the snapshot actually contains.
+function applyOptions(cli, bounds = null) {
+  if (cli.out) OPTS.out = cli.out;
+  if (cli.dataDir) OPTS.dataDir = cli.dataDir;
+  OPTS.quiet = cli.quiet;
+  OPTS.json = cli.json;
+  OPTS.botStart = cli.botStart ? parseDateOpt('bot-start', cli.botStart) : null;
+  OPTS.accounts = resolveAccountSpecs(cli.config);
+  OPTS.withdrawalRules = resolveWithdrawalRules(cli.config);
+  OPTS.alerts = resolveAlerts(cli.config);
+  OPTS.investors = resolveInvestors(cli.config);
+  OPTS.performanceFee = resolvePerformanceFee(cli.config);
+
+  // a --until of today (or later) ends now, or at the snapshot
+  NOW = Math.min(cli.until ? parseDateOpt('until', cli.until, true) : Infinity, bounds ? bounds.until : Date.now());
+  START_TIME = cli.since ? parseDateOpt('since', cli.since) : (bounds ? bounds.since : NOW - DEFAULT_PERIOD_DAYS * 86400000);
+  if (bounds && START_TIME < bounds.since) {
+    log(`   --since is before the snapshot's first income record window; using ${new Date(bounds.since).toISOString().slice(0, 10)}`);
+    START_TIME = bounds.since;
+  }
+  if (START_TIME >= NOW) throw new Error('--since must be before --until');
+
+  const lookbackDays = cli.lookback !== undefined ? Number(cli.lookback) : DEFAULT_LOOKBACK_DAYS;
+  if (!(lookbackDays > 0)) throw new Error(`--lookback: expected a positive number of days, got "${cli.lookback}"`);
+  // flows and prices must reach at least as far back as the analysed period
+  OPTS.lookbackDays = Math.max(lookbackDays, Math.ceil((NOW - START_TIME) / 86400000));
+}
+
+function writeReport(report) {
+  writeFileAtomic(OPTS.out, report.html);
+  log(`   Done! ${path.relative(process.cwd(), OPTS.out) || OPTS.out} saved\n`);
+  if (OPTS.json) process.stdout.write(JSON.stringify(report.summary, null, 2) + '\n');
+}
+
+// Fetch and build, without writing anything: a run that fails here leaves the last report alone.
+// The caller has applied the options already (the run lock lives in the data dir they set).
+async function produceReport(cli) {
+  const periodDays = Math.round((NOW - START_TIME) / 86400000);
+  log(`=== myStoicTracker — ${periodDays}-day Analysis ===`);
+  log(`Period: ${new Date(START_TIME).toISOString().slice(0, 10)} → ${new Date(NOW).toISOString().slice(0, 10)}\n`);
+  if (cli.until) log('   Note: balances and open positions are always live; --until only bounds the history.\n');
+  let raw;
+  try {
+    raw = await fetchRawData(OPTS.accounts.map(createAccount));
+  } catch (err) {
+    if (OPTS.alerts && OPTS.alerts.rules.syncFailures) {
+      await dispatchAlerts(loadStore('alerts'), [{ key: 'sync:run', rule: 'syncFailures', message: `Data sync failed, no report was built: ${err.message}`, oneOff: false }], true);
+    }
+    throw err;
+  }
+  return { raw, report: buildReport(raw) };
+}
+
+function rawDataJson(raw, report) {
+  return JSON.stringify({ ...raw, futuresPositions: report.futuresPositions, incomeByType: report.incomeByType, monthlyPnl: report.monthlyPnl, weeklyPnl: report.weeklyPnl, forecast: report.forecast }, null, 2);
+}
+
+async function cmdReport(cli) {
+  applyOptions(cli);
+  const unlock = acquireRunLock();
+  try {
+    const { raw, report } = await produceReport(cli);
+    recordExposure(report.summary.exposure);
+    recordBalanceSnapshot(report.balanceSnapshot);
+    writeFileAtomic(path.join(OPTS.dataDir, 'raw-data.json'), rawDataJson(raw, report));
+    writeReport(report);
+    await checkAlerts(report);
+  } finally {
+    unlock();
+  }
+}
+
+// Report from a saved snapshot, no network.
+function rebuildReport(cli, rawFile) {
+  const raw = loadRawData(rawFile);
+  applyOptions(cli, { since: raw.startTime, until: raw.generatedAt });
+  log(`=== myStoicTracker — rebuilding from ${rawFile} (no network) ===`);
+  log(`Snapshot taken ${new Date(raw.generatedAt).toISOString()}; period ${new Date(START_TIME).toISOString().slice(0, 10)} → ${new Date(NOW).toISOString().slice(0, 10)}\n`);
+  // a narrower --since / --until than the snapshot only trims history; balances stay as captured
+  const inWindow = t => t >= START_TIME && t <= NOW;
+  return buildReport({
+    ...raw,
+    accounts: raw.accounts.map(a => ({
+      ...a,
+      futuresIncome: a.futuresIncome.filter(i => inWindow(parseInt(i.time))),
+      deposits: a.deposits.filter(d => d.insertTime <= NOW),
+      withdrawals: a.withdrawals.filter(w => utcTime(w.applyTime) <= NOW),
+      transfersToFutures: a.transfersToFutures.filter(t => t.timestamp <= NOW),
+      transfersFromFutures: a.transfersFromFutures.filter(t => t.timestamp <= NOW),
+      transfersToCoinm: a.transfersToCoinm.filter(t => t.timestamp <= NOW),
+      transfersFromCoinm: a.transfersFromCoinm.filter(t => t.timestamp <= NOW),
+      coinmIncome: a.coinmIncome.filter(i => inWindow(parseInt(i.time))),
+      subAccountTransfers: a.subAccountTransfers.filter(t => t.time <= NOW),
+      spotTrades: a.spotTrades.filter(t => t.time <= NOW),
+      accountSnapshots: a.accountSnapshots.filter(v => v.updateTime <= NOW)
+    }))
+  });
+}
+
+async function cmdRebuild(cli) {
+  const rawFile = cli.args[0];
+  if (!rawFile) throw new Error('rebuild needs a path, e.g. node analyze.js rebuild report-data/raw-data.json');
+  writeReport(rebuildReport(cli, rawFile));
+}
+
+function archiveKeep(cli) {
+  const keep = cli.keep !== undefined ? Number(cli.keep) : DEFAULT_ARCHIVE_KEEP;
+  if (!(Number.isInteger(keep) && keep >= 1)) throw new Error(`--keep: expected a whole number of runs, got "${cli.keep}"`);
+  return keep;
+}
+
+async function cmdDaemon(cli) {
+  if ((cli.every === undefined) === (cli.cron === undefined)) throw new Error('daemon needs exactly one of --every or --cron');
+  const every = cli.every !== undefined ? parseInterval(cli.every) : null;
+  const cron = cli.cron !== undefined ? parseCron(cli.cron) : null;
+  const keep = archiveKeep(cli);
+  if (cli.json) throw new Error('--json is not available in daemon mode; the run log has the per-run results');
+  applyOptions(cli); // config errors surface now rather than at the first run
+
+  let stopping = false, wake = null;
+  const stop = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    log('Stopping after the current run (again to stop now)...');
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let next = every ? Date.now() : nextCronTime(cron, Date.now());
+  log(`myStoicTracker daemon: ${every ? `every ${cli.every}` : `cron "${cron.expr}" (UTC)`}, keeping ${keep} archived runs`);
+  while (!stopping) {
+    if (Date.now() < next) log(`Next run at ${new Date(next).toISOString()}`);
+    // in slices: setTimeout cannot wait longer than ~24 days at once
+    while (!stopping && Date.now() < next) {
+      await new Promise(r => { const t = setTimeout(r, Math.min(next - Date.now(), 3600000)); wake = () => { clearTimeout(t); r(); }; });
+    }
+    if (stopping) break;
+    const started = Date.now();
+    const { entry } = await archivedRun(cli, keep);
+    log(`Run ${entry.start}: ${entry.status} in ${(entry.durationMs / 1000).toFixed(1)}s${entry.error ? ` (${entry.error})` : ''}`);
+    next = every ? started + every : nextCronTime(cron, Date.now());
+  }
+}
+
+// Serves `raw.json` (default: <dataDir>/raw-data.json) rebuilt offline until the first refresh; without
+// a snapshot, a refresh starts right away. Refreshes run one at a time; the page and API keep answering
+// from the previous report meanwhile, and keep it if the refresh fails.
+async function cmdServe(cli) {
+  const port = cli.port !== undefined ? Number(cli.port) : DEFAULT_SERVE_PORT;
+  if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) throw new Error(`--port: expected a port number, got "${cli.port}"`);
+  const host = cli.host || DEFAULT_SERVE_HOST;
+  const keep = archiveKeep(cli);
+  if (cli.json) throw new Error('--json is not available in serve mode; the summary is at /api/summary');
+  applyOptions(cli);
+
+  const state = { host, report: null, refreshing: null, lastRefresh: null };
+  const rawFile = cli.args[0] || path.join(OPTS.dataDir, 'raw-data.json');
+  if (fs.existsSync(rawFile)) state.report = rebuildReport(cli, rawFile);
+  else if (cli.args[0]) throw new Error(`snapshot not found: ${rawFile}`);
+
+  const startRefresh = () => {
+    state.refreshing = { start: new Date().toISOString() };
+    archivedRun(cli, keep)
+      .then(({ entry, report }) => {
+        if (report) state.report = report;
+        state.lastRefresh = entry;
+        log(`Refresh ${entry.start}: ${entry.status} in ${(entry.durationMs / 1000).toFixed(1)}s${entry.error ? ` (${entry.error})` : ''}`);
+      })
+      .catch(err => { state.lastRefresh = { start: state.refreshing.start, status: 'failed', error: err.message }; log(`Refresh failed: ${err.message}`); })
+      .finally(() => { state.refreshing = null; });
+  };
+
+  const server = http.createServer((req, res) => handleRequest(state, startRefresh, req, res));
+  server.listen(port, host);
+  await once(server, 'listening');
+  log(`myStoicTracker serving ${state.report ? rawFile : '(no report yet)'} at http://${host}:${server.address().port}/ (API: /api)`);
+  if (!state.report) startRefresh();
+
+  let stopping = false;
+  const stop = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    log(state.refreshing ? 'Stopping after the current refresh (again to stop now)...' : 'Stopping...');
+    server.close();
+    server.closeAllConnections();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  await once(server, 'close');
+}
+
+// Ledgers of `raw.json` (default: <dataDir>/raw-data.json), rebuilt offline with the usual
+// --since / --until, as CSV and XLSX in --export-dir.
+async function cmdExport(cli) {
+  const format = cli.format || 'both';
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`--format: expected one of ${EXPORT_FORMATS.join(', ')}, got "${format}"`);
+  applyOptions(cli);
+  const rawFile = cli.args[0] || path.join(OPTS.dataDir, 'raw-data.json');
+  if (!fs.existsSync(rawFile)) throw new Error(`snapshot not found: ${rawFile} (run a report first, or pass a raw-data.json)`);
+  const report = rebuildReport(cli, rawFile);
+  const dir = cli.exportDir || path.join(OPTS.dataDir, 'export');
+  log('\nExporting...');
+  const written = writeExport(report, dir, format);
+  log(`   Done! ${written.length} file(s) in ${path.relative(process.cwd(), dir) || dir}\n`);
+  if (OPTS.json) process.stdout.write(JSON.stringify(report.summary, null, 2) + '\n');
+}
+
+// Realized gains and classified futures income per tax year from `raw.json` (default:
+// <dataDir>/raw-data.json), rebuilt offline over the whole snapshot unless --since / --until narrow it.
+async function cmdTax(cli) {
+  const method = String(cli.method || 'fifo').toLowerCase();
+  if (!TAX_METHODS.includes(method)) throw new Error(`--method: expected one of ${TAX_METHODS.join(', ')}, got "${cli.method}"`);
+  const year = cli.year !== undefined ? Number(cli.year) : null;
+  if (year !== null && !(Number.isInteger(year) && year >= 2009)) throw new Error(`--year: expected a calendar year like 2025, got "${cli.year}"`);
+  applyOptions(cli);
+  const rawFile = cli.args[0] || path.join(OPTS.dataDir, 'raw-data.json');
+  if (!fs.existsSync(rawFile)) throw new Error(`snapshot not found: ${rawFile} (run a report first, or pass a raw-data.json)`);
+  const report = rebuildReport(cli, rawFile);
+
+  log(`\nTax lots (${method.toUpperCase()})...`);
+  const ledger = buildTaxLedger(report, method);
+  const years = year !== null ? [year] : [...new Set([...ledger.disposals.map(d => utcYear(d.disposed)), ...ledger.income.map(i => utcYear(i.time))])].sort();
+  const dir = cli.exportDir || path.join(OPTS.dataDir, 'tax');
+  const written = writeTaxFiles(report, ledger, years, dir);
+  const summaries = years.map(y => taxYearSummary(ledger, y));
+  const usd = v => `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+  for (const s of summaries) {
+    log(`   ${s.year}: ${s.disposals} disposals, realized gain ${usd(s.gainUsd)} (${s.gainBtc >= 0 ? '+' : ''}${s.gainBtc.toFixed(8)} BTC), futures income net ${usd(s.income.netUsd)}${s.missingBasis ? `; ${s.missingBasis} disposal(s) without a cost basis` : ''}`);
+  }
+  const skipped = Object.entries(ledger.skipped);
+  if (skipped.length) log(`   not classified: ${skipped.map(([type, n]) => `${type} ×${n}`).join(', ')}`);
+  log(`   Done! ${written.length} file(s) in ${path.relative(process.cwd(), dir) || dir}\n`);
+  if (OPTS.json) process.stdout.write(JSON.stringify(summaries, null, 2) + '\n');
+}
+
+// One statement per configured investor from `raw.json` (default: <dataDir>/raw-data.json). The whole
+// snapshot is rebuilt, since the NAV needs every flow since bot start; --since only opens the statement.
+async function cmdStatements(cli) {
+  applyOptions(cli);
+  if (!OPTS.investors) throw new Error('statements needs "investors" in the config file (see README)');
+  const since = cli.since ? parseDateOpt('since', cli.since) : null;
+  const rawFile = cli.args[0] || path.join(OPTS.dataDir, 'raw-data.json');
+  if (!fs.existsSync(rawFile)) throw new Error(`snapshot not found: ${rawFile} (run a report first, or pass a raw-data.json)`);
+  const report = rebuildReport({ ...cli, since: undefined }, rawFile);
+  const ledger = report.unitLedger;
+  const from = Math.max(since ?? ledger.startTime, ledger.startTime);
+  if (from >= NOW) throw new Error('--since must be before --until');
+  const dir = cli.exportDir || path.join(OPTS.dataDir, 'statements');
+  const day = ts => new Date(ts).toISOString().slice(0, 10);
+  log(`\nStatements ${day(from)} → ${day(NOW)}...`);
+  const statements = ledger.investors.filter(i => i.name !== UNASSIGNED_INVESTOR).map(i => investorStatement(ledger, i, from, NOW));
+  for (const st of statements) {
+    const file = path.join(dir, `statement-${st.investor}-${day(from)}_${day(NOW)}.html`);
+    writeFileAtomic(file, statementHtml(st, report.summary.btcPrice));
+    log(`   ${st.investor}: ${st.closing.units.toFixed(8)} units = ${st.closing.valueBtc.toFixed(8)} BTC, P&L ${st.pnlBtc >= 0 ? '+' : ''}${st.pnlBtc.toFixed(8)} BTC → ${path.relative(process.cwd(), file) || file}`);
+  }
+  const silent = OPTS.investors.members.filter(m => !statements.some(st => st.investor === m.name));
+  if (silent.length) log(`   no units or movements yet: ${silent.map(m => m.name).join(', ')}`);
+  log(`   Done! ${statements.length} statement(s) in ${path.relative(process.cwd(), dir) || dir}\n`);
+  if (OPTS.json) process.stdout.write(JSON.stringify(statements.map(({ movements, ...st }) => ({ ...st, movements: movements.length })), null, 2) + '\n');
+}
+
+// Without a snapshot: one test message through every channel. With one: the alerts its metrics
+// would fire now, sent as a test; the stored alert state is left alone either way.
+async function cmdTestAlerts(cli) {
+  const rawFile = cli.args[0];
+  let alerts;
+  if (rawFile) {
+    const report = rebuildReport(cli, rawFile);
+    const state = loadStore('alerts');
+    alerts = evaluateAlerts(report.summary, report, report.summary.syncFailures, OPTS.alerts ? OPTS.alerts.rules : {}, Math.max(state.from ?? NOW, NOW - ALERT_EVENT_WINDOW_MS));
+  } else {
+    applyOptions(cli);
+    alerts = [{ key: 'test', rule: 'test', message: 'Test alert: this channel is configured correctly.' }];
+  }
+  if (!OPTS.alerts) throw new Error('no "alerts" section in the config file (see README)');
+  log(`\nSending ${alerts.length} alert(s) to ${OPTS.alerts.channels.length} channel(s)...`);
+  if (!alerts.length) return;
+  const delivered = await notifyAll(OPTS.alerts.channels, alertMessage(alerts, true));
+  if (delivered < OPTS.alerts.channels.length) throw new Error(`${OPTS.alerts.channels.length - delivered} of ${OPTS.alerts.channels.length} channel(s) failed`);
+}
+
+const COMMANDS = {
+  report: cmdReport,
+  rebuild: cmdRebuild,
+  daemon: cmdDaemon,
+  serve: cmdServe,
+  export: cmdExport,
+  tax: cmdTax,
+  statements: cmdStatements,
+  'test-alerts': cmdTestAlerts,
+  help: async () => { console.log(USAGE); }
+};
+
+async function main() {
+  const cli = parseCli(process.argv.slice(2));
+  const run = COMMANDS[cli.command];
+  if (!run) throw new Error(`unknown command "${cli.command}"\n\n${USAGE}`);
+  await run(cli);
+}
+
+// For the tests in test/. Requiring the file runs nothing.
+module.exports = {
+  OPTS,
+  syncWindowedStore, SYNC_FAILURES, utcTime,
+  candleCloseAt, toBtcAt,
+  buildSpotFills, summarizeSpotFills,
+  buildFundingCarry, buildFundingIntervals, negativeFundingRuns,
+  recordExposure, loadExposureHistory,
+  recordBalanceSnapshot, loadBalanceJournal,
+  buildReconciliation,
+  evaluateAlerts, dispatchAlerts,
+  parseCron, nextCronTime, parseInterval,
+  allowedHost, handleRequest,
+  crc32, zipArchive,
+  lotPools, buildTaxLedger, taxYearSummary, TAX_FILES,
+  poolEvents, buildUnitLedger, investorStatement,
+  feePeriodKey, feePeriodEnd, buildFeeSchedule
+};
+
+if (require.main === module) main().catch(err => { console.error('Fatal:', err); process.exit(1); });
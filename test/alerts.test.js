@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OPTS, evaluateAlerts, dispatchAlerts } = require('../analyze.js');
+const { DAY, memoryStore } = require('./helpers');
+
+const now = Date.now();
+const dayOf = t => new Date(t).toISOString().slice(0, 10);
+const summary = (extra = {}) => ({
+  drawdown: { currentPct: -0.12, currentBtc: -1.2 }, lastDay: { date: dayOf(now), pnlBtc: -0.3 },
+  roiBtc: -0.05, robotPnlBtc: -0.5, totalUnrealizedBtc: -0.2, ...extra
+});
+const flows = {
+  depositDetails: [
+    { id: 'd-old', insertTime: now - 40 * DAY, amount: '1', coin: 'BTC', btcValue: 1 },
+    { id: 'd-new', txId: 'tx-d', insertTime: now - DAY, amount: '2', coin: 'BTC', btcValue: 2 },
+    { id: 'd-dust', insertTime: now - DAY, amount: '0.001', coin: 'BTC', btcValue: 0.001 }
+  ],
+  withdrawalDetails: [
+    { id: 'w-fee', timestamp: now - DAY, amount: '0.5', coin: 'BTC', btcValue: 0.5, categoryRule: 'rule 1' },
+    { id: 'w-new', timestamp: now - DAY, amount: '0.5', coin: 'BTC', btcValue: 0.5, categoryRule: null }
+  ]
+};
+const rules = { drawdownPct: 10, dailyLossBtc: 0.2, negativeRoi: true, unrealizedBelowBtc: 0, flows: { minBtc: 0.01 }, syncFailures: true };
+
+test.beforeEach(() => { OPTS.quiet = true; OPTS.accounts = []; });
+
+test('evaluateAlerts: conditions without a time, events with the time they happened', () => {
+  const syncFailures = [{ store: 'main/deposits', error: 'HTTP 500' }, { store: 'main/deposits', error: 'HTTP 502' }];
+  const fired = evaluateAlerts(summary(), flows, syncFailures, rules, now - 30 * DAY);
+  assert.deepEqual(fired.map(a => [a.key, a.oneOff]), [
+    ['drawdown', false],
+    [`dailyLoss:${dayOf(now)}`, true],
+    ['negativeRoi', false],
+    ['unrealized', false],
+    // the old deposit is before `since`, the dust under minBtc, the fee matched by a rule
+    ['deposit:tx-d', true],
+    ['withdrawal:w-new', true],
+    ['sync:main/deposits', false]
+  ]);
+  assert.equal(fired[1].time, Date.parse(`${dayOf(now)}T00:00:00Z`));
+  assert.equal(fired[4].time, now - DAY);
+  assert.match(fired[6].message, /2 window\(s\) \(HTTP 502\)/);
+});
+
+test('evaluateAlerts: nothing fires within the limits', () => {
+  const fine = summary({ drawdown: { currentPct: -0.05, currentBtc: -0.5 }, lastDay: { date: dayOf(now), pnlBtc: 0.1 }, roiBtc: 0.1, totalUnrealizedBtc: 0.1 });
+  assert.deepEqual(evaluateAlerts(fine, flows, [], rules, now), []);
+});
+
+test('evaluateAlerts: a daily loss older than the event window is not news', () => {
+  const stale = summary({ lastDay: { date: dayOf(now - 40 * DAY), pnlBtc: -0.3 } });
+  assert.deepEqual(evaluateAlerts(stale, flows, [], { dailyLossBtc: 0.2 }, now), []);
+});
+
+test('dispatchAlerts: sends what is due, clears conditions that stopped, prunes old events', async t => {
+  memoryStore(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'alerts.jsonl');
+  OPTS.alerts = { rules, repeatHours: 24, channels: [{ type: 'file', name: 'file', path: file }] };
+  const state = {
+    from: now - 30 * DAY, cursor: null, records: {
+      'deposit:old': { key: 'deposit:old', oneOff: true, time: now - 31 * DAY, firstTime: now - 31 * DAY, lastSent: now - 31 * DAY },
+      'deposit:recent': { key: 'deposit:recent', oneOff: true, time: now - 29 * DAY, firstTime: now - 29 * DAY, lastSent: now - 29 * DAY },
+      unrealized: { key: 'unrealized', oneOff: false, message: 'Unrealized', firstTime: now - 3 * DAY, lastSent: now - 3 * DAY },
+      drawdown: { key: 'drawdown', oneOff: false, firstTime: now - 2 * DAY, lastSent: now - 3600000 }
+    }
+  };
+  const fired = [
+    { key: 'drawdown', rule: 'drawdownPct', message: 'Drawdown', oneOff: false, time: null },
+    { key: 'negativeRoi', rule: 'negativeRoi', message: 'ROI', oneOff: false, time: null },
+    { key: 'deposit:recent', rule: 'flows', message: 'Deposit', oneOff: true, time: now - 29 * DAY }
+  ];
+  await dispatchAlerts(state, fired);
+  // the drawdown was sent an hour ago and the recent deposit already: only the ROI is new
+  const sent = fs.readFileSync(file, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(sent.map(s => s.alerts.map(a => a.key)), [['negativeRoi']]);
+  assert.deepEqual(Object.keys(state.records).sort(), ['deposit:recent', 'drawdown', 'negativeRoi']);
+  assert.equal(state.records.drawdown.firstTime, now - 2 * DAY);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime, parseInterval } = require('../analyze.js');
+
+const next = (expr, after) => new Date(nextCronTime(parseCron(expr), Date.parse(after))).toISOString();
+
+test('parseCron: lists, ranges, steps and Sunday as 7', () => {
+  const c = parseCron('*/15 9-17/4 1,15 * 7');
+  assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...c.hour], [9, 13, 17]);
+  assert.deepEqual([...c.dom], [1, 15]);
+  assert.equal(c.month.size, 12);
+  assert.deepEqual([...c.dow], [0]);
+  assert.equal(c.domAny, false);
+  assert.equal(c.dowAny, false);
+});
+
+test('parseCron: rejects bad expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute "60" is outside 0-59/);
+  assert.throws(() => parseCron('0 5-2 * * *'), /hour "5-2"/);
+  assert.throws(() => parseCron('0 0 * * mon'), /cannot parse day of week "mon"/);
+});
+
+test('nextCronTime: strictly after the given time, in UTC', () => {
+  assert.equal(next('0 6 * * *', '2026-03-10T05:59:30Z'), '2026-03-10T06:00:00.000Z');
+  assert.equal(next('0 6 * * *', '2026-03-10T06:00:00Z'), '2026-03-11T06:00:00.000Z');
+  assert.equal(next('*/20 * * * *', '2026-03-10T23:45:00Z'), '2026-03-11T00:00:00.000Z');
+  assert.equal(next('30 0 1 * *', '2026-12-31T12:00:00Z'), '2027-01-01T00:30:00.000Z');
+});
+
+test('nextCronTime: a restricted day of month and day of week match either, as in cron', () => {
+  // 2026-03-10 is a Tuesday: the next Sunday is the 15th, and the 13th comes first
+  assert.equal(next('0 0 13 * 0', '2026-03-10T00:00:00Z'), '2026-03-13T00:00:00.000Z');
+  assert.equal(next('0 0 * * 0', '2026-03-10T00:00:00Z'), '2026-03-15T00:00:00.000Z');
+  assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('nextCronTime: an expression that never fires throws', () => {
+  assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), Date.parse('2026-01-01T00:00:00Z')), /never fires/);
+});
+
+test('parseInterval: minutes, hours and days, at least a minute', () => {
+  assert.equal(parseInterval('30m'), 1800000);
+  assert.equal(parseInterval('1.5h'), 5400000);
+  assert.equal(parseInterval('1d'), 86400000);
+  assert.throws(() => parseInterval('90s'), /--every/);
+  assert.throws(() => parseInterval('0.5m'), /at least 1m/);
+});
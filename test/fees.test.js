@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPTS, buildFeeSchedule, feePeriodKey, feePeriodEnd } = require('../analyze.js');
+const { close, pricesOf } = require('./helpers');
+
+const T0 = Date.UTC(2025, 0, 1);
+const on = (month, day) => Date.UTC(2025, month - 1, day);
+const context = { totalUnrealizedBtc: 0.5, botStartTime: T0, prices: pricesOf([[T0, 100000]]) };
+const flow = btc => ({ btcValue: btc, usdtValue: btc * 100000 });
+
+// 10 BTC at start. Jan +1; Feb -0.8 (under the mark); the January fee paid in March, a 2 BTC deposit
+// and +1.8; a quarter of the equity withdrawn in April, then +0.5. The bot is still running
+// afterwards, with 0.5 BTC unrealized now.
+const pool = {
+  startEquityBtc: 10,
+  events: [
+    { time: on(1, 15), deltaBtc: 1 },
+    { time: on(2, 10), deltaBtc: -0.8 },
+    { time: on(3, 5), deltaBtc: -0.2, fee: flow(0.2) },
+    { time: on(3, 10), deltaBtc: 2, flow: flow(2) },
+    { time: on(3, 20), deltaBtc: 1.8 },
+    { time: on(4, 10), deltaBtc: -3.4, flow: flow(3.4) },
+    { time: on(4, 20), deltaBtc: 0.5 }
+  ]
+};
+
+const fee = settings => { OPTS.performanceFee = { rate: 0.2, period: 'monthly', hurdle: 0, highWaterMark: true, currency: 'BTC', ...settings }; };
+
+test('feePeriodKey / feePeriodEnd: UTC months and quarters', () => {
+  assert.equal(feePeriodKey(on(2, 28), 'monthly'), '2025-02');
+  assert.equal(feePeriodKey(on(8, 1), 'quarterly'), '2025-Q3');
+  assert.equal(feePeriodEnd(on(12, 31), 'monthly'), Date.UTC(2026, 0, 1));
+  assert.equal(feePeriodEnd(on(2, 1), 'quarterly'), on(4, 1));
+});
+
+test('buildFeeSchedule: high-water mark with a deposit, a withdrawal and a fee paid late', () => {
+  fee();
+  const s = buildFeeSchedule(pool, context);
+  const months = s.rows.slice(0, 4).map(r => [r.period, +r.feeBtc.toFixed(10), +r.hwm.toFixed(10), +r.paidBtc.toFixed(10), +r.unpaidBtc.toFixed(10)]);
+  assert.deepEqual(months, [
+    // 20% of 11 - 10
+    ['2025-01', 0.2, 10, 0, 0.2],
+    // 10.0 after fees, under the 10.8 mark
+    ['2025-02', 0, 10.8, 0, 0.2],
+    // the mark rises by the deposit to 12.8; 13.8 after fees
+    ['2025-03', 0.2, 12.8, 0.2, 0.2],
+    // 3.4 of 13.6 takes a quarter of the 13.6 mark with it; 10.7 over 10.2
+    ['2025-04', 0.1, 10.2, 0, 0.3]
+  ]);
+  assert.ok(s.rows.slice(0, -1).every(r => r.crystallized));
+  const last = s.rows[s.rows.length - 1];
+  assert.equal(last.crystallized, false);
+  // quiet months since: equity after fees sits on the 10.6 mark, and the unrealized 0.5 is accruing
+  close(s.accruedBtc, 0.1);
+  close(s.owedBtc, 0.5);
+  close(s.paidBtc, 0.2);
+  close(s.unpaidBtc, 0.3);
+  close(s.hwm, 10.6);
+});
+
+test('buildFeeSchedule: without a high-water mark each period starts from its opening equity', () => {
+  fee({ highWaterMark: false });
+  const s = buildFeeSchedule(pool, context);
+  // March opens at 10.0, the deposit makes it 12.0, and 13.8 is 1.8 over it
+  assert.deepEqual(s.rows.slice(0, 3).map(r => +r.feeBtc.toFixed(10)), [0.2, 0, 0.36]);
+});
+
+test('buildFeeSchedule: the hurdle raises the mark pro rata over the period', () => {
+  fee({ hurdle: 0.1 });
+  const [jan] = buildFeeSchedule(pool, context).rows;
+  const threshold = 10 * 1.1 ** (31 / 365);
+  close(jan.threshold, threshold);
+  close(jan.feeBtc, 0.2 * (11 - threshold));
+});
+
+test('buildFeeSchedule: in USD a rising BTC price is performance', () => {
+  fee({ currency: 'USD' });
+  const prices = pricesOf([[T0, 100000], [on(2, 1), 120000]]);
+  const [jan, feb] = buildFeeSchedule({ startEquityBtc: 10, events: [] }, { ...context, prices }).rows;
+  // $1.0M at start, $1.2M at the end of January: 20% of $200k, paid in BTC at $120k
+  close(jan.fee, 40000);
+  close(jan.feeBtc, 1 / 3);
+  close(jan.feeUsd, 40000);
+  assert.equal(feb.feeBtc, 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFundingCarry, buildFundingIntervals, negativeFundingRuns } = require('../analyze.js');
+const { close, clock, HOUR } = require('./helpers');
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = clock(T0);
+const YEAR = 365 * 24 * HOUR;
+
+// A funding payment as valueAccount() leaves it, stamped `delayMs` after the funding time.
+const payment = (symbol, time, usdt, delayMs = 5000) => ({ incomeType: 'FUNDING_FEE', symbol, time: String(time + delayMs), valueUsdt: usdt, valueBtc: usdt / 50000 });
+
+// Short 100k of BTCUSDT through four events at 0.01%; long 25k of ETHUSDT paying 0.02%, the second
+// payment stamped too late to match its event.
+const income = [
+  ...[0, 8, 16, 24].map(h => payment('BTCUSDT', at(0, h), 10)),
+  payment('ETHUSDT', at(0, 8), -5),
+  payment('ETHUSDT', at(0, 16), -5, 120000),
+  { incomeType: 'REALIZED_PNL', symbol: 'BTCUSDT', time: String(at(0, 9)), valueUsdt: 500, valueBtc: 0.01 }
+];
+const fundingRates = {
+  BTCUSDT: [0, 8, 16, 24].map(h => ({ time: at(0, h), rate: 0.0001 })),
+  ETHUSDT: [8, 16].map(h => ({ time: at(0, h), rate: 0.0002 }))
+};
+
+test('buildFundingCarry: implied notional, side and APR per symbol against the market rate', () => {
+  const carry = buildFundingCarry(income, fundingRates);
+  const [btc, eth] = carry.symbols;
+  assert.deepEqual([btc.symbol, btc.side, btc.payments, btc.matched, btc.negative], ['BTCUSDT', 'short', 4, 4, 0]);
+  close(btc.avgNotionalUsdt, 100000, '', 1e-6);
+  close(btc.carryApr, 0.0001 * YEAR / (8 * HOUR));
+  close(btc.marketApr, btc.carryApr);
+  close(btc.impliedUsdt, 40);
+  close(btc.captureRatio, 1);
+
+  assert.deepEqual([eth.symbol, eth.side, eth.payments, eth.matched, eth.negative], ['ETHUSDT', 'long', 2, 1, 2]);
+  close(eth.avgNotionalUsdt, 25000, '', 1e-6);
+  // a long pays a positive rate: both APRs come out negative
+  close(eth.carryApr, -0.0002 * YEAR / (8 * HOUR));
+  close(eth.marketApr, eth.carryApr);
+  close(eth.impliedUsdt, -10);
+
+  close(carry.receivedUsdt, 30);
+  close(carry.impliedUsdt, 30);
+  close(carry.captureRatio, 1);
+  close(carry.carryApr, 35 / (100000 * 4 * 8 * HOUR + 25000 * 8 * HOUR) * YEAR);
+});
+
+test('buildFundingCarry: no market rates, no benchmark', () => {
+  const carry = buildFundingCarry(income.filter(i => i.symbol === 'ETHUSDT'), {});
+  assert.equal(carry.symbols[0].matched, 0);
+  assert.equal(carry.symbols[0].carryApr, null);
+  assert.equal(carry.symbols[0].marketApr, null);
+  assert.equal(carry.impliedUsdt, null);
+  assert.equal(carry.carryApr, null);
+});
+
+test('buildFundingIntervals: funding summed per 8-hour interval, with the symbols we paid on', () => {
+  const intervals = buildFundingIntervals(income);
+  assert.deepEqual(intervals.map(iv => [iv.time, iv.usdt, iv.paidOn]), [
+    [at(0, 0), 10, []],
+    [at(0, 8), 5, ['ETHUSDT']],
+    [at(0, 16), 5, ['ETHUSDT']],
+    [at(1, 0), 10, []]
+  ]);
+});
+
+test('negativeFundingRuns: back-to-back paying intervals form one run', () => {
+  const iv = (h, btc, paidOn = []) => ({ time: at(0, h), btc, usdt: btc * 50000, paidOn });
+  const runs = negativeFundingRuns([
+    iv(0, -0.001, ['BTCUSDT']), iv(8, -0.002, ['ETHUSDT', 'BTCUSDT']), iv(16, 0.001),
+    iv(24, -0.001, ['BTCUSDT']), iv(48, -0.001, ['SOLUSDT'])
+  ]);
+  assert.deepEqual(runs.map(r => [r.start, r.end, r.intervals, r.symbols]), [
+    [at(0, 0), at(0, 16), 2, ['BTCUSDT', 'ETHUSDT']],
+    [at(1, 0), at(1, 8), 1, ['BTCUSDT']],
+    // a gap without funding ends a run too
+    [at(2, 0), at(2, 8), 1, ['SOLUSDT']]
+  ]);
+  close(runs[0].btc, -0.003);
+  close(runs[0].usdt, -150);
+});
@@ -0,0 +1,45 @@
+// Shared fixtures for the unit tests.
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const DAY = 86400000;
+const HOUR = 3600000;
+
+// Equal to within `eps`: sums of floats are rarely exact.
+function close(actual, expected, msg = '', eps = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < eps, `${msg} ${actual} !== ${expected}`.trim());
+}
+
+// at(days, hours) is that long after `start`, so fixtures read as "day 10" rather than timestamps.
+const clock = start => (days, hours = 0) => start + days * DAY + hours * HOUR;
+
+// The `prices` bundle buildReport() hands the engines, from [time, close] BTC/USDT candles and
+// daily BTC closes per alt. The last close is today's ticker.
+function pricesOf(btcCloses, assetPrices = {}) {
+  const btcCandles = btcCloses.map(([time, close]) => ({ time, close }));
+  return { btcCandles, priceMap: { BTCUSDT: btcCandles[btcCandles.length - 1].close }, assetPrices };
+}
+
+// Keeps the store files (<data-dir>/store/…) in memory for one test, so syncs can be run twice
+// against a fake Binance without touching the disk. Returns the files by path.
+function memoryStore(t) {
+  const files = new Map();
+  const inStore = p => String(p).split(path.sep).includes('store');
+  const { readFileSync, writeFileSync, renameSync, mkdirSync } = fs;
+  t.mock.method(fs, 'readFileSync', (p, ...rest) => {
+    if (!inStore(p)) return readFileSync(p, ...rest);
+    if (!files.has(p)) throw Object.assign(new Error(`ENOENT: ${p}`), { code: 'ENOENT' });
+    return files.get(p);
+  });
+  t.mock.method(fs, 'writeFileSync', (p, data, ...rest) => inStore(p) ? void files.set(p, String(data)) : writeFileSync(p, data, ...rest));
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (!inStore(from)) return renameSync(from, to);
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  t.mock.method(fs, 'mkdirSync', (p, ...rest) => inStore(p) ? undefined : mkdirSync(p, ...rest));
+  return files;
+}
+
+module.exports = { DAY, HOUR, close, clock, pricesOf, memoryStore };
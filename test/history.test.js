@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordExposure, loadExposureHistory, recordBalanceSnapshot, loadBalanceJournal } = require('../analyze.js');
+const { DAY, HOUR, memoryStore } = require('./helpers');
+
+// Midnight UTC 40 and 2 days back: one day past the full-detail window, one inside it.
+const today = Math.floor(Date.now() / DAY) * DAY;
+const old = today - 40 * DAY, recent = today - 2 * DAY;
+
+test('recordExposure: points past the full-detail window are thinned to the last of each day', t => {
+  memoryStore(t);
+  for (const time of [old + 2 * HOUR, old + 20 * HOUR, old + 8 * HOUR, old + DAY + HOUR, recent + HOUR, recent + 2 * HOUR]) recordExposure({ time, longShare: 0.5 });
+  assert.deepEqual(loadExposureHistory().map(p => p.time), [old + 20 * HOUR, old + DAY + HOUR, recent + HOUR, recent + 2 * HOUR]);
+});
+
+test('recordBalanceSnapshot: the journal is thinned the same way', t => {
+  memoryStore(t);
+  for (const time of [old + 23 * HOUR, old + HOUR, recent + HOUR, recent + 2 * HOUR]) recordBalanceSnapshot({ time, totalBalanceBtc: 1 });
+  assert.deepEqual(loadBalanceJournal().map(s => s.time), [old + 23 * HOUR, recent + HOUR, recent + 2 * HOUR]);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { candleCloseAt, toBtcAt } = require('../analyze.js');
+const { close, clock, pricesOf } = require('./helpers');
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = clock(T0);
+const candles = [{ time: at(0), close: 1 }, { time: at(1), close: 2 }, { time: at(2), close: 3 }];
+
+test('candleCloseAt: the candle that contains the time', () => {
+  assert.equal(candleCloseAt(at(0), candles), 1);
+  assert.equal(candleCloseAt(at(1, 23), candles), 2);
+  assert.equal(candleCloseAt(at(2), candles), 3);
+  assert.equal(candleCloseAt(at(30), candles), 3);
+  // before the series: its first candle
+  assert.equal(candleCloseAt(at(-5), candles), 1);
+  assert.equal(candleCloseAt(at(0), []), null);
+  assert.equal(candleCloseAt(at(0), undefined), null);
+});
+
+test('toBtcAt: stablecoins at the BTC price of the day, alts at their own daily rate', () => {
+  const prices = pricesOf([[at(0), 40000], [at(1), 50000]], { ETH: [{ time: at(0), close: 0.05 }, { time: at(1), close: 0.04 }] });
+  assert.equal(toBtcAt('BTC', 0.3, at(0), prices), 0.3);
+  close(toBtcAt('USDT', 20000, at(0, 12), prices), 0.5);
+  close(toBtcAt('USDC', 20000, at(1, 12), prices), 0.4);
+  close(toBtcAt('ETH', 10, at(0, 12), prices), 0.5);
+  close(toBtcAt('ETH', 10, at(5), prices), 0.4);
+});
+
+test('toBtcAt: an alt without history falls back to today\'s ticker', () => {
+  const prices = pricesOf([[T0, 50000]]);
+  prices.priceMap = { BTCUSDT: 50000, SOLBTC: 0.002, ARBUSDT: 1 };
+  close(toBtcAt('SOL', 10, at(0), prices), 0.02);
+  close(toBtcAt('ARB', 1000, at(0), prices), 0.02);
+  assert.equal(toBtcAt('NOPE', 5, at(0), prices), 0);
+});
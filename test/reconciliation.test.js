@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReconciliation } = require('../analyze.js');
+const { close, pricesOf } = require('./helpers');
+
+const on = (month, day, hour = 0) => Date.UTC(2025, month - 1, day, hour);
+const prices = pricesOf([[on(1, 1), 50000], [on(1, 31, 23), 60000]]);
+const point = (time, totalBalanceBtc, unrealizedBtc = 0) => ({ time, totalBalanceBtc, unrealizedBtc, holdings: { BTC: 9, USDT: 50000 } });
+const income = (type, time, valueBtc) => ({ incomeType: type, time: String(time), valueBtc });
+
+// January: income, a rise in unrealized, a spot gain, a deposit, a withdrawal and a fee, while the
+// 50k USDT held loses a sixth of a BTC as BTC goes from $50k to $60k. February: 0.1 BTC from nowhere.
+const JAN_CLOSE = 10 + 0.35 + 0.2 + 0.1 - 1 / 6 + 1 - 0.5 - 0.2;
+const points = [point(on(1, 1), 10), point(on(1, 20), 10.4, 0.1), point(on(1, 31, 23), JAN_CLOSE, 0.2), point(on(2, 28, 23), JAN_CLOSE + 0.1, 0.2)];
+const flows = {
+  income: [income('REALIZED_PNL', on(1, 10), 0.5), income('FUNDING_FEE', on(1, 11), -0.1), income('COMMISSION', on(1, 12), -0.05), income('REALIZED_PNL', on(1, 1), 7)],
+  spotFills: [{ time: on(1, 15), realizedBtc: 0.1 }],
+  depositDetails: [{ insertTime: on(1, 5), btcValue: 1 }],
+  withdrawalDetails: [{ timestamp: on(1, 25), btcValue: 0.5, category: 'capital_return' }, { timestamp: on(1, 26), btcValue: 0.2, category: 'performance_fee' }],
+  prices
+};
+
+test('buildReconciliation: one row per month, cut at its last point', () => {
+  const rows = buildReconciliation(points, flows);
+  assert.deepEqual(rows.map(r => [r.month, r.from, r.to]), [['2025-01', on(1, 1), on(1, 31, 23)], ['2025-02', on(1, 31, 23), on(2, 28, 23)]]);
+});
+
+test('buildReconciliation: the month\'s change splits into its parts with nothing left over', () => {
+  const [jan] = buildReconciliation(points, flows);
+  // income stamped at the opening point belongs to the month before
+  close(jan.realizedBtc, 0.5);
+  close(jan.fundingBtc, -0.1);
+  close(jan.commissionBtc, -0.05);
+  close(jan.unrealizedChangeBtc, 0.2);
+  close(jan.spotBtc, 0.1);
+  close(jan.priceEffectBtc, -1 / 6);
+  close(jan.depositsBtc, 1);
+  close(jan.withdrawalsBtc, -0.5);
+  close(jan.feesBtc, -0.2);
+  close(jan.residualBtc, 0);
+  assert.equal(jan.flagged, false);
+});
+
+test('buildReconciliation: an unexplained change over half a percent is flagged', () => {
+  const [, feb] = buildReconciliation(points, flows);
+  close(feb.priceEffectBtc, 0);
+  close(feb.residualBtc, 0.1);
+  assert.equal(feb.flagged, true);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPTS, allowedHost, handleRequest } = require('../analyze.js');
+
+// Runs one request through handleRequest() against a recording response.
+function request(state, method, url, headers = {}) {
+  const res = {
+    writeHead(status, head) { this.status = status; this.headers = head; },
+    end(body = '') { this.body = String(body); }
+  };
+  let refreshes = 0;
+  handleRequest(state, () => { refreshes++; state.refreshing = { startedAt: 1 }; }, { method, url, headers: { host: 'localhost:8080', ...headers } }, res);
+  const json = /json/.test(res.headers['Content-Type']) && res.body ? JSON.parse(res.body) : null;
+  return { status: res.status, headers: res.headers, body: res.body, json, refreshes };
+}
+
+test.beforeEach(() => { OPTS.quiet = true; });
+
+test('allowedHost: this machine by name or address, nothing else', () => {
+  for (const host of ['localhost', 'localhost:8080', '127.0.0.1:8080', '[::1]:8080', '192.168.1.20', 'box.lan:8080']) assert.equal(allowedHost(host, 'box.lan'), true, host);
+  for (const host of ['evil.example', 'evil.example:8080', 'localhost.evil.example', '', 'a b']) assert.equal(allowedHost(host, '127.0.0.1'), false, host);
+});
+
+test('handleRequest: a foreign Host is refused before anything else', () => {
+  const r = request({ host: '127.0.0.1', report: { html: '<p>' } }, 'GET', '/', { host: 'rebound.example:8080' });
+  assert.equal(r.status, 403);
+  assert.match(r.json.error, /rebound\.example/);
+});
+
+test('handleRequest: the page, the endpoint list, and 503 until there is a report', () => {
+  const state = { host: '127.0.0.1', report: null, refreshing: null };
+  assert.equal(request(state, 'GET', '/').status, 503);
+  const list = request(state, 'GET', '/api');
+  assert.equal(list.status, 200);
+  assert.ok(list.json.endpoints.includes('/api/refresh'));
+  state.report = { html: '<p>report</p>' };
+  const page = request(state, 'GET', '/');
+  assert.deepEqual([page.status, page.body], [200, '<p>report</p>']);
+  assert.equal(request(state, 'GET', '/nope').status, 404);
+  assert.equal(request(state, 'DELETE', '/').status, 405);
+});
+
+test('handleRequest: HEAD gets the status and headers of GET without the body', () => {
+  const state = { host: '127.0.0.1', report: { html: '<p>report</p>' }, refreshing: null, lastRefresh: null };
+  for (const url of ['/', '/api', '/api/refresh', '/nope']) {
+    const get = request(state, 'GET', url), head = request(state, 'HEAD', url);
+    assert.deepEqual([head.status, head.headers], [get.status, get.headers], url);
+    assert.equal(head.body, '', url);
+  }
+});
+
+test('handleRequest: a refresh is a JSON POST, one at a time', () => {
+  const state = { host: '127.0.0.1', report: null, refreshing: null, lastRefresh: null };
+  // what a cross-site form can send
+  const form = request(state, 'POST', '/api/refresh', { 'content-type': 'application/x-www-form-urlencoded' });
+  assert.deepEqual([form.status, form.refreshes], [415, 0]);
+  const started = request(state, 'POST', '/api/refresh', { 'content-type': 'application/json' });
+  assert.deepEqual([started.status, started.refreshes], [202, 1]);
+  const again = request(state, 'POST', '/api/refresh', { 'content-type': 'application/json; charset=utf-8' });
+  assert.deepEqual([again.status, again.refreshes], [409, 0]);
+  const status = request(state, 'GET', '/api/refresh');
+  assert.deepEqual([status.status, status.json.refreshing], [200, { startedAt: 1 }]);
+  assert.equal(request(state, 'PUT', '/api/refresh').status, 405);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSpotFills, summarizeSpotFills } = require('../analyze.js');
+const { close, clock, pricesOf } = require('./helpers');
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = clock(T0);
+const prices = pricesOf([[at(0), 50000], [at(3), 60000]], { ETH: [{ time: at(0), close: 0.05 }] });
+
+const trade = (id, day, symbol, isBuyer, qty, quoteQty, commission = 0, commissionAsset = 'BNB') => {
+  const [baseAsset, quoteAsset] = symbol.endsWith('USDT') ? [symbol.slice(0, -4), 'USDT'] : [symbol.slice(0, -3), 'BTC'];
+  return { id, time: at(day), symbol, baseAsset, quoteAsset, isBuyer, qty: String(qty), quoteQty: String(quoteQty), commission: String(commission), commissionAsset };
+};
+
+// ETH bought for BTC at 0.05 with the fee in ETH, half sold at 0.06; BTC sold for USDT at $50k and
+// bought back at $60k; SOL that came from elsewhere sold without a basis.
+const trades = [
+  trade(2, 1, 'ETHBTC', false, 5, 0.3, 0.0003, 'BTC'),
+  trade(1, 0, 'ETHBTC', true, 10, 0.5, 0.01, 'ETH'),
+  trade(3, 2, 'BTCUSDT', false, 1, 50000),
+  trade(4, 3, 'BTCUSDT', true, 0.5, 30000),
+  trade(5, 4, 'SOLBTC', false, 2, 0.004)
+];
+
+test('buildSpotFills: average cost in BTC, realized on whatever leaves the account', () => {
+  const fills = buildSpotFills(trades, prices);
+  assert.deepEqual(fills.map(f => f.symbol), ['ETHBTC', 'ETHBTC', 'BTCUSDT', 'BTCUSDT', 'SOLBTC']);
+  const [buyEth, sellEth, sellBtc, buyBtc, sellSol] = fills;
+  close(buyEth.valueBtc, 0.5);
+  // the 0.01 ETH fee leaves at its 0.05 cost
+  close(buyEth.feeBtc, 0.0005);
+  close(buyEth.realizedBtc, -0.0005);
+  // 5 of the 9.99 ETH left at 0.05 each: 0.3 − 0.25, less the BTC fee
+  close(sellEth.realizedBtc, 0.05 - 0.0003);
+  // selling BTC realizes nothing; the USDT it bought carries a 1 BTC cost
+  close(sellBtc.valueBtc, 1);
+  close(sellBtc.realizedBtc, 0);
+  // 30000 of it, costing 0.6 BTC, buys back 0.5
+  close(buyBtc.valueBtc, 0.5);
+  close(buyBtc.realizedBtc, -0.1);
+  // no basis: taken at market, nothing realized
+  close(sellSol.valueBtc, 0.004);
+  close(sellSol.realizedBtc, 0);
+});
+
+test('summarizeSpotFills: totals per account and symbol inside the period, by volume', () => {
+  const fills = buildSpotFills(trades, prices).map(f => ({ ...f, account: 'main' }));
+  const summary = summarizeSpotFills(fills, at(1));
+  assert.deepEqual(summary.map(s => [s.symbol, s.trades, s.buys, s.sells]), [['BTCUSDT', 2, 1, 1], ['ETHBTC', 1, 0, 1], ['SOLBTC', 1, 0, 1]]);
+  close(summary[0].volumeBtc, 1.5);
+  close(summary[0].realizedBtc, -0.1);
+  close(summary[1].feesBtc, 0.0003);
+  assert.equal(summary[0].account, 'main');
+});
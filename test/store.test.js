@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncWindowedStore, SYNC_FAILURES, utcTime } = require('../analyze.js');
+const { DAY, HOUR, memoryStore } = require('./helpers');
+
+const LOOKBACK = 365 * DAY, WINDOW = 100 * DAY;
+
+// A fake history endpoint: every row whose time falls in the asked window, and a log of the asks.
+function binance(rows) {
+  const calls = [];
+  const fetchWindow = async (s, e) => {
+    calls.push([s, e]);
+    if (rows.failing && s <= rows.failing && rows.failing < e) throw new Error('HTTP 500');
+    return rows.filter(r => r.time >= s && r.time < e).map(r => ({ ...r }));
+  };
+  return { calls, fetchWindow };
+}
+
+const pendingTime = r => r.status === 'pending' ? r.time : null;
+const sync = (name, api, pending = null) => syncWindowedStore(name, LOOKBACK, WINDOW, api.fetchWindow, r => r.id, 0, pending);
+
+test('syncWindowedStore: the first run walks the lookback, later runs only the overlap', async t => {
+  memoryStore(t);
+  const now = Date.now();
+  const rows = [{ id: 1, time: now - 300 * DAY }, { id: 2, time: now - 10 * DAY }];
+  const api = binance(rows);
+  assert.deepEqual((await sync('t/walk', api)).map(r => r.id), [1, 2]);
+  assert.equal(api.calls.length, 4);
+  assert.ok(api.calls[0][0] <= now - LOOKBACK);
+
+  api.calls.length = 0;
+  rows.push({ id: 3, time: now - 2 * HOUR });
+  assert.deepEqual((await sync('t/walk', api)).map(r => r.id), [1, 2, 3]);
+  // one window, reaching a day before where the last run stopped
+  assert.equal(api.calls.length, 1);
+  assert.equal(api.calls[0][1] - api.calls[0][0], DAY);
+});
+
+test('syncWindowedStore: a failed window is retried on the next run', async t => {
+  memoryStore(t);
+  const now = Date.now();
+  const rows = [{ id: 1, time: now - 200 * DAY }, { id: 2, time: now - 20 * DAY }];
+  rows.failing = now - 200 * DAY;
+  const api = binance(rows);
+  SYNC_FAILURES.length = 0;
+  assert.deepEqual((await sync('t/retry', api)).map(r => r.id), [2]);
+  assert.equal(SYNC_FAILURES.length, 1);
+  assert.equal(SYNC_FAILURES[0].store, 't/retry');
+
+  rows.failing = null;
+  api.calls.length = 0;
+  assert.deepEqual((await sync('t/retry', api)).map(r => r.id).sort(), [1, 2]);
+  // from the failed window on, not from the start of the lookback
+  assert.ok(api.calls[0][0] > now - LOOKBACK);
+  SYNC_FAILURES.length = 0;
+});
+
+test('syncWindowedStore: with recordFailures off the error reaches the caller, not SYNC_FAILURES', async t => {
+  const files = memoryStore(t);
+  const now = Date.now();
+  const rows = [{ id: 1, time: now - 300 * DAY }];
+  rows.failing = now - 150 * DAY;
+  const api = binance(rows);
+  SYNC_FAILURES.length = 0;
+  await assert.rejects(syncWindowedStore('t/strict', LOOKBACK, WINDOW, api.fetchWindow, r => r.id, 0, null, false), /HTTP 500/);
+  assert.equal(SYNC_FAILURES.length, 0);
+  // the windows before the failing one are kept
+  const store = JSON.parse([...files].find(([p]) => p.endsWith('strict.json'))[1]);
+  assert.deepEqual(Object.keys(store.records), ['1']);
+  assert.ok(store.cursor <= now - 150 * DAY);
+});
+
+test('syncWindowedStore: a pending row holds the cursor until it settles, and is stored once', async t => {
+  const files = memoryStore(t);
+  const now = Date.now();
+  const rows = [{ id: 'w1', txId: '', time: now - 150 * DAY, status: 'pending' }];
+  const api = binance(rows);
+  await sync('t/pending', api, pendingTime);
+  const store = () => JSON.parse([...files].find(([p]) => p.endsWith('pending.json'))[1]);
+  assert.equal(store().pending, now - 150 * DAY);
+  assert.ok(store().cursor <= now - 150 * DAY);
+
+  Object.assign(rows[0], { txId: '0xabc', status: 'done' });
+  api.calls.length = 0;
+  const all = await sync('t/pending', api, pendingTime);
+  assert.deepEqual(all.map(r => [r.id, r.txId, r.status]), [['w1', '0xabc', 'done']]);
+  // the window holding the pending row was asked for again
+  assert.ok(api.calls[0][0] <= now - 150 * DAY);
+  assert.equal(store().pending, null);
+  assert.ok(store().cursor > now - HOUR);
+});
+
+test('syncWindowedStore: a store from before pending rows were kept is re-keyed and synced in full', async t => {
+  const files = memoryStore(t);
+  const now = Date.now();
+  const rows = [{ id: 'd1', txId: 'tx1', time: now - 300 * DAY, status: 'done' }];
+  const api = binance(rows);
+  await sync('t/old', api);
+  const file = [...files.keys()].find(p => p.endsWith('old.json'));
+  // as an older version wrote it: keyed by txId, cursor at now, no `pending`
+  const old = JSON.parse(files.get(file));
+  files.set(file, JSON.stringify({ from: old.from, cursor: old.cursor, records: { tx1: rows[0] } }));
+  api.calls.length = 0;
+  const all = await sync('t/old', api, pendingTime);
+  assert.deepEqual(all.map(r => r.id), ['d1']);
+  assert.deepEqual(Object.keys(JSON.parse(files.get(file)).records), ['d1']);
+  assert.equal(api.calls.length, 4);
+});
+
+test('utcTime: Binance\'s zoneless withdrawal times are UTC, whatever the local zone', () => {
+  assert.equal(utcTime('2025-03-01 12:30:00'), Date.UTC(2025, 2, 1, 12, 30));
+  assert.equal(utcTime('2025-03-01T12:30:00.000Z'), Date.UTC(2025, 2, 1, 12, 30));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lotPools, buildTaxLedger, taxYearSummary, TAX_FILES } = require('../analyze.js');
+const { close, clock, pricesOf } = require('./helpers');
+
+const T0 = Date.UTC(2024, 0, 1);
+const at = clock(T0);
+
+// BTC at a flat $10,000, so USD and BTC values below are easy to follow.
+const prices = pricesOf([[T0, 10000]]);
+
+// Three 1 BTC lots (cost $10k, $30k, $20k), 1.5 BTC sold for $60k on day 400, then 1 BTC of capital
+// taken out and 1 BTC paid as a performance fee, which runs past what is left.
+function report() {
+  const deposit = (days, usd) => ({ insertTime: at(days), coin: 'BTC', amount: '1', usdtValue: usd, btcValue: 1, account: 'main', txId: `d${days}` });
+  const withdrawal = (days, category, usd) => ({ timestamp: at(days), coin: 'BTC', amount: '1', transactionFee: '0', category, usdtValue: usd, btcValue: 1, account: 'main', txId: `w${days}` });
+  return {
+    prices,
+    depositDetails: [deposit(0, 10000), deposit(100, 30000), deposit(200, 20000)],
+    withdrawalDetails: [withdrawal(410, 'capital_return', 50000), withdrawal(420, 'performance_fee', 50000)],
+    spotTradeHistory: [{
+      time: at(400), symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', qty: '1.5', quoteQty: '60000',
+      commission: '0', commissionAsset: 'USDT', isBuyer: false, id: 1, account: 'main'
+    }],
+    futuresIncome: [
+      { time: String(at(405)), incomeType: 'REALIZED_PNL', income: '100', asset: 'USDT', valueUsdt: 100, valueBtc: 0.01, account: 'main', market: 'USD-M', symbol: 'ETHUSDT', tranId: 7 },
+      { time: String(at(406)), incomeType: 'INSURANCE_CLEAR', income: '1', asset: 'USDT', valueUsdt: 1, valueBtc: 0.0001, account: 'main', market: 'USD-M', symbol: 'ETHUSDT', tranId: 8 }
+    ]
+  };
+}
+
+const trade = ledger => ledger.disposals.filter(d => d.kind === 'trade').map(d => [d.acquired, d.qty, Math.round(d.costUsd), Math.round(d.gainUsd), d.term]);
+
+test('lotPools: each method picks its lot, and a shortfall comes back without a basis', () => {
+  for (const [method, first] of [['fifo', 1], ['lifo', 3], ['hifo', 2]]) {
+    const pools = lotPools(method);
+    pools.add('BTC', { qty: 1, time: 1, costUsd: 100, costBtc: 1 });
+    pools.add('BTC', { qty: 1, time: 2, costUsd: 300, costBtc: 1 });
+    pools.add('BTC', { qty: 1, time: 3, costUsd: 200, costBtc: 1 });
+    assert.equal(pools.take('BTC', 0.5)[0].time, first, method);
+    const slices = pools.take('BTC', 3);
+    assert.equal(slices.length, 4, method);
+    assert.deepEqual(slices[3], { qty: 0.5, time: null, costUsd: 0, costBtc: 0 });
+    assert.deepEqual(pools.holdings(), {});
+  }
+});
+
+test('lotPools: a partly used lot keeps its cost per unit', () => {
+  const pools = lotPools('fifo');
+  pools.add('ETH', { qty: 4, time: 1, costUsd: 400, costBtc: 0.2 });
+  close(pools.take('ETH', 1)[0].costUsd, 100);
+  const [rest] = pools.take('ETH', 3);
+  close(rest.costUsd, 300);
+  close(rest.costBtc, 0.15);
+});
+
+test('buildTaxLedger: FIFO, LIFO and HIFO match the sale against different lots', () => {
+  // 1.5 BTC at $40k each: $60k of proceeds split 40k / 20k over the slices
+  assert.deepEqual(trade(buildTaxLedger(report(), 'fifo')), [[at(0), 1, 10000, 30000, 'long'], [at(100), 0.5, 15000, 5000, 'short']]);
+  assert.deepEqual(trade(buildTaxLedger(report(), 'lifo')), [[at(200), 1, 20000, 20000, 'short'], [at(100), 0.5, 15000, 5000, 'short']]);
+  assert.deepEqual(trade(buildTaxLedger(report(), 'hifo')), [[at(100), 1, 30000, 10000, 'short'], [at(200), 0.5, 10000, 10000, 'short']]);
+});
+
+test('buildTaxLedger: a USDT fee on a BTCUSDT trade raises the cost of a buy and lowers the proceeds of a sale', () => {
+  const usdtTrade = (id, days, isBuyer, quoteQty, commission) => ({
+    time: at(days), symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', qty: '1', quoteQty: String(quoteQty),
+    commission: String(commission), commissionAsset: 'USDT', isBuyer, id, account: 'main'
+  });
+  const ledger = buildTaxLedger({
+    prices, depositDetails: [], withdrawalDetails: [], futuresIncome: [],
+    spotTradeHistory: [usdtTrade(1, 0, true, 10000, 10), usdtTrade(2, 10, false, 20000, 20)]
+  }, 'fifo');
+  const [sale] = ledger.disposals;
+  close(sale.costUsd, 10010);
+  close(sale.proceedsUsd, 19980);
+  close(sale.gainUsd, 9970);
+});
+
+test('buildTaxLedger: BTC never gains in BTC terms', () => {
+  for (const d of buildTaxLedger(report(), 'fifo').disposals) {
+    assert.equal(d.gainBtc, 0);
+    close(d.costBtc, d.proceedsBtc);
+  }
+});
+
+test('buildTaxLedger: capital withdrawals move lots out, a performance fee past them has no basis', () => {
+  const ledger = buildTaxLedger(report(), 'fifo');
+  // after the sale: 0.5 of the $30k lot and the $20k lot; the capital withdrawal takes 0.5 + 0.5
+  const fees = ledger.disposals.filter(d => d.kind === 'performance-fee').map(d => [d.acquired, d.qty, Math.round(d.costUsd), Math.round(d.gainUsd), d.missingBasis]);
+  assert.deepEqual(fees, [[at(200), 0.5, 10000, 15000, false], [null, 0.5, 0, 25000, true]]);
+  assert.deepEqual(ledger.holdings, {});
+});
+
+test('buildTaxLedger: futures income is classified, unknown types are counted and left out', () => {
+  const ledger = buildTaxLedger(report(), 'fifo');
+  assert.deepEqual(ledger.income.map(i => [i.type, i.cls, i.usd]), [['REALIZED_PNL', 'trading', 100]]);
+  assert.deepEqual(ledger.skipped, { INSURANCE_CLEAR: 1 });
+});
+
+test('taxYearSummary: totals per year and term', () => {
+  const ledger = buildTaxLedger(report(), 'fifo');
+  assert.equal(taxYearSummary(ledger, 2024).disposals, 0);
+  const y = taxYearSummary(ledger, 2025);
+  assert.equal(y.disposals, 4);
+  assert.equal(y.missingBasis, 1);
+  close(y.proceedsUsd, 110000);
+  close(y.gainUsd, 75000);
+  close(y.longTermGainUsd, 30000);
+  // the slice without a basis has no holding period, so it is not long-term
+  close(y.shortTermGainUsd, 45000);
+  close(y.income.tradingGainsUsd, 100);
+  close(y.income.netBtc, 0.01);
+});
+
+test('TAX_FILES: USD cells are written to the cent and BTC cells to the satoshi', () => {
+  const cells = (file, row) => Object.fromEntries(TAX_FILES.find(f => f.file(2025, 'fifo') === file).columns.map(([name, , get]) => [name, get(row)]));
+  const disposal = { asset: 'ETH', qty: 0.3, acquired: at(0), disposed: at(400), proceedsUsd: 0.1 + 0.2, costUsd: 1 / 3, gainUsd: 0.1 + 0.2 - 1 / 3, proceedsBtc: 0.1 + 0.2, costBtc: 1 / 3, gainBtc: 0.1 + 0.2 - 1 / 3 };
+  const gains = cells('gains-2025-fifo.csv', disposal);
+  assert.deepEqual([gains.proceeds_usd, gains.cost_usd, gains.gain_usd], [0.3, 0.33, -0.03]);
+  assert.deepEqual([gains.proceeds_btc, gains.cost_btc, gains.gain_btc], [0.3, 0.33333333, -0.03333333]);
+  const turbotax = cells('turbotax-2025-fifo.csv', disposal);
+  assert.deepEqual([turbotax['Cost Basis'], turbotax.Proceeds], [0.33, 0.3]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPTS, poolEvents, buildUnitLedger, investorStatement } = require('../analyze.js');
+const { close, clock, pricesOf } = require('./helpers');
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = clock(T0);
+const context = { totalUnrealizedBtc: 0.9, botStartTime: T0, btcPrice: 100000, prices: pricesOf([[T0, 100000]]) };
+
+const flow = (amount, extra) => ({ amount: String(amount), coin: 'BTC', account: 'main', usdtValue: amount * 100000, ...extra });
+
+// 10 BTC at start split 60/40, so NAV moves 1 → 1.2 → 1.1 → 1.05 (fee) and ends at 1.15 with the
+// unrealized P&L; bob buys a unit at 1.2, alice sells three at 1.05 and an unknown deposit buys one.
+const pool = {
+  startEquityBtc: 10,
+  events: [
+    { time: at(10), deltaBtc: 2 },
+    { time: at(10, 1), deltaBtc: 1.2, flow: flow(1.2, { txId: 'dep-bob' }), kind: 'subscription' },
+    { time: at(20), deltaBtc: -1.1 },
+    { time: at(20, 1), deltaBtc: -0.55, fee: flow(0.55) },
+    { time: at(30), deltaBtc: -3.15, flow: flow(3.15, { address: 'addr-a' }), kind: 'redemption' },
+    { time: at(40), deltaBtc: 1.05, flow: flow(1.05, { txId: 'dep-x' }), kind: 'subscription' }
+  ]
+};
+
+test.beforeEach(() => {
+  OPTS.investors = {
+    members: [{ name: 'alice', email: 'alice@example.com', startShare: 0.6 }, { name: 'bob', email: null, startShare: 0.4 }],
+    ledger: [{ investor: 'bob', type: 'deposit', txIds: ['dep-bob'] }, { investor: 'alice', type: 'withdrawal', address: 'addr-a', label: 'alice cold wallet' }]
+  };
+});
+
+test('poolEvents: equity at bot start is the balance now less everything since', () => {
+  const { events, startEquityBtc } = poolEvents({
+    futuresIncome: [
+      { time: String(at(1)), incomeType: 'REALIZED_PNL', valueBtc: 0.5 },
+      { time: String(at(2)), incomeType: 'TRANSFER', valueBtc: 9 },
+      { time: String(at(-1)), incomeType: 'FUNDING_FEE', valueBtc: 0.1 }
+    ],
+    spotFills: [{ time: at(3), realizedBtc: -0.2 }],
+    depositDetails: [{ insertTime: at(4), btcValue: 1 }],
+    withdrawalDetails: [{ timestamp: at(5), btcValue: 0.3, category: 'performance_fee' }, { timestamp: at(6), btcValue: 2, category: 'capital_return' }],
+    totalBalanceBtc: 10, totalUnrealizedBtc: 0.4, botStartTime: T0
+  });
+  assert.deepEqual(events.map(e => [e.deltaBtc, e.kind || (e.fee ? 'fee' : null)]), [[0.5, null], [-0.2, null], [1, 'subscription'], [-0.3, 'fee'], [-2, 'redemption']]);
+  // 10 - 0.4 unrealized - (0.5 - 0.2 + 1 - 0.3 - 2)
+  close(startEquityBtc, 10.6);
+});
+
+test('buildUnitLedger: units, value, P&L and time-weighted return per investor', () => {
+  const ledger = buildUnitLedger(pool, context);
+  close(ledger.navBtc, 1.15);
+  close(ledger.units, 9);
+  close(ledger.equityBtc, 10.35);
+  const by = Object.fromEntries(ledger.investors.map(i => [i.name, i]));
+  assert.deepEqual(Object.keys(by), ['alice', 'bob', 'unassigned']);
+  const expected = {
+    alice: { units: 3, valueBtc: 3.45, contributedBtc: 6, redeemedBtc: 3.15, pnlBtc: 0.6, twr: 0.15 },
+    bob: { units: 5, valueBtc: 5.75, contributedBtc: 5.2, redeemedBtc: 0, pnlBtc: 0.55, twr: 0.15 },
+    unassigned: { units: 1, valueBtc: 1.15, contributedBtc: 1.05, redeemedBtc: 0, pnlBtc: 0.1, twr: 1.15 / 1.05 - 1 }
+  };
+  for (const [name, fields] of Object.entries(expected)) {
+    for (const [k, v] of Object.entries(fields)) close(by[name][k], v, `${name}.${k}`);
+    assert.equal(by[name].overdrawn, false);
+  }
+  close(ledger.investors.reduce((s, i) => s + i.valueBtc, 0), ledger.equityBtc, 'values add up to the pool');
+});
+
+test('buildUnitLedger: flows buy and sell at the NAV of their moment; fees move the NAV only', () => {
+  const ledger = buildUnitLedger(pool, context);
+  const flows = ledger.movements.filter(m => m.kind !== 'start').map(m => [m.investor, m.kind, +m.nav.toFixed(10), +m.units.toFixed(10), m.rule]);
+  assert.deepEqual(flows, [
+    ['bob', 'subscription', 1.2, 1, 'rule 1'],
+    ['alice', 'redemption', 1.05, -3, 'alice cold wallet'],
+    ['unassigned', 'subscription', 1.05, 1, null]
+  ]);
+  // the NAV path has a point at bot start, each midnight and each flow
+  const navOn = t => ledger.points.filter(p => p.time <= t).pop().nav;
+  close(navOn(at(15)), 1.2);
+  close(navOn(at(25)), 1.05);
+  assert.equal(ledger.points[0].time, T0);
+});
+
+test('buildUnitLedger: unshared start units are unassigned and overdrawing is flagged', () => {
+  OPTS.investors = { members: [{ name: 'solo', email: null, startShare: 0.5 }], ledger: [{ investor: 'solo', type: 'withdrawal' }] };
+  const ledger = buildUnitLedger({ startEquityBtc: 2, events: [{ time: at(1), deltaBtc: -1.5, flow: flow(1.5), kind: 'redemption' }] }, { ...context, totalUnrealizedBtc: 0 });
+  const by = Object.fromEntries(ledger.investors.map(i => [i.name, i]));
+  close(by.solo.units, -0.5);
+  assert.equal(by.solo.overdrawn, true);
+  close(by.unassigned.units, 1);
+});
+
+test('investorStatement: opening and closing position, P&L and TWR for a period', () => {
+  const ledger = buildUnitLedger(pool, context);
+  const alice = ledger.investors.find(i => i.name === 'alice');
+  const to = ledger.points[ledger.points.length - 1].time;
+  const st = investorStatement(ledger, alice, at(25), to);
+  close(st.opening.units, 6);
+  close(st.opening.valueBtc, 6.3);
+  close(st.closing.units, 3);
+  close(st.closing.valueBtc, 3.45);
+  close(st.redeemedBtc, 3.15);
+  assert.equal(st.subscribedBtc, 0);
+  // 3.45 - 6.3 + 3.15
+  close(st.pnlBtc, 0.3);
+  close(st.twr, 1.15 / 1.05 - 1);
+  close(st.share, 3 / 9);
+  // over the whole history the statement agrees with the ledger
+  const all = investorStatement(ledger, alice, T0, to);
+  close(all.pnlBtc, alice.pnlBtc);
+  close(all.twr, alice.twr);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32, zipArchive } = require('../analyze.js');
+
+// Reads an archive back through its central directory: [{ name, time, crc, content }].
+function unzip(buf) {
+  const end = buf.length - 22;
+  assert.equal(buf.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  assert.equal(p + buf.readUInt32LE(end + 12), end, 'central directory runs up to the end record');
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50, 'central directory entry');
+    const method = buf.readUInt16LE(p + 10), crc = buf.readUInt32LE(p + 16), packed = buf.readUInt32LE(p + 20), size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28), offset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf-8', p + 46, p + 46 + nameLen);
+    assert.equal(buf.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(buf.readUInt32LE(offset + 14), crc, `local and central CRC of ${name}`);
+    const start = offset + 30 + buf.readUInt16LE(offset + 26);
+    assert.equal(method, 8);
+    const content = zlib.inflateRawSync(buf.subarray(start, start + packed));
+    assert.equal(content.length, size);
+    const dosTime = buf.readUInt16LE(p + 12), dosDate = buf.readUInt16LE(p + 14);
+    const time = Date.UTC((dosDate >> 9) + 1980, ((dosDate >> 5) & 15) - 1, dosDate & 31, dosTime >> 11, (dosTime >> 5) & 63, (dosTime & 31) * 2);
+    entries.push({ name, time, crc, content: content.toString('utf-8') });
+    p += 46 + nameLen;
+  }
+  return entries;
+}
+
+test('crc32: the standard check values', () => {
+  assert.equal(crc32(Buffer.from('')), 0);
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('zipArchive: every file comes back with its name, content, CRC and time', () => {
+  const time = Date.UTC(2026, 5, 30, 14, 7, 42);
+  const files = [['[Content_Types].xml', '<Types/>'], ['xl/worksheets/sheet1.xml', 'a,b\n'.repeat(1000)], ['données/é.txt', 'BTC ₿']];
+  const entries = unzip(zipArchive(files, time));
+  assert.deepEqual(entries.map(e => [e.name, e.content]), files);
+  for (const e of entries) {
+    assert.equal(e.crc, crc32(Buffer.from(e.content, 'utf-8')));
+    assert.equal(e.time, time);
+  }
+});
+
+test('zipArchive: an empty archive is just the end record', () => {
+  const buf = zipArchive([], Date.UTC(2026, 0, 1));
+  assert.equal(buf.length, 22);
+  assert.deepEqual(unzip(buf), []);
+});